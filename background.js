@@ -4,15 +4,22 @@
 // Import modules
 importScripts('lib/database.js');
 importScripts('lib/simple-email.js');
+importScripts('lib/review-scheduler.js');
 importScripts('lib/highlight-selector.js');
+importScripts('lib/cloze-generator.js');
 importScripts('lib/email-scheduler.js');
+importScripts('lib/sync-reconciler.js');
+importScripts('lib/amazon-regions.js');
 
 class BackgroundService {
   constructor() {
     this.isInitialized = false;
     this.emailService = simpleEmailService;
-    this.highlightSelector = new HighlightSelector(database);
+    this.reviewScheduler = new ReviewScheduler(database);
+    this.highlightSelector = new HighlightSelector(database, this.reviewScheduler);
+    this.clozeGenerator = new ClozeGenerator();
     this.emailScheduler = emailScheduler;
+    this.syncReconciler = new SyncReconciler(database);
     this.setupEventListeners();
   }
 
@@ -41,10 +48,23 @@ class BackgroundService {
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
     });
+
+    // Saving a selection from any page
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      this.handleContextMenuClick(info, tab);
+    });
   }
 
   async handleInstalled(details) {
     console.log('Extension installed:', details.reason);
+
+    // Menus persist across browser restarts, so they only need creating here.
+    // They don't depend on the rest of setup, so a failure there can't lose them
+    try {
+      await this.createContextMenus();
+    } catch (error) {
+      console.error('Failed to create context menus:', error);
+    }
     
     try {
       // Initialize default settings
@@ -90,10 +110,11 @@ class BackgroundService {
           sendResponse({ success: true, data: stats });
           break;
           
-        case 'sync-now':
-          const syncResult = await this.initiateSync();
+        case 'sync-now': {
+          const syncResult = await this.initiateSync({ fullResync: request.fullResync === true });
           sendResponse({ success: true, data: syncResult });
           break;
+        }
           
         case 'send-test-email':
           const emailResult = await this.sendTestEmail(request.email);
@@ -115,6 +136,41 @@ class BackgroundService {
           sendResponse({ success: statsResult.status === 'success', data: statsResult });
           break;
           
+        case 'get-review-queue': {
+          const reviewSettings = await this.getSettings();
+          const queueResult = await this.highlightSelector.getReviewQueue(request.limit || 20, reviewSettings);
+          if (request.quiz && queueResult.status === 'success') {
+            await this.attachClozeCards(queueResult.queue);
+          }
+          sendResponse({ success: queueResult.status === 'success', data: queueResult });
+          break;
+        }
+          
+        case 'review-highlight': {
+          await database.init();
+          const reviewed = await this.reviewScheduler.recordReview(
+            request.highlightId,
+            request.grade,
+            Date.now(),
+            request.quiz || null
+          );
+          sendResponse({ success: true, data: reviewed });
+          break;
+        }
+          
+        case 'update-highlight': {
+          const updatedHighlight = await this.updateHighlightDetails(request.highlightId, request.updates);
+          sendResponse({ success: true, data: updatedHighlight });
+          break;
+        }
+
+        case 'add-manual-highlight': {
+          await database.init();
+          const added = await database.addManualHighlight(request.entry);
+          sendResponse({ success: true, data: added });
+          break;
+        }
+          
         case 'get-settings':
           console.log('Handling get-settings request...');
           const settings = await this.getSettings();
@@ -186,7 +242,7 @@ class BackgroundService {
     // Check if user navigated to Amazon Kindle notebook
     if (changeInfo.status === 'complete' && 
         tab.url && 
-        tab.url.includes('read.amazon.com/notebook')) {
+        amazonRegions.isNotebookUrl(tab.url)) {
       
       console.log('Amazon notebook page detected');
       // Could show page action or notification here
@@ -210,6 +266,12 @@ class BackgroundService {
       enableAutoSync: true,
       enableNotifications: true,
       highlightSelectionMode: 'spaced-repetition',
+      maxHighlightsPerBook: 2,
+      bookCooldownDays: 0,
+      interleaveBooks: true,
+      selectionCollection: '',
+      selectionQuery: '',
+      amazonRegion: 'auto',
       lastSyncTime: null,
       totalHighlights: 0,
       totalBooks: 0
@@ -294,6 +356,75 @@ class BackgroundService {
     }
   }
 
+  async createContextMenus() {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({
+      id: 'save-selection',
+      title: 'Save selection to Kindle Highlights Reminder',
+      contexts: ['selection']
+    });
+  }
+
+  async handleContextMenuClick(info, tab) {
+    if (info.menuItemId !== 'save-selection') {
+      return;
+    }
+
+    const details = await this.readClipDetails(info, tab);
+
+    try {
+      await database.init();
+      const { book } = await database.addWebHighlight({
+        url: info.pageUrl || tab.url,
+        title: tab.title,
+        siteName: details.siteName,
+        // The page's own selection keeps line breaks that selectionText collapses
+        text: details.text || info.selectionText,
+        note: details.note
+      });
+      chrome.notifications.create('web-clip', {
+        type: 'basic',
+        iconUrl: 'icons/icon-48.png',
+        title: 'Highlight saved',
+        message: `Saved to "${book.title}"`
+      });
+    } catch (error) {
+      console.error('Failed to save selection:', error);
+      chrome.notifications.create('web-clip', {
+        type: 'basic',
+        iconUrl: 'icons/icon-48.png',
+        title: 'Highlight not saved',
+        message: error.message
+      });
+    }
+  }
+
+  // Site name, selected text and an optional note, read from the page itself.
+  // Browser pages and the web store can't be scripted; the clip is saved
+  // from the menu's own details without a note there
+  async readClipDetails(info, tab) {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+        func: () => {
+          const meta = document.querySelector('meta[property="og:site_name"], meta[name="application-name"]');
+          const text = String(window.getSelection());
+          // The note is optional: Cancel saves the clip without one
+          const note = window.prompt('Add a note to this highlight (optional)', '');
+          return {
+            siteName: meta ? meta.content : '',
+            text,
+            note: note || ''
+          };
+        }
+      });
+      return injection.result;
+    } catch (error) {
+      console.warn('Could not read clip details from the page:', error);
+      return { siteName: '', text: '', note: '' };
+    }
+  }
+
   async getHighlightStats() {
     try {
       console.log('Getting highlight stats...');
@@ -329,8 +460,8 @@ class BackgroundService {
     }
   }
 
-  async initiateSync() {
-    console.log('Initiating sync with Amazon Kindle notebook...');
+  async initiateSync(options = {}) {
+    console.log(`Initiating ${options.fullResync ? 'full' : 'incremental'} sync with Amazon Kindle notebook...`);
     
     try {
       // Check if user is already on Amazon Kindle notebook page
@@ -357,7 +488,7 @@ class BackgroundService {
         // Wait for tab to be ready and content script to load
         await this.waitForTabReady(existingTab.id);
         
-        return this.performSyncOnTab(existingTab.id);
+        return this.performSyncOnTab(existingTab.id, options);
       }
       
     } catch (error) {
@@ -370,12 +501,21 @@ class BackgroundService {
   }
 
   async getKindleNotebookTabs() {
+    // A fixed region only matches its own notebook site; auto-detect accepts any of them
+    const region = await this.getConfiguredRegion();
     const tabs = await chrome.tabs.query({
-      url: ['*://read.amazon.com/notebook*', '*://read.amazon.com/kp/notebook*']
+      url: amazonRegions.getNotebookUrlPatterns(region)
     });
     return tabs;
   }
 
+  // The region chosen in settings, or null when it should be detected from the open tab
+  async getConfiguredRegion() {
+    const settings = await this.getSettings();
+    const setting = settings.amazonRegion;
+    return setting && setting !== 'auto' ? amazonRegions.resolveRegion(setting) : null;
+  }
+
   async waitForTabReady(tabId) {
     console.log(`Waiting for tab ${tabId} to be ready...`);
     
@@ -413,17 +553,28 @@ class BackgroundService {
 
   // Alternative sync method: Guide user to open Amazon in their current session
   async guideUserToAmazon() {
+    let notebookUrl = amazonRegions.getNotebookUrl(amazonRegions.defaultRegion);
+
     try {
       // First, try to find any Amazon tab that's already logged in
+      const configuredRegion = await this.getConfiguredRegion();
       const amazonTabs = await chrome.tabs.query({
-        url: ['*://amazon.com/*', '*://*.amazon.com/*']
+        url: amazonRegions.getStoreUrlPatterns(configuredRegion)
       });
 
+      // Auto-detect the region from the Amazon store the user has open
+      const detectedRegion = amazonTabs.length > 0
+        ? amazonRegions.detectRegionFromUrl(amazonTabs[0].url)
+        : null;
+      notebookUrl = amazonRegions.getNotebookUrl(
+        amazonRegions.resolveRegion(configuredRegion, detectedRegion)
+      );
+
       if (amazonTabs.length > 0) {
         // User has Amazon tabs open - navigate one to the notebook page
         const amazonTab = amazonTabs[0];
         await chrome.tabs.update(amazonTab.id, {
-          url: 'https://read.amazon.com/notebook',
+          url: notebookUrl,
           active: true
         });
         
@@ -435,7 +586,7 @@ class BackgroundService {
       } else {
         // No Amazon tabs - open a new one
         const tab = await chrome.tabs.create({
-          url: 'https://read.amazon.com/notebook',
+          url: notebookUrl,
           active: true
         });
         
@@ -449,19 +600,19 @@ class BackgroundService {
       console.error('Failed to guide user to Amazon:', error);
       return {
         status: 'error',
-        message: 'Please manually go to read.amazon.com/notebook and try sync again.'
+        message: `Please manually go to ${notebookUrl.replace('https://', '')} and try sync again.`
       };
     }
   }
 
-  async performSyncOnTab(tabId) {
+  async performSyncOnTab(tabId, options = {}) {
     console.log(`Performing sync on tab ${tabId}...`);
     
     // Wait for content script to load and try multiple times
-    return this.performSyncWithRetry(tabId, 3);
+    return this.performSyncWithRetry(tabId, 3, options);
   }
 
-  async performSyncWithRetry(tabId, maxRetries) {
+  async performSyncWithRetry(tabId, maxRetries, options = {}) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       console.log(`Sync attempt ${attempt}/${maxRetries} on tab ${tabId}...`);
       
@@ -472,7 +623,7 @@ class BackgroundService {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
       
-      const result = await this.trySyncOnTab(tabId);
+      const result = await this.trySyncOnTab(tabId, options);
       
       if (result.status !== 'error' || !result.message.includes('Could not establish connection')) {
         return result;
@@ -504,7 +655,34 @@ class BackgroundService {
     });
   }
 
-  async trySyncOnTab(tabId) {
+  // Tell the scraper when each stored book was last synced so it can skip unchanged books
+  async getScrapeOptions(options = {}) {
+    if (options.fullResync) {
+      return { fullResync: true };
+    }
+
+    try {
+      await database.init();
+      const [books, aliases] = await Promise.all([database.getAllBooks(), database.getBookAliases()]);
+      const knownBooks = {};
+      for (const book of books) {
+        knownBooks[book.asin] = book.lastUpdated;
+      }
+      // A book merged into another is stored under the target, but Amazon still
+      // lists it under its own ASIN; it is as current as the book it went into
+      for (const { alias, asin } of aliases) {
+        if (knownBooks[asin] !== undefined) {
+          knownBooks[alias] = knownBooks[asin];
+        }
+      }
+      return { fullResync: false, knownBooks };
+    } catch (error) {
+      console.warn('Could not load stored books, falling back to a full resync:', error);
+      return { fullResync: true };
+    }
+  }
+
+  async trySyncOnTab(tabId, options = {}) {
     // First, test if content script is available
     const isAvailable = await this.testContentScript(tabId);
     if (!isAvailable) {
@@ -513,11 +691,13 @@ class BackgroundService {
         message: 'Content script not available on this tab'
       };
     }
+
+    const scrapeOptions = await this.getScrapeOptions(options);
     
     return new Promise((resolve) => {
       // Send message to content script to start scraping
       console.log('Sending start-scraping message to content script...');
-      chrome.tabs.sendMessage(tabId, { action: 'start-scraping' }, async (response) => {
+      chrome.tabs.sendMessage(tabId, { action: 'start-scraping', options: scrapeOptions }, async (response) => {
         if (chrome.runtime.lastError) {
           console.error('Chrome runtime error:', chrome.runtime.lastError);
           resolve({
@@ -543,17 +723,22 @@ class BackgroundService {
           const storeResult = await this.storeScrapedData(response.data);
           
           // Record sync history
-          await this.recordSyncHistory(response.data, storeResult);
+          await this.recordSyncHistory(response.data, storeResult, scrapeOptions);
           
           // Update settings with new stats
-          await this.updateSyncStats(response.data);
+          await this.updateSyncStats();
+
+          const booksSkipped = response.data.stats?.booksSkipped || 0;
           
           resolve({
             status: 'success',
-            message: `Successfully synced ${response.data.highlights.length} highlights from ${response.data.books.length} books`,
+            message: `Successfully synced ${response.data.highlights.length} highlights from ${response.data.books.length} books` +
+              (booksSkipped > 0 ? ` (${booksSkipped} unchanged books skipped)` : ''),
             data: {
               totalBooks: response.data.books.length,
               totalHighlights: response.data.highlights.length,
+              booksScanned: response.data.books.length,
+              booksSkipped,
               errors: response.data.stats?.errors || []
             }
           });
@@ -569,6 +754,21 @@ class BackgroundService {
     const results = {
       booksAdded: 0,
       highlightsAdded: 0,
+      highlightsUpdated: 0,
+      highlightsEdited: 0,
+      highlightsRemoved: 0,
+      changes: {
+        newBooks: [],
+        newHighlights: [],
+        changedNotes: [],
+        editedHighlights: [],
+        removedHighlights: [],
+        parseFailures: (scrapedData.stats?.errors || []).map(error => ({
+          asin: error.asin || '',
+          book: error.book,
+          error: error.error
+        }))
+      },
       errors: []
     };
 
@@ -582,9 +782,18 @@ class BackgroundService {
           // Remove sourceElement before storing
           const cleanBook = { ...book };
           delete cleanBook.sourceElement;
+
+          // Merged into another book; its highlights are reconciled onto that one
+          if (await database.resolveBookAlias(book.asin) !== book.asin) continue;
+
+          const isNewBook = !(await database.getBook(book.asin));
           
           await database.addBook(cleanBook);
           results.booksAdded++;
+
+          if (isNewBook) {
+            results.changes.newBooks.push({ asin: book.asin, title: book.title, author: book.author });
+          }
         } catch (error) {
           console.warn('Error storing book:', error);
           results.errors.push({
@@ -595,22 +804,40 @@ class BackgroundService {
         }
       }
 
-      // Store highlights
-      for (const highlight of highlights) {
+      // Reconcile each scanned book's highlights with the stored copy.
+      // Books that failed to scrape are left alone so nothing is marked removed by mistake
+      const failedBooks = new Set((scrapedData.stats?.errors || []).map(error => error.asin));
+
+      for (const book of books) {
+        if (failedBooks.has(book.asin)) continue;
+
         try {
-          await database.addHighlight(highlight);
-          results.highlightsAdded++;
+          const bookHighlights = highlights.filter(h => h.bookAsin === book.asin);
+          const reconciled = await this.syncReconciler.reconcileBook(book.asin, bookHighlights);
+
+          results.highlightsAdded += reconciled.added;
+          results.highlightsUpdated += reconciled.updated;
+          results.highlightsEdited += reconciled.edited;
+          results.highlightsRemoved += reconciled.removed;
+          results.errors.push(...reconciled.errors);
+
+          const withBook = item => ({ ...item, bookAsin: book.asin, bookTitle: book.title });
+          results.changes.newHighlights.push(...reconciled.changes.added.map(withBook));
+          results.changes.changedNotes.push(...reconciled.changes.notesChanged.map(withBook));
+          results.changes.editedHighlights.push(...reconciled.changes.edited.map(withBook));
+          results.changes.removedHighlights.push(...reconciled.changes.removed.map(withBook));
         } catch (error) {
-          console.warn('Error storing highlight:', error);
+          console.warn('Error reconciling highlights:', error);
           results.errors.push({
-            type: 'highlight',
-            item: highlight.text.substring(0, 50) + '...',
+            type: 'book',
+            item: book.title,
             error: error.message
           });
         }
       }
 
-      console.log(`Stored ${results.booksAdded} books and ${results.highlightsAdded} highlights`);
+      console.log(`Stored ${results.booksAdded} books and ${results.highlightsAdded} new highlights ` +
+        `(${results.highlightsUpdated} updated, ${results.highlightsEdited} edited, ${results.highlightsRemoved} removed upstream)`);
       return results;
 
     } catch (error) {
@@ -624,28 +851,39 @@ class BackgroundService {
     }
   }
 
-  async recordSyncHistory(scrapedData, storeResult) {
+  async recordSyncHistory(scrapedData, storeResult, scrapeOptions = {}) {
     try {
       await database.addSyncRecord({
         highlightsAdded: storeResult.highlightsAdded,
+        highlightsUpdated: storeResult.highlightsUpdated,
+        highlightsEdited: storeResult.highlightsEdited,
+        highlightsRemoved: storeResult.highlightsRemoved,
         highlightsTotal: scrapedData.highlights.length,
-        status: storeResult.errors.length > 0 ? 'partial' : 'success',
-        errorMessage: storeResult.errors.length > 0 ? 
-          `${storeResult.errors.length} items failed to store` : ''
+        syncType: scrapeOptions.fullResync ? 'full' : 'incremental',
+        booksScanned: scrapedData.books.length,
+        booksSkipped: scrapedData.stats?.booksSkipped || 0,
+        changes: storeResult.changes,
+        status: storeResult.errors.length > 0 || storeResult.changes.parseFailures.length > 0 ? 'partial' : 'success',
+        errorMessage: [
+          storeResult.errors.length > 0 ? `${storeResult.errors.length} items failed to store` : '',
+          storeResult.changes.parseFailures.length > 0 ? `${storeResult.changes.parseFailures.length} books failed to load` : ''
+        ].filter(Boolean).join('; ')
       });
     } catch (error) {
       console.error('Failed to record sync history:', error);
     }
   }
 
-  async updateSyncStats(scrapedData) {
+  async updateSyncStats() {
     try {
+      // An incremental sync only returns changed books, so count what is stored
+      const stats = await database.getStats();
       const currentSettings = await this.getSettings();
       await this.saveSettings({
         ...currentSettings,
         lastSyncTime: Date.now(),
-        totalBooks: scrapedData.books.length,
-        totalHighlights: scrapedData.highlights.length
+        totalBooks: stats.totalBooks,
+        totalHighlights: stats.totalHighlights
       });
     } catch (error) {
       console.error('Failed to update sync stats:', error);
@@ -839,6 +1077,36 @@ class BackgroundService {
     }
   }
 
+  // Quiz mode: blank out each queued highlight's rarest terms, ranked against the whole library
+  async attachClozeCards(queue) {
+    const stats = this.clozeGenerator.buildCorpusStats(await database.getAllHighlights());
+
+    for (const item of queue) {
+      item.cloze = this.clozeGenerator.createCloze(item.highlight, stats);
+    }
+  }
+
+  // Edits made while reviewing: only the user's own fields may change
+  async updateHighlightDetails(highlightId, updates = {}) {
+    const allowed = {};
+
+    if (typeof updates.note === 'string') {
+      allowed.note = updates.note.trim();
+      // Keeps the next sync from overwriting the note with Amazon's copy
+      allowed.noteEditedLocally = true;
+    }
+    if (Array.isArray(updates.tags)) {
+      allowed.tags = Array.from(new Set(updates.tags.map(tag => String(tag).trim()).filter(Boolean)));
+    }
+    if (typeof updates.suspended === 'boolean') {
+      allowed.suspended = updates.suspended;
+    }
+
+    await database.init();
+    await database.updateHighlight(highlightId, allowed);
+    return database.getHighlight(highlightId);
+  }
+
   async getSettings() {
     try {
       console.log('Getting settings...');
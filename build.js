@@ -160,7 +160,8 @@ class ProductionBuilder {
     const cssFiles = [
       'popup/popup.css',
       'options/options.css',
-      'onboarding/welcome.css'
+      'onboarding/welcome.css',
+      'review/review.css'
     ];
 
     for (const cssFile of cssFiles) {
@@ -198,6 +199,7 @@ class ProductionBuilder {
       'popup/popup.js',
       'options/options.js',
       'onboarding/welcome.js',
+      'review/review.js',
       'background.js'
     ];
 
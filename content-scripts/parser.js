@@ -50,12 +50,14 @@ class KindleParser {
         'span[id="highlight"]'
       ],
       location: [
+        '#annotationHighlightHeader',  // "Yellow highlight | Location: 142" in annotation rows
         '.kp-notebook-page-range',  // Location/page info
         '[class*="location"]',
         '.a-size-mini',
         'span[class*="location"]'
       ],
       note: [
+        'span#note',  // Note text inside an annotation row
         '.kp-notebook-note',
         '[class*="note"]',
         '.annotation-note',
@@ -81,6 +83,32 @@ class KindleParser {
       'highlight-pink': 'pink',
       'highlight-orange': 'orange'
     };
+
+    // Month names used by Kindle in the locales it writes dates in
+    // (My Clippings.txt "Added on" lines, notebook annotated dates)
+    this.monthNames = {
+      january: 0, jan: 0, januar: 0, janvier: 0, enero: 0, gennaio: 0, janeiro: 0, januari: 0,
+      february: 1, feb: 1, februar: 1, février: 1, fevrier: 1, febrero: 1, febbraio: 1, fevereiro: 1, februari: 1,
+      march: 2, mar: 2, märz: 2, maerz: 2, mars: 2, marzo: 2, março: 2, marco: 2, maart: 2,
+      april: 3, apr: 3, avril: 3, abril: 3, aprile: 3,
+      may: 4, mai: 4, mayo: 4, maggio: 4, maio: 4, mei: 4,
+      june: 5, jun: 5, juni: 5, juin: 5, junio: 5, giugno: 5, junho: 5,
+      july: 6, jul: 6, juli: 6, juillet: 6, julio: 6, luglio: 6, julho: 6,
+      august: 7, aug: 7, août: 7, aout: 7, agosto: 7, augustus: 7,
+      september: 8, sep: 8, sept: 8, septembre: 8, septiembre: 8, settembre: 8, setembro: 8,
+      october: 9, oct: 9, oktober: 9, octobre: 9, octubre: 9, ottobre: 9, outubro: 9,
+      november: 10, nov: 10, novembre: 10, noviembre: 10, novembro: 10,
+      december: 11, dec: 11, dezember: 11, décembre: 11, decembre: 11, diciembre: 11, dicembre: 11, dezembro: 11
+    };
+
+    // Page and location labels in the languages of the regional notebook sites,
+    // e.g. "Page: 12", "Seite: 12", "12 ページ", "Location: 142", "Position: 142", "位置: 142"
+    this.pagePatterns = [
+      /(?:page|p\.?|seite|página|pagina)\s*:?\s*(\d+)/i,
+      /(\d+)\s*(?:ページ|页)/,
+      /(?:ページ|页)\s*:?\s*(\d+)/
+    ];
+    this.locationPattern = /(?:location|loc\.?|position|posición|posicion|posizione|posição|emplacement|位置\s*(?:no\.)?)\s*:?\s*(\d+)/i;
   }
 
   extractBookInfo(element) {
@@ -115,7 +143,12 @@ class KindleParser {
       // Extract cover URL
       const coverUrl = this.extractCoverUrl(element);
 
-      return this.createBookObject(title, author, asin, coverUrl, element);
+      const book = this.createBookObject(title, author, asin, coverUrl, element);
+
+      // Extract the date the book was last annotated (used for incremental sync)
+      book.lastAnnotated = this.extractLastAnnotatedDate(element);
+
+      return book;
 
     } catch (error) {
       console.warn('Error extracting book info:', error);
@@ -137,10 +170,14 @@ class KindleParser {
       }
 
       // Extract location/page information
-      const location = this.extractTextContent(element, this.highlightSelectors.location) || '';
+      const location = this.normalizeLocation(
+        this.extractTextContent(element, this.highlightSelectors.location) || ''
+      );
 
       // Extract any associated note
-      const note = this.extractTextContent(element, this.highlightSelectors.note) || '';
+      const note = this.normalizeNote(
+        this.extractTextContent(element, this.highlightSelectors.note) || ''
+      );
 
       // Extract highlight color
       const color = this.extractHighlightColor(element);
@@ -173,6 +210,20 @@ class KindleParser {
     return null;
   }
 
+  // Annotation headers read "Yellow highlight | Location: 142"; keep the location part
+  normalizeLocation(location) {
+    if (!location.includes('|')) {
+      return location;
+    }
+    const segments = location.split('|');
+    return segments[segments.length - 1].trim();
+  }
+
+  // The note container always carries a "Note:" label, even when it is empty
+  normalizeNote(note) {
+    return note.replace(/^note:\s*/i, '');
+  }
+
   extractMainTextContent(element) {
     // Find the element with the most meaningful text content
     const textElements = element.querySelectorAll('*');
@@ -272,6 +323,16 @@ class KindleParser {
     return '';
   }
 
+  // The library sidebar keeps each book's last annotated day in a hidden input,
+  // e.g. <input id="kp-notebook-annotated-date-B0XXXXXXXX" value="Monday July 21, 2025">
+  extractLastAnnotatedDate(element) {
+    const input = this.safeQuerySelector('input[id^="kp-notebook-annotated-date"]', element);
+    if (!input || !input.value) {
+      return null;
+    }
+    return this.parseLocalizedDate(input.value) || this.parseDate(input.value);
+  }
+
   extractHighlightColor(element) {
     // First check the element itself for color attributes
     const directColor = element.getAttribute('data-color') ||
@@ -291,6 +352,14 @@ class KindleParser {
         if (colorAttr && this.colorMap[colorAttr]) {
           return this.colorMap[colorAttr];
         }
+
+        // Annotation rows carry the color as a class on the highlight element
+        const childClassNames = colorElement.className || '';
+        for (const [key, value] of Object.entries(this.colorMap)) {
+          if (key.startsWith('highlight-') && childClassNames.includes(key)) {
+            return value;
+          }
+        }
       }
     }
 
@@ -346,7 +415,76 @@ class KindleParser {
       return date.getTime();
     }
 
-    return null;
+    // Regional notebook sites write dates in their own language
+    return this.parseLocalizedDate(dateString);
+  }
+
+  // Parse dates written out in a Kindle locale, e.g.
+  // "Added on Monday, 1 January 2018 10:00:00", "Hinzugefügt am Montag, 1. Januar 2018 10:00:00"
+  // or "作成日: 2018年1月1日 月曜日 10:00:00". Returns a local timestamp or null.
+  parseLocalizedDate(dateString) {
+    if (!dateString) return null;
+
+    const text = dateString.toLowerCase();
+    const time = this.parseLocalizedTime(text);
+
+    // CJK dates: 2018年1月1日
+    const cjkMatch = text.match(/(\d{4})\s*年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/);
+    if (cjkMatch) {
+      return new Date(
+        parseInt(cjkMatch[1]),
+        parseInt(cjkMatch[2]) - 1,
+        parseInt(cjkMatch[3]),
+        time.hours,
+        time.minutes,
+        time.seconds
+      ).getTime();
+    }
+
+    // Word-based dates: find a month name, a four digit year and a day number
+    const tokens = text
+      .replace(/\d{1,2}:\d{2}(:\d{2})?/g, ' ')
+      .split(/[^\p{L}\d]+/u)
+      .filter(token => token);
+
+    let month = null;
+    let year = null;
+    let day = null;
+
+    for (const token of tokens) {
+      if (month === null && Object.prototype.hasOwnProperty.call(this.monthNames, token)) {
+        month = this.monthNames[token];
+      } else if (/^\d{4}$/.test(token)) {
+        year = parseInt(token);
+      } else if (day === null && /^\d{1,2}$/.test(token)) {
+        day = parseInt(token);
+      }
+    }
+
+    if (month === null || year === null || day === null || day < 1 || day > 31) {
+      return null;
+    }
+
+    return new Date(year, month, day, time.hours, time.minutes, time.seconds).getTime();
+  }
+
+  parseLocalizedTime(text) {
+    const match = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) {
+      return { hours: 0, minutes: 0, seconds: 0 };
+    }
+
+    let hours = parseInt(match[1]);
+    const isPM = /\bpm\b|p\.\s?m\.|午後|下午/.test(text);
+    const isAM = /\bam\b|a\.\s?m\.|午前|上午/.test(text);
+    if (isPM && hours < 12) hours += 12;
+    if (isAM && hours === 12) hours = 0;
+
+    return {
+      hours,
+      minutes: parseInt(match[2]),
+      seconds: match[3] ? parseInt(match[3]) : 0
+    };
   }
 
   createBookObject(title, author, asin, coverUrl, element) {
@@ -376,8 +514,14 @@ class KindleParser {
   }
 
   generateHighlightId(text, bookAsin) {
-    // Generate a consistent ID based on text content and book
-    const cleanText = text.toLowerCase().replace(/[^a-z0-9]/g, '');
+    // Generate a consistent ID based on text content and book. The ASCII-only
+    // normalization is kept whenever it leaves real content, so stored IDs stay
+    // stable even with a foreign word in the text. Text mostly in other scripts
+    // reduces to nearly nothing that way, so it keeps every letter instead
+    const lowerText = text.toLowerCase();
+    const ascii = lowerText.replace(/[^a-z0-9]/g, '');
+    const letters = lowerText.replace(/[^\p{L}\p{N}]/gu, '');
+    const cleanText = ascii.length * 2 >= letters.length ? ascii : letters;
     const hash = this.simpleHash(cleanText + bookAsin);
     return `highlight_${bookAsin}_${hash}`;
   }
@@ -401,14 +545,16 @@ class KindleParser {
   extractPageNumber(location) {
     if (!location) return '';
     
-    // Look for page patterns like "Page 42", "p. 123", etc.
-    const pageMatch = location.match(/(?:page|p\.?)\s*(\d+)/i);
-    if (pageMatch) {
-      return pageMatch[1];
+    // Look for page patterns like "Page 42", "p. 123", "Seite 42", etc.
+    for (const pattern of this.pagePatterns) {
+      const pageMatch = location.match(pattern);
+      if (pageMatch) {
+        return pageMatch[1];
+      }
     }
 
-    // Look for location patterns like "Location 2345"
-    const locationMatch = location.match(/(?:location|loc\.?)\s*(\d+)/i);
+    // Look for location patterns like "Location 2345" or "位置: 2345"
+    const locationMatch = location.match(this.locationPattern);
     if (locationMatch) {
       return `loc:${locationMatch[1]}`;
     }
@@ -2,12 +2,15 @@
 // Based on analysis of clippings.io extension and Amazon's actual structure
 // Hybrid approach: combines bulk extraction with reliable overlay UI
 
+/* global KindleParser, amazonRegions */
+
 console.log('Kindle Highlights Reminder: Advanced scraper loaded on', window.location.href);
 
 class KindleBulkScraper {
   constructor() {
     this.isActive = false;
     this.parser = new KindleParser();
+    this.region = amazonRegions.detectRegionFromUrl(window.location.href) || amazonRegions.defaultRegion;
     this.scraperState = {
       isRunning: false,
       totalBooks: 0,
@@ -30,9 +33,7 @@ class KindleBulkScraper {
   }
 
   isKindleNotebookPage() {
-    const url = window.location.href;
-    return url.includes('read.amazon.com/notebook') || 
-           url.includes('read.amazon.com/kp/notebook');
+    return amazonRegions.isNotebookUrl(window.location.href);
   }
 
   async checkAuthenticationState() {
@@ -63,6 +64,7 @@ class KindleBulkScraper {
       action: 'page-detected',
       url: window.location.href,
       pageType: 'kindle-notebook',
+      region: this.region,
       isAuthenticated: !document.querySelector('.ap-sign-in-page')
     };
 
@@ -98,19 +100,48 @@ class KindleBulkScraper {
       this.updateProgress('Page loaded, extracting books...');
 
       // Step 1: Extract all books from library in bulk
-      const books = await this.extractAllBooksFromLibrary();
-      this.scraperState.totalBooks = books.length;
+      const libraryBooks = await this.extractAllBooksFromLibrary();
       
-      console.log(`Found ${books.length} books`);
-      this.updateProgress(`Found ${books.length} books to process`);
+      console.log(`Found ${libraryBooks.length} books`);
+
+      // Skip books that haven't been annotated since we last stored them,
+      // unless a full resync was requested
+      const knownBooks = options.knownBooks || {};
+      const books = options.fullResync
+        ? libraryBooks
+        : libraryBooks.filter(book => !this.isBookUnchanged(book, knownBooks[book.asin]));
+      const skippedBooks = libraryBooks
+        .filter(book => !books.includes(book))
+        .map(book => ({ asin: book.asin, title: book.title }));
+
+      this.scraperState.totalBooks = books.length;
+      this.updateProgress(
+        skippedBooks.length > 0
+          ? `Found ${books.length} changed books to process (${skippedBooks.length} unchanged)`
+          : `Found ${books.length} books to process`
+      );
 
       if (books.length === 0) {
-        this.updateProgress('No books found in library');
+        const message = libraryBooks.length === 0
+          ? 'No books found in library'
+          : 'All books are up to date';
+        this.updateProgress(message);
         setTimeout(() => this.removeProgressOverlay(), 2000);
         return {
           status: 'success',
-          message: 'No books found in library',
-          data: { books: [], highlights: [] }
+          message,
+          data: {
+            books: [],
+            highlights: [],
+            skippedBooks,
+            stats: {
+              totalBooks: libraryBooks.length,
+              booksScanned: 0,
+              booksSkipped: skippedBooks.length,
+              totalHighlights: 0,
+              errors: []
+            }
+          }
         };
       }
 
@@ -139,13 +170,18 @@ class KindleBulkScraper {
           console.error(`Error processing book ${book.title}:`, error);
           this.scraperState.errors.push({
             book: book.title,
+            asin: book.asin,
             error: error.message
           });
+
+          // Keep the previous sync time so the next incremental sync retries this book
+          book.lastUpdated = knownBooks[book.asin] || 0;
         }
       }
 
       this.updateProgress(`✅ Complete! Found ${allHighlights.length} highlights from ${books.length} books`);
-      console.log(`Scraping complete. Found ${allHighlights.length} highlights from ${books.length} books`);
+      console.log(`Scraping complete. Found ${allHighlights.length} highlights from ${books.length} books ` +
+        `(${skippedBooks.length} unchanged books skipped)`);
 
       // Keep overlay visible for 3 seconds
       setTimeout(() => this.removeProgressOverlay(), 3000);
@@ -155,8 +191,11 @@ class KindleBulkScraper {
         data: {
           books: books,
           highlights: allHighlights,
+          skippedBooks,
           stats: {
-            totalBooks: books.length,
+            totalBooks: libraryBooks.length,
+            booksScanned: books.length,
+            booksSkipped: skippedBooks.length,
             totalHighlights: allHighlights.length,
             errors: this.scraperState.errors
           }
@@ -181,6 +220,23 @@ class KindleBulkScraper {
     }
   }
 
+  // The sidebar only shows the day a book was last annotated, so a book counts as
+  // unchanged only if we stored it after that whole day had passed
+  isBookUnchanged(book, lastSynced) {
+    if (!lastSynced || !book.lastAnnotated) {
+      return false;
+    }
+
+    const annotated = new Date(book.lastAnnotated);
+    const endOfAnnotatedDay = new Date(
+      annotated.getFullYear(),
+      annotated.getMonth(),
+      annotated.getDate() + 1
+    ).getTime();
+
+    return lastSynced >= endOfAnnotatedDay;
+  }
+
   async waitForPageLoad() {
     // Wait for initial content to load
     await new Promise(resolve => {
@@ -234,6 +290,10 @@ class KindleBulkScraper {
       try {
         const book = this.parser.extractBookInfo(element);
         if (book && book.title) {
+          // Keep books from different marketplaces apart
+          book.asin = amazonRegions.namespaceAsin(book.asin, this.region);
+          book.region = this.region;
+
           // Store the original element for later use
           book.sourceElement = element;
           books.push(book);
@@ -272,7 +332,9 @@ class KindleBulkScraper {
     
     for (const element of allHighlightElements) {
       try {
-        const highlight = this.parser.extractHighlightInfo(element, book);
+        // Parse the whole annotation row so the location header and note come along
+        const row = element.closest('#kp-notebook-annotations .a-row.a-spacing-base') || element;
+        const highlight = this.parser.extractHighlightInfo(row, book);
         if (highlight && highlight.text) {
           highlights.push(highlight);
         }
@@ -292,7 +354,7 @@ class KindleBulkScraper {
     
     // If no source element, try to find it
     if (!bookElement && book.asin) {
-      bookElement = document.querySelector(`#${book.asin}`);
+      bookElement = document.getElementById(amazonRegions.stripNamespace(book.asin));
     }
     
     if (!bookElement) {
@@ -0,0 +1,137 @@
+// Kindle Highlights Reminder - Amazon Regions
+// Maps each Amazon marketplace to its Kindle notebook host, and namespaces ASINs
+// so the same ASIN bought in two regions is stored as two books
+
+class AmazonRegions {
+  constructor() {
+    this.defaultRegion = 'us';
+
+    this.regions = {
+      us: { name: 'United States', storeDomain: 'amazon.com', notebookHost: 'read.amazon.com' },
+      uk: { name: 'United Kingdom', storeDomain: 'amazon.co.uk', notebookHost: 'read.amazon.co.uk' },
+      de: { name: 'Germany', storeDomain: 'amazon.de', notebookHost: 'read.amazon.de' },
+      jp: { name: 'Japan', storeDomain: 'amazon.co.jp', notebookHost: 'read.amazon.co.jp' },
+      in: { name: 'India', storeDomain: 'amazon.in', notebookHost: 'read.amazon.in' },
+      ca: { name: 'Canada', storeDomain: 'amazon.ca', notebookHost: 'read.amazon.ca' }
+    };
+
+    this.notebookPaths = ['/notebook', '/kp/notebook'];
+  }
+
+  getRegionCodes() {
+    return Object.keys(this.regions);
+  }
+
+  getRegion(code) {
+    return this.regions[code] || this.regions[this.defaultRegion];
+  }
+
+  // Resolve a region setting ('auto', '' or a region code) to a region code
+  resolveRegion(setting, detected = null) {
+    if (setting && this.regions[setting]) {
+      return setting;
+    }
+    return detected && this.regions[detected] ? detected : this.defaultRegion;
+  }
+
+  // Works for both notebook hosts (read.amazon.de) and store hosts (www.amazon.de)
+  detectRegionFromUrl(url) {
+    const hostname = this.getHostname(url);
+    if (!hostname) {
+      return null;
+    }
+
+    for (const [code, region] of Object.entries(this.regions)) {
+      if (hostname === region.notebookHost ||
+          hostname === region.storeDomain ||
+          hostname.endsWith(`.${region.storeDomain}`)) {
+        return code;
+      }
+    }
+
+    return null;
+  }
+
+  isNotebookUrl(url) {
+    const hostname = this.getHostname(url);
+    if (!hostname) {
+      return false;
+    }
+
+    const isNotebookHost = Object.values(this.regions).some(region => region.notebookHost === hostname);
+    if (!isNotebookHost) {
+      return false;
+    }
+
+    const pathname = new URL(url).pathname;
+    return this.notebookPaths.some(path => pathname.startsWith(path));
+  }
+
+  getNotebookUrl(code) {
+    return `https://${this.getRegion(code).notebookHost}/notebook`;
+  }
+
+  // chrome.tabs.query patterns for notebook tabs, in one region or all of them
+  getNotebookUrlPatterns(code = null) {
+    const regions = code ? [this.getRegion(code)] : Object.values(this.regions);
+    const patterns = [];
+
+    for (const region of regions) {
+      for (const path of this.notebookPaths) {
+        patterns.push(`*://${region.notebookHost}${path}*`);
+      }
+    }
+
+    return patterns;
+  }
+
+  getStoreUrlPatterns(code = null) {
+    const regions = code ? [this.getRegion(code)] : Object.values(this.regions);
+    return regions.flatMap(region => [`*://${region.storeDomain}/*`, `*://*.${region.storeDomain}/*`]);
+  }
+
+  // US ASINs stay bare so existing libraries keep their keys; other regions get a prefix
+  namespaceAsin(asin, code) {
+    if (!asin || !code || code === this.defaultRegion || !this.regions[code]) {
+      return asin;
+    }
+    if (this.getAsinRegion(asin) === code) {
+      return asin;
+    }
+    return `${code}:${asin}`;
+  }
+
+  stripNamespace(asin) {
+    return asin ? asin.replace(/^[a-z]{2}:/, '') : asin;
+  }
+
+  getAsinRegion(asin) {
+    const match = asin ? asin.match(/^([a-z]{2}):/) : null;
+    return match && this.regions[match[1]] ? match[1] : this.defaultRegion;
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Create singleton instance
+const amazonRegions = new AmazonRegions();
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { AmazonRegions, amazonRegions };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.AmazonRegions = AmazonRegions;
+  self.amazonRegions = amazonRegions;
+} else {
+  // Browser environment
+  window.AmazonRegions = AmazonRegions;
+  window.amazonRegions = amazonRegions;
+}
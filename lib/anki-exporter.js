@@ -0,0 +1,160 @@
+// Kindle Highlights Reminder - Anki Exporter
+// Writes highlights as an Anki notes file (tab-separated with import headers):
+// one deck per book, tags and color as Anki tags, optional cloze cards
+
+class AnkiExporter {
+  constructor(database, scheduler, clozeGenerator) {
+    this.database = database;
+    this.scheduler = scheduler;
+    this.clozeGenerator = clozeGenerator;
+
+    this.deckRoot = 'Kindle Highlights';
+    this.noteTypes = { basic: 'Basic', cloze: 'Cloze' };
+  }
+
+  // Export the given highlight IDs, or everything a search/filter matches
+  async exportNotes({ highlightIds = null, query = '', filters = {}, cloze = false } = {}) {
+    await this.database.init();
+
+    const highlights = highlightIds
+      ? (await Promise.all(highlightIds.map(id => this.database.getHighlight(id)))).filter(Boolean)
+      : await this.database.searchHighlights(query, filters);
+
+    const books = new Map((await this.database.getAllBooks()).map(book => [book.asin, book]));
+
+    // Blanks are ranked against the whole library, as in the review quiz
+    const stats = cloze
+      ? this.clozeGenerator.buildCorpusStats(await this.database.getAllHighlights())
+      : null;
+
+    const rows = [];
+    let clozeNotes = 0;
+    let scheduledNotes = 0;
+
+    for (const highlight of highlights) {
+      const book = books.get(highlight.bookAsin) || { asin: highlight.bookAsin, title: highlight.bookAsin };
+      const card = cloze ? this.clozeGenerator.createCloze(highlight, stats) : null;
+      if (card) clozeNotes++;
+      if (this.interval(highlight) > 0) scheduledNotes++;
+
+      rows.push(this.buildRow(highlight, book, card));
+    }
+
+    return {
+      text: this.formatFile(rows),
+      notes: rows.length,
+      clozeNotes,
+      scheduledNotes
+    };
+  }
+
+  // Columns: guid, note type, deck, front/text, back/extra, tags
+  buildRow(highlight, book, card) {
+    return [
+      `kindle-${highlight.id}`,
+      card ? this.noteTypes.cloze : this.noteTypes.basic,
+      this.deckName(book),
+      card ? this.clozeText(card) : this.html(highlight.text),
+      this.backText(highlight, book),
+      this.tags(highlight).join(' ')
+    ];
+  }
+
+  // The header lines tell Anki how to read each column; the GUID column
+  // makes a re-import update existing notes instead of duplicating them
+  formatFile(rows) {
+    const header = [
+      '#separator:tab',
+      '#html:true',
+      '#guid column:1',
+      '#notetype column:2',
+      '#deck column:3',
+      '#tags column:6'
+    ];
+
+    return [...header, ...rows.map(row => row.map(field => this.field(field)).join('\t'))].join('\n') + '\n';
+  }
+
+  deckName(book) {
+    const title = (book.title || book.asin).replace(/::/g, ':').trim();
+    return `${this.deckRoot}::${title}`;
+  }
+
+  // Anki cloze syntax; all blanks share c1 so each highlight stays one card
+  clozeText(card) {
+    return card.parts.map((part, index) => {
+      const answer = card.answers[index - 1];
+      return (index > 0 ? `{{c1::${this.html(answer)}}}` : '') + this.html(part);
+    }).join('');
+  }
+
+  backText(highlight, book) {
+    const lines = [`<b>${this.html(book.title || book.asin)}</b>${book.author ? ` by ${this.html(book.author)}` : ''}`];
+
+    if (highlight.location) {
+      lines.push(this.html(highlight.location));
+    }
+    if (highlight.note) {
+      lines.push(`<i>${this.html(highlight.note)}</i>`);
+    }
+
+    return lines.join('<br>');
+  }
+
+  // User tags, the highlight color and the current interval; Anki tags cannot
+  // hold spaces and use "::" for hierarchy
+  tags(highlight) {
+    const tags = (highlight.tags || []).map(tag => this.tagName(tag)).filter(Boolean);
+
+    if (highlight.color) {
+      tags.push(`color::${this.tagName(highlight.color)}`);
+    }
+
+    // Anki's text import can't set scheduling, so the interval travels as a tag
+    // that "Set Due Date" with "N!" can restore
+    const interval = this.interval(highlight);
+    if (interval > 0) {
+      tags.push(`interval::${interval}`);
+    }
+
+    return Array.from(new Set(tags));
+  }
+
+  // Days between reviews, or 0 for a highlight never reviewed
+  interval(highlight) {
+    if (!this.scheduler || this.scheduler.isNew(highlight)) {
+      return 0;
+    }
+    return this.scheduler.getSchedule(highlight).interval || 0;
+  }
+
+  tagName(tag) {
+    return String(tag).trim().replace(/\s+/g, '_');
+  }
+
+  html(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\r?\n/g, '<br>');
+  }
+
+  // Tabs and line breaks would split the row
+  field(value) {
+    return String(value).replace(/[\t\r\n]+/g, ' ');
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { AnkiExporter };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.AnkiExporter = AnkiExporter;
+} else {
+  // Browser environment
+  window.AnkiExporter = AnkiExporter;
+}
@@ -0,0 +1,399 @@
+// Kindle Highlights Reminder - My Clippings.txt Importer
+// Parses the clippings file Kindle devices write for every highlight, note and bookmark
+
+class ClippingsImporter {
+  constructor(database, parser) {
+    this.database = database;
+    this.parser = parser;
+
+    this.entrySeparator = /^\s*={5,}\s*$/m;
+
+    // Words Kindle uses for each clipping type, across device languages
+    this.typeKeywords = {
+      bookmark: ['bookmark', 'lesezeichen', 'signet', 'marcador', 'segnalibro', 'bladwijzer', 'ブックマーク', '书签', 'закладка'],
+      highlight: ['highlight', 'markierung', 'surlignement', 'subrayado', 'evidenziazione', 'destaque', 'markering', 'ハイライト', '标注', 'выделение'],
+      note: ['note', 'notiz', 'nota', 'notitie', 'メモ', '笔记', 'заметка']
+    };
+
+    this.locationPattern = /(?:location|loc\.|position|posición|posicion|posizione|posição|posicao|emplacement|locatie|позиция|位置\s*(?:no\.)?)\s*#?\s*(\d+)(?:\s*-\s*(\d+))?/i;
+    this.pagePatterns = [
+      /(?:page|seite|página|pagina|страница|bladzijde)\s*(\d+)/i,
+      /(\d+)\s*(?:ページ|页)/
+    ];
+  }
+
+  // Parse the raw file contents into clipping entries
+  parseClippings(text) {
+    const results = {
+      entries: [],
+      errors: []
+    };
+
+    if (!text) {
+      return results;
+    }
+
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(this.entrySeparator);
+
+    blocks.forEach((block, index) => {
+      if (!block.trim()) return;
+
+      try {
+        const entry = this.parseEntry(block);
+        if (entry) {
+          results.entries.push(entry);
+        } else {
+          results.errors.push(`Entry ${index + 1}: unrecognized clipping format`);
+        }
+      } catch (error) {
+        results.errors.push(`Entry ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return results;
+  }
+
+  parseEntry(block) {
+    const lines = block.split('\n').map(line => line.replace(/^\uFEFF/, ''));
+
+    // Drop leading blank lines left over from the separator
+    while (lines.length > 0 && !lines[0].trim()) {
+      lines.shift();
+    }
+
+    if (lines.length < 2) {
+      return null;
+    }
+
+    const { title, author } = this.parseTitleLine(lines[0]);
+    const metadata = lines[1];
+    const type = this.detectType(metadata);
+
+    if (!title || !type) {
+      return null;
+    }
+
+    const content = this.parser.cleanText(lines.slice(2).join('\n'));
+    const location = this.parseLocation(metadata);
+
+    return {
+      type,
+      title,
+      author,
+      content,
+      page: this.parsePage(metadata),
+      locationStart: location ? location.start : null,
+      locationEnd: location ? location.end : null,
+      dateAdded: this.parseAddedDate(metadata)
+    };
+  }
+
+  // "Title (Author)" - the author is the last parenthesised group
+  parseTitleLine(line) {
+    const cleaned = this.parser.cleanText(line);
+    const match = cleaned.match(/^(.*)\(([^()]*)\)\s*$/);
+
+    if (match && match[1].trim()) {
+      return {
+        title: match[1].trim(),
+        author: this.normalizeAuthor(match[2].trim())
+      };
+    }
+
+    return { title: cleaned, author: '' };
+  }
+
+  // Kindle writes "Last, First" for sideloaded books; flip single-comma names
+  normalizeAuthor(author) {
+    const parts = author.split(',').map(part => part.trim());
+    if (parts.length === 2 && parts[0] && parts[1] && !author.includes(';')) {
+      return `${parts[1]} ${parts[0]}`;
+    }
+    return author;
+  }
+
+  detectType(metadata) {
+    // Leave out the trailing "Added on ..." segment so month names can't match
+    const segments = metadata.split('|');
+    const lower = (segments.length > 1 ? segments.slice(0, -1).join('|') : metadata).toLowerCase();
+
+    for (const type of ['bookmark', 'highlight', 'note']) {
+      if (this.typeKeywords[type].some(keyword => lower.includes(keyword))) {
+        return type;
+      }
+    }
+
+    return null;
+  }
+
+  parseLocation(metadata) {
+    const match = metadata.match(this.locationPattern);
+    if (!match) {
+      return null;
+    }
+
+    const start = parseInt(match[1]);
+    let end = match[2] ? parseInt(match[2]) : start;
+
+    // Kindle abbreviates ranges like "1234-56" to mean 1234-1256
+    if (end < start && match[2]) {
+      const prefix = match[1].substring(0, match[1].length - match[2].length);
+      end = parseInt(prefix + match[2]);
+    }
+
+    return { start, end };
+  }
+
+  parsePage(metadata) {
+    for (const pattern of this.pagePatterns) {
+      const match = metadata.match(pattern);
+      if (match) {
+        return match[1];
+      }
+    }
+    return '';
+  }
+
+  parseAddedDate(metadata) {
+    const segments = metadata.split('|');
+    const dateSegment = segments[segments.length - 1];
+    return this.parser.parseLocalizedDate(dateSegment) || this.parser.parseDate(dateSegment);
+  }
+
+  formatLocation(entry) {
+    const parts = [];
+
+    if (entry.page) {
+      parts.push(`Page ${entry.page}`);
+    }
+
+    if (entry.locationStart !== null) {
+      parts.push(
+        entry.locationEnd !== entry.locationStart
+          ? `Location ${entry.locationStart}-${entry.locationEnd}`
+          : `Location ${entry.locationStart}`
+      );
+    }
+
+    return parts.join(', ');
+  }
+
+  // Group entries by book and attach each note to the highlight it was written on
+  groupByBook(entries) {
+    const books = new Map();
+
+    for (const entry of entries) {
+      const key = `${entry.title.toLowerCase()}|${entry.author.toLowerCase()}`;
+      if (!books.has(key)) {
+        books.set(key, {
+          title: entry.title,
+          author: entry.author,
+          highlights: [],
+          notes: [],
+          bookmarks: 0
+        });
+      }
+
+      const group = books.get(key);
+      if (entry.type === 'highlight') {
+        this.addHighlightEntry(group.highlights, entry);
+      } else if (entry.type === 'note') {
+        group.notes.push(entry);
+      } else {
+        group.bookmarks++;
+      }
+    }
+
+    for (const group of books.values()) {
+      group.orphanNotes = this.attachNotes(group.highlights, group.notes);
+    }
+
+    return Array.from(books.values());
+  }
+
+  // Extending a highlight on the device writes a second clipping at the same
+  // start location; keep only the latest version
+  addHighlightEntry(highlights, entry) {
+    if (!entry.content) return;
+
+    const existingIndex = highlights.findIndex(h =>
+      h.locationStart !== null &&
+      h.locationStart === entry.locationStart &&
+      (entry.content.includes(h.content) || h.content.includes(entry.content))
+    );
+
+    if (existingIndex >= 0) {
+      highlights[existingIndex] = { ...entry, note: highlights[existingIndex].note };
+    } else {
+      highlights.push({ ...entry, note: '' });
+    }
+  }
+
+  attachNotes(highlights, notes) {
+    const orphans = [];
+
+    for (const note of notes) {
+      if (!note.content) continue;
+
+      const candidates = highlights.filter(h =>
+        note.locationStart !== null &&
+        h.locationStart !== null &&
+        note.locationStart >= h.locationStart &&
+        note.locationStart <= h.locationEnd
+      );
+
+      if (candidates.length === 0) {
+        orphans.push(note);
+        continue;
+      }
+
+      // Kindle anchors the note at the end of its highlight; prefer an exact end match
+      const target = candidates.find(h => h.locationEnd === note.locationStart) ||
+        candidates[candidates.length - 1];
+
+      target.note = target.note ? `${target.note} ${note.content}` : note.content;
+    }
+
+    return orphans;
+  }
+
+  // Reuse the ASIN of a book we already know by title, so highlights land on
+  // the same book (and get the same IDs) as a web notebook sync would produce
+  resolveBookAsin(title, existingBooks) {
+    const normalizedTitle = title.toLowerCase().trim();
+    const match = existingBooks.find(book =>
+      book.title && book.title.toLowerCase().trim() === normalizedTitle
+    );
+    return match ? match.asin : this.parser.generatePseudoASIN(title);
+  }
+
+  // Parse a My Clippings.txt file and store its highlights
+  async importClippings(text) {
+    const results = {
+      books: { imported: 0, matched: 0 },
+      highlights: { imported: 0, skipped: 0, updated: 0 },
+      notes: { attached: 0, standalone: 0 },
+      bookmarksIgnored: 0,
+      errors: []
+    };
+
+    try {
+      await this.database.init();
+
+      const parsed = this.parseClippings(text);
+      results.errors.push(...parsed.errors);
+
+      const groups = this.groupByBook(parsed.entries);
+      const existingBooks = await this.database.getAllBooks();
+
+      for (const group of groups) {
+        results.bookmarksIgnored += group.bookmarks;
+
+        if (group.highlights.length === 0 && group.orphanNotes.length === 0) {
+          continue;
+        }
+
+        try {
+          const asin = await this.database.resolveBookAlias(this.resolveBookAsin(group.title, existingBooks));
+          const existingBook = existingBooks.find(book => book.asin === asin);
+
+          if (existingBook) {
+            results.books.matched++;
+          } else {
+            const book = {
+              asin,
+              title: group.title,
+              author: group.author || 'Unknown Author',
+              coverUrl: '',
+              source: 'clippings'
+            };
+            await this.database.addBook(book);
+            existingBooks.push(book);
+            results.books.imported++;
+          }
+
+          const book = { asin, title: group.title, author: group.author };
+          // Highlights the user deleted stay deleted, as they do on sync
+          const deletedIds = await this.database.getTombstoneIds(asin);
+          const written = [];
+
+          for (const entry of group.highlights) {
+            if (entry.note) results.notes.attached++;
+            written.push(await this.storeEntry(entry, entry.content, entry.note, book, deletedIds, results));
+          }
+
+          // Notes with no highlight underneath are kept as highlights of their own
+          for (const note of group.orphanNotes) {
+            results.notes.standalone++;
+            written.push(await this.storeEntry(note, note.content, '', book, deletedIds, results));
+          }
+
+          await this.database.indexHighlightsById(written.filter(Boolean));
+        } catch (error) {
+          results.errors.push(`Book import error (${group.title}): ${error.message}`);
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Clippings import failed:', error);
+      throw error;
+    }
+  }
+
+  // Returns the ID of the highlight written, for indexing with the rest of the book
+  async storeEntry(entry, text, note, book, deletedIds, results) {
+    try {
+      const highlight = this.parser.createHighlightObject(
+        text,
+        book,
+        this.formatLocation(entry),
+        note,
+        'yellow',
+        entry.dateAdded
+      );
+      highlight.page = entry.page || highlight.page;
+      highlight.source = 'clippings';
+
+      if (deletedIds.has(highlight.id)) {
+        results.highlights.skipped++;
+        return null;
+      }
+
+      const existing = await this.database.getHighlight(highlight.id);
+      if (existing) {
+        // Already synced from the web notebook: only fill in a missing note
+        if (note && !existing.note) {
+          await this.database.updateHighlight(existing.id, { note: highlight.note }, {
+            source: 'import',
+            label: 'Import clippings',
+            index: false
+          });
+          results.highlights.updated++;
+          return existing.id;
+        }
+        results.highlights.skipped++;
+        return null;
+      }
+
+      await this.database.addHighlight(highlight, { index: false });
+      results.highlights.imported++;
+      return highlight.id;
+    } catch (error) {
+      results.errors.push(`Highlight import error (${text.substring(0, 50)}): ${error.message}`);
+      return null;
+    }
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { ClippingsImporter };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.ClippingsImporter = ClippingsImporter;
+} else {
+  // Browser environment
+  window.ClippingsImporter = ClippingsImporter;
+}
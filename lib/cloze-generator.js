@@ -0,0 +1,180 @@
+// Kindle Highlights Reminder - Cloze Generator
+// Turns highlights into fill-in-the-blank cards by hiding their rarest words,
+// ranked by TF-IDF across the whole highlight library
+
+class ClozeGenerator {
+  constructor() {
+    this.blank = '_____';
+    this.maxBlanks = 2;
+    this.minWordLength = 4;
+
+    // Common words make poor blanks no matter how rare they are in one library
+    this.stopWords = new Set([
+      'about', 'after', 'again', 'also', 'always', 'because', 'been', 'before', 'being',
+      'between', 'both', 'cannot', 'could', 'does', 'doing', 'down', 'each', 'even',
+      'every', 'from', 'further', 'have', 'having', 'here', 'into', 'just', 'like',
+      'made', 'make', 'many', 'more', 'most', 'much', 'must', 'never', 'only', 'other',
+      'ought', 'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their',
+      'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those',
+      'through', 'under', 'until', 'very', 'want', 'were', 'what', 'when', 'where',
+      'which', 'while', 'will', 'with', 'without', 'would', 'your', 'yours'
+    ]);
+  }
+
+  tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}][\p{L}\p{N}'-]*/gu) || [];
+  }
+
+  // Words worth hiding: long enough, not a stop word
+  candidateWords(text) {
+    return this.tokenize(text).filter(word =>
+      word.length >= this.minWordLength && !this.stopWords.has(word)
+    );
+  }
+
+  // Document frequency of every word across the library
+  buildCorpusStats(highlights) {
+    const documentFrequency = new Map();
+
+    for (const highlight of highlights) {
+      for (const word of new Set(this.candidateWords(highlight.text))) {
+        documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+      }
+    }
+
+    return {
+      documentCount: highlights.length,
+      documentFrequency
+    };
+  }
+
+  // Candidate words of one highlight, highest TF-IDF first
+  rankTerms(text, stats) {
+    const words = this.candidateWords(text);
+    const termFrequency = new Map();
+    words.forEach(word => termFrequency.set(word, (termFrequency.get(word) || 0) + 1));
+
+    return Array.from(termFrequency.entries())
+      .map(([word, count]) => {
+        const df = stats.documentFrequency.get(word) || 0;
+        const idf = Math.log((stats.documentCount + 1) / (df + 1)) + 1;
+        return { word, score: (count / words.length) * idf };
+      })
+      .sort((a, b) => b.score - a.score || b.word.length - a.word.length);
+  }
+
+  // Build the card: the highlight text with its key terms blanked out
+  createCloze(highlight, stats, maxBlanks = this.maxBlanks) {
+    const terms = this.rankTerms(highlight.text, stats).slice(0, maxBlanks);
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const answers = [];
+    // The text around each blank, so callers can format blanks their own way
+    const parts = [];
+    let cursor = 0;
+
+    // Blank the terms in reading order so answer fields line up with the text
+    const positioned = terms
+      .map(term => ({ term, match: this.findWord(highlight.text, term.word) }))
+      .filter(entry => entry.match)
+      .sort((a, b) => a.match.index - b.match.index);
+
+    for (const { match } of positioned) {
+      parts.push(highlight.text.slice(cursor, match.index));
+      answers.push(match[0]);
+      cursor = match.index + match[0].length;
+    }
+    parts.push(highlight.text.slice(cursor));
+
+    return {
+      highlightId: highlight.id,
+      prompt: parts.join(this.blank),
+      parts,
+      answers
+    };
+  }
+
+  findWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').exec(text);
+  }
+
+  // Fuzzy answer check: case, accents and small typos are forgiven
+  checkAnswer(expected, given) {
+    const target = this.normalize(expected);
+    const answer = this.normalize(given);
+    const distance = this.editDistance(target, answer);
+    const tolerance = target.length <= 4 ? 0 : target.length <= 8 ? 1 : 2;
+
+    return {
+      correct: answer.length > 0 && distance <= tolerance,
+      exact: distance === 0,
+      expected,
+      given
+    };
+  }
+
+  checkAnswers(cloze, givenAnswers) {
+    const results = cloze.answers.map((expected, index) =>
+      this.checkAnswer(expected, givenAnswers[index] || '')
+    );
+    const correct = results.filter(result => result.correct).length;
+
+    return {
+      results,
+      correct,
+      total: results.length,
+      grade: this.suggestGrade(results)
+    };
+  }
+
+  // Map a quiz result onto the scheduler's grades
+  suggestGrade(results) {
+    if (results.some(result => !result.correct)) return 'again';
+    if (results.some(result => !result.exact)) return 'hard';
+    return 'good';
+  }
+
+  normalize(text) {
+    return (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return previous[b.length];
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { ClozeGenerator };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.ClozeGenerator = ClozeGenerator;
+} else {
+  // Browser environment
+  window.ClozeGenerator = ClozeGenerator;
+}
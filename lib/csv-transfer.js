@@ -0,0 +1,370 @@
+// Kindle Highlights Reminder - CSV Transfer
+// Exports and imports highlights as CSV in the Readwise layout so they can move
+// between spreadsheets and other highlight tools
+
+class CsvTransfer {
+  constructor(database, parser) {
+    this.database = database;
+    this.parser = parser;
+
+    // Column order of a Readwise CSV export
+    this.columns = [
+      { field: 'text', header: 'Highlight' },
+      { field: 'title', header: 'Book Title' },
+      { field: 'author', header: 'Book Author' },
+      { field: 'asin', header: 'Amazon Book ID' },
+      { field: 'note', header: 'Note' },
+      { field: 'color', header: 'Color' },
+      { field: 'tags', header: 'Tags' },
+      { field: 'locationType', header: 'Location Type' },
+      { field: 'location', header: 'Location' },
+      { field: 'date', header: 'Highlighted at' }
+    ];
+
+    // Other header names people use for the same columns in their own sheets
+    this.headerAliases = {
+      text: ['highlight', 'text', 'quote'],
+      title: ['book title', 'title', 'book'],
+      author: ['book author', 'author'],
+      asin: ['amazon book id', 'asin', 'book id'],
+      note: ['note', 'notes'],
+      color: ['color', 'colour'],
+      tags: ['tags', 'tag'],
+      locationType: ['location type'],
+      location: ['location'],
+      date: ['highlighted at', 'date', 'date highlighted', 'created at']
+    };
+
+    this.requiredFields = ['text', 'title'];
+  }
+
+  // Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas,
+  // doubled quotes and line breaks)
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteStartRow = 0;
+
+    const input = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (input[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+        quoteStartRow = rows.length + 1;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting on row ${quoteStartRow}`);
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  formatCsv(rows) {
+    return rows.map(row => row.map(value => this.escapeField(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Find which column holds each field, returns { field: index }
+  mapColumns(header) {
+    const normalized = header.map(name => name.trim().toLowerCase().replace(/[\s_]+/g, ' '));
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(this.headerAliases)) {
+      const index = normalized.findIndex(name => aliases.includes(name));
+      if (index >= 0) {
+        columns[field] = index;
+      }
+    }
+
+    const missing = this.requiredFields.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      const names = missing.map(field => this.columns.find(c => c.field === field).header);
+      throw new Error(`Missing required column${names.length > 1 ? 's' : ''}: ${names.join(', ')}`);
+    }
+
+    return columns;
+  }
+
+  // Build the CSV text for every book's highlights
+  async exportCsv() {
+    const data = await this.database.exportAllData();
+    const books = new Map(data.data.books.map(book => [book.asin, book]));
+
+    const rows = [this.columns.map(column => column.header)];
+
+    for (const highlight of data.data.highlights) {
+      if (highlight.removedUpstream) continue;
+
+      const book = books.get(highlight.bookAsin) || { asin: highlight.bookAsin };
+      const { type, value } = this.splitLocation(highlight);
+
+      rows.push([
+        highlight.text,
+        book.title || '',
+        book.author || '',
+        book.asin,
+        highlight.note || '',
+        highlight.color || '',
+        (highlight.tags || []).join(', '),
+        type,
+        value,
+        this.formatDate(highlight.dateHighlighted)
+      ]);
+    }
+
+    return {
+      csv: this.formatCsv(rows),
+      highlights: rows.length - 1
+    };
+  }
+
+  // Read a CSV file and store its highlights, reporting problems per row
+  async importCsv(text) {
+    const results = {
+      rows: 0,
+      books: { imported: 0, matched: 0 },
+      highlights: { imported: 0, skipped: 0 },
+      rowErrors: []
+    };
+
+    await this.database.init();
+
+    const rows = this.parseCsv(text);
+    if (rows.length === 0) {
+      throw new Error('The CSV file is empty');
+    }
+
+    const columns = this.mapColumns(rows[0]);
+    const existingBooks = await this.database.getAllBooks();
+    const aliases = new Map((await this.database.getBookAliases()).map(alias => [alias.alias, alias.asin]));
+    const newBooks = new Map();
+    const highlights = [];
+    const rowById = new Map();
+
+    // Row numbers count the header as row 1, matching spreadsheet rows
+    rows.slice(1).forEach((row, index) => {
+      const rowNumber = index + 2;
+      if (row.every(value => !value.trim())) return;
+
+      results.rows++;
+
+      try {
+        const record = this.readRow(row, columns);
+        const book = this.resolveBook(record, existingBooks, newBooks, aliases);
+        const highlight = this.buildHighlight(record, book);
+
+        if (rowById.has(highlight.id)) {
+          throw new Error(`Duplicate of row ${rowById.get(highlight.id)}`);
+        }
+
+        if (!existingBooks.includes(book)) {
+          newBooks.set(book.asin, book);
+        }
+        rowById.set(highlight.id, rowNumber);
+        highlights.push(highlight);
+      } catch (error) {
+        results.rowErrors.push({ row: rowNumber, message: error.message });
+      }
+    });
+
+    // Highlights the user deleted stay deleted, as they do on sync
+    const bookAsins = new Set(highlights.map(h => h.bookAsin));
+    const deletedIds = new Set();
+    for (const asin of bookAsins) {
+      for (const id of await this.database.getTombstoneIds(asin)) {
+        deletedIds.add(id);
+      }
+    }
+    const kept = highlights.filter(h => !deletedIds.has(h.id));
+
+    const imported = await this.database.importData(
+      { data: { books: Array.from(newBooks.values()), highlights: kept } },
+      { overwrite: false, skipDuplicates: true }
+    );
+
+    results.books.imported = imported.books.imported;
+    results.books.matched = bookAsins.size - newBooks.size;
+    results.highlights.imported = imported.highlights.imported;
+    results.highlights.skipped = imported.highlights.skipped + highlights.length - kept.length;
+
+    // Point storage failures back at the row they came from
+    for (const message of imported.errors) {
+      const id = Array.from(rowById.keys()).find(key => message.includes(`(${key})`));
+      results.rowErrors.push({ row: id ? rowById.get(id) : null, message });
+    }
+
+    results.rowErrors.sort((a, b) => (a.row || 0) - (b.row || 0));
+    return results;
+  }
+
+  readRow(row, columns) {
+    const value = field => (columns[field] !== undefined ? (row[columns[field]] || '').trim() : '');
+
+    const record = {
+      text: value('text'),
+      title: this.parser.cleanText(value('title')),
+      author: this.parser.cleanText(value('author')),
+      asin: value('asin'),
+      note: value('note'),
+      color: value('color').toLowerCase(),
+      tags: this.parseTags(value('tags')),
+      location: this.joinLocation(value('locationType'), value('location')),
+      dateHighlighted: null
+    };
+
+    if (!record.text) {
+      throw new Error('Missing highlight text');
+    }
+    if (!record.title) {
+      throw new Error('Missing book title');
+    }
+
+    const date = value('date');
+    if (date) {
+      record.dateHighlighted = this.parseDate(date);
+      if (!record.dateHighlighted) {
+        throw new Error(`Unreadable date "${date}"`);
+      }
+    }
+
+    return record;
+  }
+
+  // Prefer the ASIN in the file, then a book we already have by title. ASINs of
+  // books merged into another one resolve to the book they were merged into
+  resolveBook(record, existingBooks, newBooks, aliases = new Map()) {
+    const title = record.title.toLowerCase();
+    const fileAsin = record.asin && (aliases.get(record.asin) || record.asin);
+    const known = existingBooks.find(book =>
+      fileAsin ? book.asin === fileAsin : (book.title || '').toLowerCase().trim() === title
+    );
+    if (known) {
+      return known;
+    }
+
+    const pseudoAsin = this.parser.generatePseudoASIN(record.title);
+    const asin = fileAsin || aliases.get(pseudoAsin) || pseudoAsin;
+    return newBooks.get(asin) || {
+      asin,
+      title: record.title,
+      author: record.author || 'Unknown Author',
+      coverUrl: '',
+      source: 'csv'
+    };
+  }
+
+  buildHighlight(record, book) {
+    const highlight = this.parser.createHighlightObject(
+      record.text,
+      book,
+      record.location,
+      record.note,
+      record.color,
+      record.dateHighlighted
+    );
+
+    // cleanText flattens line breaks; keep the paragraphs of multiline cells
+    highlight.text = this.cleanMultiline(record.text);
+    highlight.note = this.cleanMultiline(record.note);
+    highlight.tags = Array.from(new Set([...record.tags, ...highlight.tags]));
+    highlight.source = 'csv';
+
+    return highlight;
+  }
+
+  cleanMultiline(text) {
+    return text.split(/\r?\n/).map(line => this.parser.cleanText(line)).filter(Boolean).join('\n');
+  }
+
+  parseTags(value) {
+    return value
+      .split(/[,;]/)
+      .map(tag => tag.trim().replace(/^[#.]/, '').toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Readwise stores "location"/"page" and the number in separate columns
+  joinLocation(type, value) {
+    if (!value) return '';
+    if (type.toLowerCase() === 'page') return `Page ${value}`;
+    if (type.toLowerCase() === 'location') return `Location ${value}`;
+    return value;
+  }
+
+  splitLocation(highlight) {
+    const page = String(highlight.page || '');
+    if (page.startsWith('loc:')) {
+      return { type: 'location', value: page.substring(4) };
+    }
+    if (/^\d+$/.test(page)) {
+      return { type: 'page', value: page };
+    }
+    return { type: '', value: highlight.location || '' };
+  }
+
+  // Readwise writes "YYYY-MM-DD HH:MM:SS" in UTC
+  formatDate(timestamp) {
+    if (!timestamp) return '';
+    return new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19);
+  }
+
+  parseDate(value) {
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+      const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+      return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { CsvTransfer };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.CsvTransfer = CsvTransfer;
+} else {
+  // Browser environment
+  window.CsvTransfer = CsvTransfer;
+}
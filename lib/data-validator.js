@@ -9,16 +9,20 @@ class DataValidator {
   initializeSchemas() {
     return {
       book: {
-        asin: { type: 'string', required: true, minLength: 10, maxLength: 20 },
+        // Amazon ASINs, region-namespaced ones, and manual_<uuid> / web_<uuid> IDs for books added by hand or clipped from a page
+        asin: { type: 'string', required: true, minLength: 1, maxLength: 100 },
         title: { type: 'string', required: true, minLength: 1, maxLength: 500 },
         author: { type: 'string', required: true, minLength: 1, maxLength: 200 },
         coverUrl: { type: 'string', required: false, maxLength: 2000 },
         lastUpdated: { type: 'number', required: false },
-        highlightCount: { type: 'number', required: false, min: 0 }
+        highlightCount: { type: 'number', required: false, min: 0 },
+        url: { type: 'string', required: false, maxLength: 2000 },
+        siteName: { type: 'string', required: false, maxLength: 200 },
+        source: { type: 'string', required: false, enum: ['clippings', 'csv', 'manual', 'web'] }
       },
       highlight: {
         id: { type: 'string', required: true, minLength: 1 },
-        bookAsin: { type: 'string', required: true, minLength: 10, maxLength: 20 },
+        bookAsin: { type: 'string', required: true, minLength: 1, maxLength: 100 },
         text: { type: 'string', required: true, minLength: 1, maxLength: 10000 },
         location: { type: 'string', required: false, maxLength: 100 },
         page: { type: 'string', required: false, maxLength: 20 },
@@ -28,7 +32,8 @@ class DataValidator {
         note: { type: 'string', required: false, maxLength: 5000 },
         tags: { type: 'array', required: false, maxItems: 10 },
         timesShown: { type: 'number', required: false, min: 0 },
-        lastShown: { type: 'number', required: false }
+        lastShown: { type: 'number', required: false },
+        source: { type: 'string', required: false, enum: ['clippings', 'csv', 'manual', 'web'] }
       },
       settings: {
         email: { type: 'email', required: false, maxLength: 255 },
@@ -42,7 +47,10 @@ class DataValidator {
           type: 'string', 
           required: false, 
           enum: ['spaced-repetition', 'random', 'oldest-first', 'newest-first', 'weighted-smart'] 
-        }
+        },
+        maxHighlightsPerBook: { type: 'number', required: false, min: 0, max: 20 },
+        bookCooldownDays: { type: 'number', required: false, min: 0, max: 365 },
+        interleaveBooks: { type: 'boolean', required: false }
       },
       emailRecord: {
         id: { type: 'string', required: true },
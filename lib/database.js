@@ -1,11 +1,598 @@
 // Kindle Highlights Reminder - Database Layer
 // IndexedDB wrapper for storing highlights, books, and settings
 
+// Schema migrations, oldest first. Each step runs once, inside onupgradeneeded,
+// for databases older than its version. Append new steps; never edit one that
+// has shipped, since existing installs have already run it.
+const databaseMigrations = [
+  {
+    version: 1,
+    name: 'create-initial-stores',
+    up(db) {
+      const booksStore = db.createObjectStore('books', { keyPath: 'asin' });
+      booksStore.createIndex('title', 'title', { unique: false });
+      booksStore.createIndex('author', 'author', { unique: false });
+      booksStore.createIndex('lastUpdated', 'lastUpdated', { unique: false });
+
+      const highlightsStore = db.createObjectStore('highlights', { keyPath: 'id' });
+      highlightsStore.createIndex('bookAsin', 'bookAsin', { unique: false });
+      highlightsStore.createIndex('dateHighlighted', 'dateHighlighted', { unique: false });
+      highlightsStore.createIndex('dateAdded', 'dateAdded', { unique: false });
+      highlightsStore.createIndex('color', 'color', { unique: false });
+      highlightsStore.createIndex('lastSentInEmail', 'lastSentInEmail', { unique: false });
+
+      const syncStore = db.createObjectStore('sync_history', { keyPath: 'id' });
+      syncStore.createIndex('syncDate', 'syncDate', { unique: false });
+      syncStore.createIndex('status', 'status', { unique: false });
+
+      const emailStore = db.createObjectStore('email_history', { keyPath: 'id' });
+      emailStore.createIndex('sentDate', 'sentDate', { unique: false });
+      emailStore.createIndex('status', 'status', { unique: false });
+    }
+  },
+  {
+    version: 2,
+    name: 'add-meta-store-and-due-date-index',
+    up(db, transaction, database) {
+      db.createObjectStore('meta', { keyPath: 'key' });
+      transaction.objectStore('highlights').createIndex('dueDate', 'dueDate', { unique: false });
+
+      // Early records can lack a note or tags, which search and the exporters expect
+      database.rewriteRecords(transaction, 'highlights', highlight => {
+        if (typeof highlight.note === 'string' && Array.isArray(highlight.tags)) {
+          return null;
+        }
+        return {
+          ...highlight,
+          note: highlight.note || '',
+          tags: Array.isArray(highlight.tags) ? highlight.tags : []
+        };
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'add-tags-index',
+    up(db, transaction) {
+      // multiEntry indexes each tag of the array separately
+      transaction.objectStore('highlights').createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    }
+  },
+  {
+    version: 4,
+    name: 'add-search-index',
+    up(db) {
+      // Inverted index: one record per term with its postings by highlight ID.
+      // It is filled on the first search (see ensureSearchIndex), not here
+      db.createObjectStore('search_index', { keyPath: 'term' });
+      db.createObjectStore('search_docs', { keyPath: 'id' });
+    }
+  },
+  {
+    version: 5,
+    name: 'add-saved-searches',
+    up(db) {
+      const store = db.createObjectStore('saved_searches', { keyPath: 'id' });
+      store.createIndex('name', 'name', { unique: false });
+    }
+  },
+  {
+    version: 6,
+    name: 'add-collections',
+    up(db) {
+      // Hand-curated lists; each record keeps its highlight IDs in the user's order
+      const store = db.createObjectStore('collections', { keyPath: 'id' });
+      store.createIndex('name', 'name', { unique: false });
+    }
+  },
+  {
+    version: 7,
+    name: 'add-trash-and-tombstones',
+    up(db) {
+      const trash = db.createObjectStore('trash', { keyPath: 'id' });
+      trash.createIndex('deletedAt', 'deletedAt', { unique: false });
+      trash.createIndex('expiresAt', 'expiresAt', { unique: false });
+
+      // Tombstones outlive the trash: they only record that a highlight was deleted
+      const tombstones = db.createObjectStore('tombstones', { keyPath: 'id' });
+      tombstones.createIndex('bookAsin', 'bookAsin', { unique: false });
+    }
+  },
+  {
+    version: 8,
+    name: 'add-revisions',
+    up(db) {
+      // Auto-incremented keys keep revisions in the order they were written
+      const store = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+      store.createIndex('highlightId', 'highlightId', { unique: false });
+      store.createIndex('actionId', 'actionId', { unique: false });
+    }
+  },
+  {
+    version: 9,
+    name: 'add-book-aliases',
+    up(db) {
+      // Old ASIN of a merged book -> the ASIN it was merged into
+      const store = db.createObjectStore('book_aliases', { keyPath: 'alias' });
+      store.createIndex('asin', 'asin', { unique: false });
+    }
+  }
+];
+
+// Text analysis and BM25F scoring for the full-text search index
+class SearchAnalyzer {
+  constructor() {
+    this.fields = ['text', 'note', 'tags', 'title', 'author'];
+    this.fieldWeights = [1, 1, 2, 0.5, 0.5];
+
+    // BM25 term saturation and length normalization
+    this.k1 = 1.2;
+    this.b = 0.75;
+
+    // Prefix expansions rank below exact (stemmed) matches
+    this.prefixWeight = 0.5;
+    this.minPrefixLength = 2;
+
+    this.stopWords = new Set([
+      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has',
+      'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+      'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them',
+      'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when',
+      'which', 'who', 'will', 'with', 'you', 'your'
+    ]);
+
+    // Porter stemmer patterns: C = consonant sequence, V = vowel sequence
+    const c = '[^aeiou]';
+    const v = '[aeiouy]';
+    const C = `${c}[^aeiouy]*`;
+    const V = `${v}[aeiou]*`;
+    this.measureAbove0 = new RegExp(`^(${C})?${V}${C}`);
+    this.measureEquals1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+    this.measureAbove1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+    this.hasVowel = new RegExp(`^(${C})?${v}`);
+    this.endsCvc = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+    this.step2Suffixes = {
+      ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+      alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+      ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+      iviti: 'ive', biliti: 'ble', logi: 'log'
+    };
+    this.step3Suffixes = {
+      icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+    };
+  }
+
+  // Lowercase and strip accents so "Café" and "cafe" index together
+  normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  tokenize(text) {
+    return this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  // Index terms for a piece of text: stop words dropped, the rest stemmed
+  analyze(text) {
+    return this.tokenize(text)
+      .filter(word => !this.stopWords.has(word) && (word.length > 1 || /\d/.test(word)))
+      .map(word => this.stem(word));
+  }
+
+  // Terms of a search query, keeping the typed word for prefix matching
+  parseQuery(query) {
+    const seen = new Set();
+    return this.tokenize(query)
+      .filter(word => !this.stopWords.has(word))
+      .map(word => ({ word, term: this.stem(word) }))
+      .filter(({ term }) => !seen.has(term) && seen.add(term));
+  }
+
+  // Postings for one highlight: term -> term frequency per field, plus field lengths
+  buildDocument(highlight, book = {}) {
+    const values = [
+      highlight.text,
+      highlight.note,
+      (highlight.tags || []).join(' '),
+      book.title,
+      book.author
+    ];
+
+    const postings = {};
+    const lengths = values.map((value, fieldIndex) => {
+      const terms = this.analyze(value);
+      for (const term of terms) {
+        if (!postings[term]) {
+          postings[term] = this.fields.map(() => 0);
+        }
+        postings[term][fieldIndex]++;
+      }
+      return terms.length;
+    });
+
+    return { postings, lengths };
+  }
+
+  // Only these highlight fields feed the index
+  affectsIndex(updates) {
+    return ['text', 'note', 'tags', 'bookAsin'].some(field => field in updates);
+  }
+
+  idf(documentFrequency, documentCount) {
+    return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // BM25F: field frequencies are weighted and length-normalized before saturation
+  score(frequencies, lengths, stats, documentFrequency) {
+    let weighted = 0;
+
+    frequencies.forEach((frequency, fieldIndex) => {
+      if (!frequency) return;
+      const average = stats.documentCount > 0 ? stats.totalLengths[fieldIndex] / stats.documentCount : 0;
+      const normalization = average > 0 ? 1 - this.b + this.b * (lengths[fieldIndex] / average) : 1;
+      weighted += this.fieldWeights[fieldIndex] * frequency / normalization;
+    });
+
+    return this.idf(documentFrequency, stats.documentCount) * weighted / (this.k1 + weighted);
+  }
+
+  // Escape text for HTML and wrap the words that matched the search in <mark>
+  markMatches(text, matchedTerms) {
+    const terms = new Set(matchedTerms || []);
+    const source = String(text || '');
+    let result = '';
+    let position = 0;
+
+    for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+      const word = this.normalize(match[0]);
+      if (terms.has(this.stem(word))) {
+        result += this.escapeHtml(source.slice(position, match.index));
+        result += `<mark>${this.escapeHtml(match[0])}</mark>`;
+        position = match.index + match[0].length;
+      }
+    }
+
+    return result + this.escapeHtml(source.slice(position));
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Porter (1980) stemmer for English words
+  stem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+      return word;
+    }
+
+    let w = word;
+    const startsWithY = w[0] === 'y';
+    if (startsWithY) {
+      w = 'Y' + w.slice(1);
+    }
+
+    // Step 1a: plurals
+    if (/^(.+?)(ss|i)es$/.test(w)) {
+      w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+    } else if (/^(.+?)([^s])s$/.test(w)) {
+      w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+    }
+
+    // Step 1b: -eed, -ed, -ing
+    let match;
+    if ((match = /^(.+?)eed$/.exec(w))) {
+      if (this.measureAbove0.test(match[1])) {
+        w = w.slice(0, -1);
+      }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && this.hasVowel.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (this.endsCvc.test(w)) {
+        w += 'e';
+      }
+    }
+
+    // Step 1c: y -> i
+    if ((match = /^(.+?)y$/.exec(w)) && this.hasVowel.test(match[1])) {
+      w = match[1] + 'i';
+    }
+
+    // Steps 2 and 3: map double and single suffixes
+    if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+        this.measureAbove0.test(match[1])) {
+      w = match[1] + this.step2Suffixes[match[2]];
+    }
+    if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && this.measureAbove0.test(match[1])) {
+      w = match[1] + this.step3Suffixes[match[2]];
+    }
+
+    // Step 4: drop suffixes from longer stems
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+      if (this.measureAbove1.test(match[1])) {
+        w = match[1];
+      }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && this.measureAbove1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+
+    // Step 5: final -e and -ll
+    if ((match = /^(.+?)e$/.exec(w))) {
+      const stem = match[1];
+      if (this.measureAbove1.test(stem) || (this.measureEquals1.test(stem) && !this.endsCvc.test(stem))) {
+        w = stem;
+      }
+    }
+    if (/ll$/.test(w) && this.measureAbove1.test(w)) {
+      w = w.slice(0, -1);
+    }
+
+    return startsWithY ? 'y' + w.slice(1) : w;
+  }
+}
+
+// Structured search queries such as: author:"Taleb" tag:risk -tag:quote shown:>3
+// parse() turns a query into a filter tree; matches() runs it against a highlight.
+// Bare words are free text, ranked by the search index when searching
+class QueryParser {
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+
+    this.fields = ['author', 'title', 'book', 'tag', 'color', 'note', 'has', 'is', 'before', 'after', 'shown'];
+    this.hasValues = ['note', 'tags', 'location'];
+    this.isValues = ['starred', 'suspended'];
+    this.comparison = /^(<=|>=|<|>|=)?(\d+)$/;
+  }
+
+  // Returns { type: 'and', clauses } or null for an empty query. Clauses are
+  // { type: 'text', value, phrase }, { type: 'field', field, op, value } and
+  // { type: 'not', clause }. Throws an error carrying the offending position
+  parse(query) {
+    const input = String(query || '');
+    const clauses = [];
+    let i = 0;
+
+    while (i < input.length) {
+      if (/\s/.test(input[i])) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      const negated = input[i] === '-' && i + 1 < input.length && !/\s/.test(input[i + 1]);
+      if (negated) i++;
+
+      let clause;
+      if (input[i] === '"') {
+        const phrase = this.readQuoted(input, i);
+        i = phrase.end;
+        clause = { type: 'text', value: phrase.value, phrase: true };
+      } else {
+        const word = input.slice(i).match(/^[^\s"]+/)[0];
+        const field = word.match(/^([a-zA-Z]+):/);
+
+        if (field) {
+          const name = field[1].toLowerCase();
+          if (!this.fields.includes(name)) {
+            throw this.syntaxError(`Unknown field "${field[1]}:"; use ${this.fields.map(f => f + ':').join(', ')}`, i);
+          }
+
+          i += field[0].length;
+          let value;
+          if (input[i] === '"') {
+            const quoted = this.readQuoted(input, i);
+            value = quoted.value;
+            i = quoted.end;
+          } else {
+            value = input.slice(i).match(/^[^\s"]*/)[0];
+            i += value.length;
+          }
+
+          if (!value.trim()) {
+            throw this.syntaxError(`Expected a value after "${name}:"`, start);
+          }
+          clause = this.fieldClause(name, value.trim(), start);
+        } else {
+          i += word.length;
+          clause = { type: 'text', value: word, phrase: false };
+        }
+      }
+
+      if (clause.type === 'text' && !clause.value.trim()) {
+        continue;
+      }
+      clauses.push(negated ? { type: 'not', clause } : clause);
+    }
+
+    return clauses.length > 0 ? { type: 'and', clauses } : null;
+  }
+
+  readQuoted(input, start) {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw this.syntaxError('Unterminated quote', start);
+    }
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  }
+
+  fieldClause(field, value, position) {
+    switch (field) {
+      case 'has': {
+        const target = value.toLowerCase();
+        if (!this.hasValues.includes(target)) {
+          throw this.syntaxError(`"has:" expects ${this.hasValues.join(', ')}`, position);
+        }
+        return { type: 'field', field, op: '=', value: target };
+      }
+
+      case 'is': {
+        const state = value.toLowerCase();
+        if (!this.isValues.includes(state)) {
+          throw this.syntaxError(`"is:" expects ${this.isValues.join(', ')}`, position);
+        }
+        return { type: 'field', field, op: '=', value: state };
+      }
+
+      case 'shown': {
+        const match = value.match(this.comparison);
+        if (!match) {
+          throw this.syntaxError('"shown:" expects a number such as 3 or >3', position);
+        }
+        return { type: 'field', field, op: match[1] || '=', value: parseInt(match[2], 10) };
+      }
+
+      // Neither includes the named period: before:2023 stops at the start of
+      // 2023 and after:2023 begins once 2023 is over
+      case 'before':
+      case 'after': {
+        const period = this.parseDate(value);
+        if (!period) {
+          throw this.syntaxError(`"${field}:" expects a date like 2023-01-31, 2023-01 or 2023`, position);
+        }
+        return field === 'before'
+          ? { type: 'field', field: 'date', op: '<', value: period.start }
+          : { type: 'field', field: 'date', op: '>=', value: period.end };
+      }
+
+      default:
+        return { type: 'field', field, op: ':', value };
+    }
+  }
+
+  // A year, month or day in local time, as [start, end) timestamps
+  parseDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
+
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+
+    if (month !== null && (month < 0 || month > 11)) return null;
+    if (day !== null && (day < 1 || day > new Date(year, month + 1, 0).getDate())) return null;
+
+    if (day !== null) {
+      return { start: new Date(year, month, day).getTime(), end: new Date(year, month, day + 1).getTime() };
+    }
+    if (month !== null) {
+      return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+    }
+    return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+  }
+
+  syntaxError(message, position) {
+    const error = new Error(message);
+    error.name = 'QuerySyntaxError';
+    error.position = position;
+    return error;
+  }
+
+  // Words for the ranked search: bare words that are not negated. Phrases are
+  // ranked by their words too, but stay in the filter to keep them adjacent
+  freeText(tree) {
+    if (!tree) return '';
+    return tree.clauses.filter(clause => clause.type === 'text').map(clause => clause.value).join(' ');
+  }
+
+  // The tree without the bare words freeText() hands to the search index
+  withoutFreeText(tree) {
+    if (!tree) return null;
+    const clauses = tree.clauses.filter(clause => clause.type !== 'text' || clause.phrase);
+    return clauses.length > 0 ? { type: 'and', clauses } : null;
+  }
+
+  // author:, title: and book: need the highlight's book to evaluate
+  needsBooks(tree) {
+    const visit = clause => {
+      if (clause.type === 'and') return clause.clauses.some(visit);
+      if (clause.type === 'not') return visit(clause.clause);
+      return clause.type === 'field' && ['author', 'title', 'book'].includes(clause.field);
+    };
+    return Boolean(tree) && visit(tree);
+  }
+
+  // context.books maps ASINs to books for the book fields
+  matches(highlight, tree, context = {}) {
+    if (!tree) return true;
+
+    switch (tree.type) {
+      case 'and':
+        return tree.clauses.every(clause => this.matches(highlight, clause, context));
+      case 'not':
+        return !this.matches(highlight, tree.clause, context);
+      case 'text':
+        return this.contains(highlight.text, tree.value) || this.contains(highlight.note, tree.value);
+      default:
+        return this.matchesField(highlight, tree, context);
+    }
+  }
+
+  matchesField(highlight, { field, op, value }, context) {
+    const book = (context.books && context.books.get(highlight.bookAsin)) || {};
+
+    switch (field) {
+      case 'author':
+        return this.contains(book.author, value);
+      case 'title':
+        return this.contains(book.title, value);
+      case 'book':
+        return String(highlight.bookAsin || '').toLowerCase() === value.toLowerCase() ||
+          this.contains(book.title, value);
+      case 'tag':
+        return (highlight.tags || []).some(tag => this.analyzer.normalize(tag) === this.analyzer.normalize(value));
+      case 'color':
+        return String(highlight.color || '').toLowerCase() === value.toLowerCase();
+      case 'note':
+        return this.contains(highlight.note, value);
+      case 'has':
+        if (value === 'note') return Boolean(highlight.note && highlight.note.trim());
+        if (value === 'tags') return Boolean(highlight.tags && highlight.tags.length > 0);
+        return Boolean(highlight.location);
+      case 'is':
+        return Boolean(value === 'suspended' ? highlight.suspended : highlight.starred);
+      case 'date':
+        return typeof highlight.dateHighlighted === 'number' && this.compare(highlight.dateHighlighted, op, value);
+      case 'shown':
+        return this.compare(highlight.timesShown || 0, op, value);
+      default:
+        return false;
+    }
+  }
+
+  compare(actual, op, expected) {
+    switch (op) {
+      case '<': return actual < expected;
+      case '<=': return actual <= expected;
+      case '>': return actual > expected;
+      case '>=': return actual >= expected;
+      default: return actual === expected;
+    }
+  }
+
+  // Case- and accent-insensitive substring match
+  contains(haystack, needle) {
+    return Boolean(haystack) && this.analyzer.normalize(haystack).includes(this.analyzer.normalize(needle));
+  }
+}
+
 class Database {
   constructor() {
     this.dbName = 'KindleHighlightsDB';
-    this.dbVersion = 1;
+    this.migrations = databaseMigrations;
+    this.dbVersion = databaseMigrations[databaseMigrations.length - 1].version;
     this.db = null;
+    this.searchAnalyzer = new SearchAnalyzer();
+    this.queryParser = new QueryParser(this.searchAnalyzer);
+    this.trashRetentionDays = 30;
+    // Fields whose changes are kept in the revision log. Each revision names its
+    // source: 'user', 'sync', 'import', 'auto-tag' or 'undo'
+    this.revisionFields = ['text', 'note', 'tags', 'color', 'location', 'starred'];
   }
 
   // Initialize database connection
@@ -16,63 +603,83 @@ class Database {
 
     return new Promise((resolve, reject) => {
       const request = indexedDB.open(this.dbName, this.dbVersion);
+      let migrationError = null;
 
       request.onerror = () => {
-        console.error('Database failed to open:', request.error);
-        reject(request.error);
+        console.error('Database failed to open:', migrationError || request.error);
+        this.db = null;
+        reject(migrationError || request.error);
       };
 
       request.onsuccess = () => {
         this.db = request.result;
+
+        // Let a newer version opened elsewhere (another extension page) upgrade
+        this.db.onversionchange = () => this.close();
+
         console.log('Database opened successfully');
         resolve(this.db);
       };
 
       request.onupgradeneeded = (event) => {
         this.db = event.target.result;
-        console.log('Database upgrade needed, creating object stores');
-        this.createObjectStores();
+        console.log(`Database upgrade needed from version ${event.oldVersion} to ${event.newVersion}`);
+
+        try {
+          this.runMigrations(event);
+        } catch (error) {
+          // Aborting rolls the whole upgrade back and leaves the old schema in place
+          migrationError = error;
+          event.target.transaction.abort();
+        }
       };
     });
   }
 
-  // Create object stores and indexes
-  createObjectStores() {
-    // Books store
-    if (!this.db.objectStoreNames.contains('books')) {
-      const booksStore = this.db.createObjectStore('books', { keyPath: 'asin' });
-      booksStore.createIndex('title', 'title', { unique: false });
-      booksStore.createIndex('author', 'author', { unique: false });
-      booksStore.createIndex('lastUpdated', 'lastUpdated', { unique: false });
-      console.log('Created books object store');
-    }
+  // Run every migration newer than the stored version and record the last one
+  runMigrations(event) {
+    const db = event.target.result;
+    const transaction = event.target.transaction;
+    const pending = this.migrations.filter(migration =>
+      migration.version > event.oldVersion && migration.version <= event.newVersion
+    );
 
-    // Highlights store
-    if (!this.db.objectStoreNames.contains('highlights')) {
-      const highlightsStore = this.db.createObjectStore('highlights', { keyPath: 'id' });
-      highlightsStore.createIndex('bookAsin', 'bookAsin', { unique: false });
-      highlightsStore.createIndex('dateHighlighted', 'dateHighlighted', { unique: false });
-      highlightsStore.createIndex('dateAdded', 'dateAdded', { unique: false });
-      highlightsStore.createIndex('color', 'color', { unique: false });
-      highlightsStore.createIndex('lastSentInEmail', 'lastSentInEmail', { unique: false });
-      console.log('Created highlights object store');
+    for (const migration of pending) {
+      console.log(`Running database migration ${migration.version}: ${migration.name}`);
+      migration.up(db, transaction, this);
     }
 
-    // Sync history store
-    if (!this.db.objectStoreNames.contains('sync_history')) {
-      const syncStore = this.db.createObjectStore('sync_history', { keyPath: 'id' });
-      syncStore.createIndex('syncDate', 'syncDate', { unique: false });
-      syncStore.createIndex('status', 'status', { unique: false });
-      console.log('Created sync_history object store');
+    if (pending.length > 0 && db.objectStoreNames.contains('meta')) {
+      const last = pending[pending.length - 1];
+      transaction.objectStore('meta').put({
+        key: 'schema',
+        version: last.version,
+        migration: last.name,
+        previousVersion: event.oldVersion,
+        migratedAt: Date.now()
+      });
     }
+  }
 
-    // Email history store
-    if (!this.db.objectStoreNames.contains('email_history')) {
-      const emailStore = this.db.createObjectStore('email_history', { keyPath: 'id' });
-      emailStore.createIndex('sentDate', 'sentDate', { unique: false });
-      emailStore.createIndex('status', 'status', { unique: false });
-      console.log('Created email_history object store');
-    }
+  // Rewrite records during an upgrade; transform returns the new record, or null to keep it
+  rewriteRecords(transaction, storeName, transform) {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+
+      const updated = transform(cursor.value);
+      if (updated) {
+        cursor.update(updated);
+      }
+      cursor.continue();
+    };
+  }
+
+  // Which migration last ran, e.g. { version: 2, migration: 'add-meta-store-and-due-date-index' }
+  async getSchemaInfo() {
+    return this.performOperation('meta', store => store.get('schema'));
   }
 
   // Generic transaction helper
@@ -110,10 +717,18 @@ class Database {
       ...book
     };
 
-    return this.performOperation('books', 
+    const existing = await this.getBook(bookData.asin);
+    const result = await this.performOperation('books', 
       (store) => store.put(bookData), 
       'readwrite'
     );
+
+    // Title and author are searchable on every highlight of the book
+    if (existing && (existing.title !== bookData.title || existing.author !== bookData.author)) {
+      await this.indexHighlights(await this.getHighlightsByBook(bookData.asin));
+    }
+
+    return result;
   }
 
   async getBook(asin) {
@@ -140,199 +755,1532 @@ class Database {
       lastUpdated: Date.now()
     };
 
-    return this.performOperation('books', 
-      (store) => store.put(updatedBook), 
-      'readwrite'
+    const result = await this.performOperation('books', 
+      (store) => store.put(updatedBook), 
+      'readwrite'
+    );
+
+    if ('title' in updates || 'author' in updates) {
+      await this.indexHighlights(await this.getHighlightsByBook(asin));
+    }
+
+    return result;
+  }
+
+  async deleteBook(asin) {
+    return this.performOperation('books', 
+      (store) => store.delete(asin), 
+      'readwrite'
+    );
+  }
+
+  // Books that are probably the same: pseudo-ASINs, samples and other editions
+  // share a title (before any subtitle) and an author. Each group lists the
+  // book with the most highlights first, as the suggested merge target
+  async findBookMergeCandidates() {
+    const books = await this.getAllBooks();
+    const counts = await Promise.all(books.map(book =>
+      this.performOperation('highlights', store => store.index('bookAsin').count(IDBKeyRange.only(book.asin)))
+    ));
+
+    const groups = new Map();
+    books.forEach((book, i) => {
+      const key = this.bookMergeKey(book);
+      groups.set(key, [...(groups.get(key) || []), { ...book, highlightCount: counts[i] }]);
+    });
+
+    return Array.from(groups.entries())
+      .filter(([, group]) => group.length > 1)
+      .map(([key, group]) => ({
+        key,
+        books: group.sort((a, b) => b.highlightCount - a.highlightCount)
+      }));
+  }
+
+  bookMergeKey(book) {
+    const title = this.searchAnalyzer.tokenize((book.title || '').split(/[:([]/)[0]).join(' ');
+    const author = this.searchAnalyzer.tokenize(book.author).join(' ');
+    return `${title}|${author}`;
+  }
+
+  // Move every highlight of the source books onto the target in one
+  // transaction. The source ASINs become aliases of the target, so later
+  // syncs and imports of them land on the merged book
+  async mergeBooks(targetAsin, sourceAsins) {
+    const target = await this.getBook(targetAsin);
+    if (!target) {
+      throw new Error(`Book with ASIN ${targetAsin} not found`);
+    }
+
+    const sources = [...new Set(sourceAsins)].filter(asin => asin !== targetAsin);
+    if (sources.length === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const transaction = await this.getTransaction(
+      ['books', 'highlights', 'book_aliases', 'tombstones', 'trash'],
+      'readwrite'
+    );
+
+    const moved = await new Promise((resolve, reject) => {
+      const booksStore = transaction.objectStore('books');
+      const highlightsStore = transaction.objectStore('highlights');
+      const aliasesStore = transaction.objectStore('book_aliases');
+      const tombstonesStore = transaction.objectStore('tombstones');
+      const sourceSet = new Set(sources);
+      const written = [];
+      const merged = { ...target, lastUpdated: now };
+      let pending = sources.length;
+
+      sources.forEach(asin => {
+        const highlightsRequest = highlightsStore.index('bookAsin').getAll(IDBKeyRange.only(asin));
+        highlightsRequest.onsuccess = () => {
+          highlightsRequest.result.forEach(highlight => {
+            // Highlight IDs embed the ASIN they were synced under, which sync needs to match them
+            const record = { ...highlight, bookAsin: targetAsin, originalBookAsin: highlight.originalBookAsin || asin };
+            highlightsStore.put(record);
+            written.push(record);
+          });
+        };
+
+        const tombstonesRequest = tombstonesStore.index('bookAsin').getAll(IDBKeyRange.only(asin));
+        tombstonesRequest.onsuccess = () => {
+          tombstonesRequest.result.forEach(tombstone => tombstonesStore.put({ ...tombstone, bookAsin: targetAsin }));
+        };
+
+        // Books merged into this one earlier follow it to the target
+        const aliasesRequest = aliasesStore.index('asin').getAll(IDBKeyRange.only(asin));
+        aliasesRequest.onsuccess = () => {
+          aliasesRequest.result
+            .filter(alias => alias.alias !== targetAsin)
+            .forEach(alias => aliasesStore.put({ ...alias, asin: targetAsin }));
+        };
+        const bookRequest = booksStore.get(asin);
+        bookRequest.onsuccess = () => {
+          const book = bookRequest.result;
+          // A web page's URL goes along so later clips of it find the merged book
+          aliasesStore.put({ alias: asin, asin: targetAsin, dateMerged: now, ...(book && book.url ? { url: book.url } : {}) });
+          if (book && !merged.coverUrl) {
+            merged.coverUrl = book.coverUrl || '';
+          }
+          booksStore.delete(asin);
+
+          if (--pending === 0) {
+            booksStore.put(merged);
+          }
+        };
+      });
+
+      // Trashed highlights of the sources are restored onto the target
+      const trashRequest = transaction.objectStore('trash').openCursor();
+      trashRequest.onsuccess = () => {
+        const cursor = trashRequest.result;
+        if (!cursor) return;
+        const entry = cursor.value;
+        if (sourceSet.has(entry.highlight.bookAsin)) {
+          cursor.update({
+            ...entry,
+            highlight: { ...entry.highlight, bookAsin: targetAsin, originalBookAsin: entry.highlight.originalBookAsin || entry.highlight.bookAsin },
+            book: target
+          });
+        }
+        cursor.continue();
+      };
+
+      // The target may once have been merged away itself
+      aliasesStore.delete(targetAsin);
+
+      transaction.oncomplete = () => resolve(written);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.indexHighlights(moved);
+    return moved.length;
+  }
+
+  // A stored book with this title and author (matched as for merging), or a
+  // new one for a paper book or another app, under a non-Amazon identifier
+  async findOrCreateBook(title, author) {
+    const cleanTitle = (title || '').trim();
+    if (!cleanTitle) {
+      throw new Error('Book title cannot be empty');
+    }
+
+    const book = { title: cleanTitle, author: (author || '').trim() || 'Unknown Author' };
+    const key = this.bookMergeKey(book);
+    const existing = (await this.getAllBooks()).find(stored => this.bookMergeKey(stored) === key);
+    if (existing) {
+      return existing;
+    }
+
+    const asin = `manual_${this.generateUUID()}`;
+    await this.addBook({ ...book, asin, coverUrl: '', source: 'manual' });
+    return this.getBook(asin);
+  }
+
+  // Add a highlight typed in by hand. source 'manual' keeps sync from
+  // comparing it with what Amazon has
+  async addManualHighlight({ title, author, text, page = '', note = '', tags = [], color = 'yellow' }) {
+    const cleanText = (text || '').trim();
+    if (!cleanText) {
+      throw new Error('Highlight text cannot be empty');
+    }
+
+    const book = await this.findOrCreateBook(title, author);
+    const pageLabel = String(page || '').trim();
+    const highlight = {
+      id: `manual_${this.generateUUID()}`,
+      bookAsin: book.asin,
+      text: cleanText,
+      location: pageLabel ? `Page ${pageLabel}` : '',
+      page: pageLabel,
+      note: (note || '').trim(),
+      tags: [...new Set(tags.map(tag => tag.trim()).filter(Boolean))],
+      color,
+      source: 'manual'
+    };
+
+    await this.addHighlight(highlight);
+    return { book, highlight: await this.getHighlight(highlight.id) };
+  }
+
+  // Add text selected on a web page. Each page is one book, keyed by its URL
+  // without the fragment, so clips from different sections land together.
+  // IDs come from the URL and the text, so clipping a passage again finds
+  // the highlight already saved instead of adding a copy
+  async addWebHighlight({ url, title, siteName, text, note = '' }) {
+    const cleanText = (text || '').trim();
+    if (!cleanText) {
+      throw new Error('Highlight text cannot be empty');
+    }
+
+    let pageUrl;
+    try {
+      pageUrl = new URL(url);
+    } catch (error) {
+      throw new Error('A web highlight needs the page URL');
+    }
+    pageUrl.hash = '';
+    const key = pageUrl.href;
+    const host = pageUrl.hostname.replace(/^www\./, '');
+
+    // A page merged into another book clips into that book; pages first clipped
+    // when book IDs were random are found by their URL
+    const asin = `web_${this.simpleHash(key)}`;
+    const alias = (await this.getBookAliases()).find(record => record.alias === asin || record.url === key);
+    const bookAsin = alias ? alias.asin : asin;
+    let book = (await this.getAllBooks()).find(stored =>
+      stored.asin === bookAsin || (stored.source === 'web' && stored.url === key)
+    );
+    if (!book) {
+      const cleanSite = (siteName || '').trim() || host;
+      await this.addBook({
+        asin,
+        title: (title || '').trim() || key,
+        author: cleanSite,
+        url: key,
+        siteName: cleanSite,
+        coverUrl: '',
+        source: 'web'
+      });
+      book = await this.getBook(asin);
+    }
+
+    const letters = cleanText.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const highlight = {
+      id: `highlight_${book.asin}_${this.simpleHash(letters + book.asin)}`,
+      bookAsin: book.asin,
+      text: cleanText,
+      location: '',
+      note: (note || '').trim(),
+      tags: [],
+      color: 'yellow',
+      source: 'web'
+    };
+
+    const existing = await this.getHighlight(highlight.id);
+    if (existing) {
+      return { book, highlight: existing };
+    }
+
+    await this.addHighlight(highlight);
+    return { book, highlight: await this.getHighlight(highlight.id) };
+  }
+
+  // The ASIN a book now lives under, following a merge
+  async resolveBookAlias(asin) {
+    const alias = await this.performOperation('book_aliases', store => store.get(asin));
+    return alias ? alias.asin : asin;
+  }
+
+  async getBookAliases() {
+    return this.performOperation('book_aliases', store => store.getAll());
+  }
+
+  // Highlights operations. Sync and imports pass { index: false } and index
+  // each book's highlights in one batch (see indexHighlightsById)
+  async addHighlight(highlight, { index = true } = {}) {
+    const highlightData = {
+      id: highlight.id || this.generateUUID(),
+      bookAsin: highlight.bookAsin,
+      text: highlight.text,
+      location: highlight.location || '',
+      page: highlight.page || '',
+      dateHighlighted: highlight.dateHighlighted || Date.now(),
+      dateAdded: Date.now(),
+      color: highlight.color || 'yellow',
+      note: highlight.note || '',
+      tags: highlight.tags || [],
+      lastSentInEmail: null,
+      ...highlight
+    };
+
+    const result = await this.performOperation('highlights', 
+      (store) => store.put(highlightData), 
+      'readwrite'
+    );
+    if (index) {
+      await this.indexHighlights([highlightData]);
+    }
+
+    return result;
+  }
+
+  async getHighlight(id) {
+    return this.performOperation('highlights', 
+      (store) => store.get(id)
+    );
+  }
+
+  async getAllHighlights() {
+    return this.performOperation('highlights', 
+      (store) => store.getAll()
+    );
+  }
+
+  async getHighlightsByBook(bookAsin) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const transaction = await this.getTransaction(['highlights']);
+        const store = transaction.objectStore('highlights');
+        const index = store.index('bookAsin');
+        const request = index.getAll(bookAsin);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Tag operations, backed by the multiEntry tags index
+
+  // Every tag in use with how many highlights carry it, most used first
+  async getTagCounts() {
+    const transaction = await this.getTransaction(['highlights']);
+
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore('highlights').index('tags').openKeyCursor();
+      const counts = new Map();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+          cursor.continue();
+          return;
+        }
+
+        resolve(
+          Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        );
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getHighlightsByTag(tag, limit = Infinity) {
+    const transaction = await this.getTransaction(['highlights']);
+
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore('highlights').index('tags').openCursor(IDBKeyRange.only(tag));
+      const highlights = [];
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && highlights.length < limit) {
+          highlights.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(highlights);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async renameTag(fromTag, toTag) {
+    return this.mergeTags([fromTag], toTag);
+  }
+
+  // Replace each source tag with the target on every highlight, in one
+  // transaction; merging into an existing tag doesn't duplicate it
+  async mergeTags(sourceTags, targetTag, { source = 'user' } = {}) {
+    const target = (targetTag || '').trim();
+    if (!target) {
+      throw new Error('Tag name cannot be empty');
+    }
+
+    const sources = sourceTags.filter(tag => tag && tag !== target);
+    if (sources.length === 0) {
+      return 0;
+    }
+
+    const action = this.createAction(source, `Rename ${sources.map(tag => `"${tag}"`).join(', ')} to "${target}"`);
+    const transaction = await this.getTransaction(['highlights', 'revisions'], 'readwrite');
+    const affected = new Map();
+
+    const updated = await new Promise((resolve, reject) => {
+      const store = transaction.objectStore('highlights');
+      const index = store.index('tags');
+      const written = [];
+      let pending = sources.length;
+
+      // Read every affected highlight first, so one carrying two source tags is written once
+      for (const source of sources) {
+        const request = index.getAll(IDBKeyRange.only(source));
+        request.onsuccess = () => {
+          request.result.forEach(highlight => affected.set(highlight.id, highlight));
+
+          if (--pending === 0) {
+            for (const highlight of affected.values()) {
+              const tags = highlight.tags.map(tag => (sources.includes(tag) ? target : tag));
+              const record = { ...highlight, tags: [...new Set(tags)] };
+              store.put(record);
+              this.writeRevisions(transaction, highlight, record, action);
+              written.push(record);
+            }
+          }
+        };
+      }
+
+      transaction.oncomplete = () => resolve(written);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.indexHighlights(updated);
+    return updated.length;
+  }
+
+  // Add tags to many highlights in one transaction
+  async addTagsToHighlights(highlightIds, tags, { source = 'user' } = {}) {
+    const newTags = tags.map(tag => tag.trim()).filter(Boolean);
+    if (highlightIds.length === 0 || newTags.length === 0) {
+      return 0;
+    }
+
+    const action = this.createAction(source, `Add tags ${newTags.join(', ')}`);
+    const transaction = await this.getTransaction(['highlights', 'revisions'], 'readwrite');
+
+    const updated = await new Promise((resolve, reject) => {
+      const store = transaction.objectStore('highlights');
+      const written = [];
+
+      for (const id of highlightIds) {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          const highlight = request.result;
+          if (!highlight) return;
+
+          const record = { ...highlight, tags: [...new Set([...(highlight.tags || []), ...newTags])] };
+          store.put(record);
+          this.writeRevisions(transaction, highlight, record, action);
+          written.push(record);
+        };
+      }
+
+      transaction.oncomplete = () => resolve(written);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.indexHighlights(updated);
+    return updated.length;
+  }
+
+  // Updates are logged in the revision log under the given source, in the
+  // same transaction as the write
+  async updateHighlight(id, updates, {
+    source = 'user', label = 'Edit highlight', index = true, action = this.createAction(source, label)
+  } = {}) {
+    const transaction = await this.getTransaction(['highlights', 'revisions'], 'readwrite');
+
+    const updatedHighlight = await new Promise((resolve, reject) => {
+      const store = transaction.objectStore('highlights');
+      let record = null;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const highlight = request.result;
+        if (!highlight) return;
+
+        record = { ...highlight, ...updates };
+        store.put(record);
+        this.writeRevisions(transaction, highlight, record, action);
+      };
+
+      transaction.oncomplete = () => {
+        if (record) {
+          resolve(record);
+        } else {
+          reject(new Error(`Highlight with ID ${id} not found`));
+        }
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    if (index && this.searchAnalyzer.affectsIndex(updates)) {
+      await this.indexHighlights([updatedHighlight]);
+    }
+
+    return id;
+  }
+
+  // Moves the highlight to the trash; see purgeHighlights for a permanent delete
+  async deleteHighlight(id) {
+    return this.trashHighlights([id]);
+  }
+
+  async markHighlightAsSent(id) {
+    return this.updateHighlight(id, { 
+      lastSentInEmail: Date.now() 
+    });
+  }
+
+  // Sync history operations
+  async addSyncRecord(syncData) {
+    const record = {
+      id: this.generateUUID(),
+      syncDate: Date.now(),
+      highlightsAdded: syncData.highlightsAdded || 0,
+      highlightsTotal: syncData.highlightsTotal || 0,
+      status: syncData.status || 'success',
+      errorMessage: syncData.errorMessage || '',
+      ...syncData
+    };
+
+    return this.performOperation('sync_history', 
+      (store) => store.put(record), 
+      'readwrite'
+    );
+  }
+
+  async getLastSyncRecord() {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const transaction = await this.getTransaction(['sync_history']);
+        const store = transaction.objectStore('sync_history');
+        const index = store.index('syncDate');
+        const request = index.openCursor(null, 'prev');
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          resolve(cursor ? cursor.value : null);
+        };
+        request.onerror = () => reject(request.error);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Email history operations
+  async addEmailRecord(emailData) {
+    const record = {
+      id: this.generateUUID(),
+      sentDate: Date.now(),
+      highlightIds: emailData.highlightIds || [],
+      status: emailData.status || 'sent',
+      ...emailData
+    };
+
+    return this.performOperation('email_history', 
+      (store) => store.put(record), 
+      'readwrite'
+    );
+  }
+
+  // Saved searches: a named query plus the manager's filters, shown as smart
+  // collections and usable as the pool highlights are selected from
+  async saveSearch(search) {
+    const name = String(search.name || '').trim();
+    if (!name) {
+      throw new Error('Saved search name cannot be empty');
+    }
+
+    // Reject a broken query now rather than every time the collection is used
+    this.queryParser.parse(search.query);
+
+    const existing = (await this.getSavedSearches()).find(saved =>
+      saved.name.toLowerCase() === name.toLowerCase() && saved.id !== search.id
+    );
+    if (existing) {
+      throw new Error(`A saved search named "${existing.name}" already exists`);
+    }
+
+    const previous = search.id ? await this.getSavedSearch(search.id) : null;
+    const record = {
+      id: search.id || this.generateUUID(),
+      name,
+      query: String(search.query || '').trim(),
+      filters: { ...(search.filters || {}) },
+      dateCreated: previous ? previous.dateCreated : Date.now(),
+      dateModified: Date.now()
+    };
+
+    await this.performOperation('saved_searches',
+      (store) => store.put(record),
+      'readwrite'
+    );
+    return record;
+  }
+
+  async getSavedSearch(id) {
+    return this.performOperation('saved_searches',
+      (store) => store.get(id)
+    );
+  }
+
+  async getSavedSearches() {
+    const searches = await this.performOperation('saved_searches',
+      (store) => store.getAll()
+    );
+    return searches.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async deleteSavedSearch(id) {
+    return this.performOperation('saved_searches',
+      (store) => store.delete(id),
+      'readwrite'
+    );
+  }
+
+  // Highlights a saved search matches right now
+  async getSavedSearchHighlights(id) {
+    const search = await this.getSavedSearch(id);
+    if (!search) {
+      throw new Error('Saved search not found');
+    }
+    return this.searchHighlights(search.query, search.filters);
+  }
+
+  // Every saved search with its live count, for the smart collections list
+  async getSmartCollections() {
+    const searches = await this.getSavedSearches();
+    const counts = await Promise.all(searches.map(search =>
+      this.searchHighlights(search.query, search.filters)
+        .then(highlights => highlights.length)
+        .catch(() => null)
+    ));
+
+    return searches.map((search, index) => ({ ...search, count: counts[index] }));
+  }
+
+  // Manual collections: hand-picked highlights in an order the user sets
+  async createCollection(name) {
+    const record = {
+      id: this.generateUUID(),
+      name: await this.checkCollectionName(name),
+      highlightIds: [],
+      dateCreated: Date.now(),
+      dateModified: Date.now()
+    };
+
+    await this.performOperation('collections',
+      (store) => store.put(record),
+      'readwrite'
+    );
+    return record;
+  }
+
+  async checkCollectionName(name, id = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Collection name cannot be empty');
+    }
+
+    const existing = (await this.getCollections()).find(collection =>
+      collection.name.toLowerCase() === trimmed.toLowerCase() && collection.id !== id
+    );
+    if (existing) {
+      throw new Error(`A collection named "${existing.name}" already exists`);
+    }
+    return trimmed;
+  }
+
+  async getCollection(id) {
+    return this.performOperation('collections',
+      (store) => store.get(id)
+    );
+  }
+
+  async getCollections() {
+    const collections = await this.performOperation('collections',
+      (store) => store.getAll()
+    );
+    return collections.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async renameCollection(id, name) {
+    const trimmed = await this.checkCollectionName(name, id);
+    return this.updateCollection(id, () => ({ name: trimmed }));
+  }
+
+  async deleteCollection(id) {
+    return this.performOperation('collections',
+      (store) => store.delete(id),
+      'readwrite'
+    );
+  }
+
+  // Read, change and write one collection in a single transaction
+  async updateCollection(id, change) {
+    const transaction = await this.getTransaction(['collections'], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const store = transaction.objectStore('collections');
+      const request = store.get(id);
+      let updated = null;
+
+      request.onsuccess = () => {
+        if (!request.result) {
+          reject(new Error('Collection not found'));
+          return;
+        }
+        updated = { ...request.result, ...change(request.result), dateModified: Date.now() };
+        store.put(updated);
+      };
+
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Append highlights not already in the collection; returns how many were added
+  async addToCollection(id, highlightIds) {
+    let added = 0;
+    await this.updateCollection(id, collection => {
+      const ids = new Set(collection.highlightIds);
+      const additions = highlightIds.filter(highlightId => !ids.has(highlightId) && ids.add(highlightId));
+      added = additions.length;
+      return { highlightIds: [...collection.highlightIds, ...additions] };
+    });
+    return added;
+  }
+
+  async removeFromCollection(id, highlightIds) {
+    const removed = new Set(highlightIds);
+    const collection = await this.updateCollection(id, current => ({
+      highlightIds: current.highlightIds.filter(highlightId => !removed.has(highlightId))
+    }));
+    return collection.highlightIds;
+  }
+
+  // Move one highlight to a new position (clamped to the list)
+  async moveInCollection(id, highlightId, toIndex) {
+    const collection = await this.updateCollection(id, current => {
+      const ids = current.highlightIds.filter(existing => existing !== highlightId);
+      if (ids.length === current.highlightIds.length) {
+        return {};
+      }
+      ids.splice(Math.max(0, Math.min(toIndex, ids.length)), 0, highlightId);
+      return { highlightIds: ids };
+    });
+    return collection.highlightIds;
+  }
+
+  // The collection's highlights in its own order
+  async getCollectionHighlights(id) {
+    const collection = await this.getCollection(id);
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+    return this.getHighlightsByIds(collection.highlightIds);
+  }
+
+  // Deleted highlights leave every collection they were in
+  async removeFromCollections(highlightIds) {
+    const removed = new Set(highlightIds);
+    const transaction = await this.getTransaction(['collections'], 'readwrite');
+
+    this.rewriteRecords(transaction, 'collections', collection =>
+      collection.highlightIds.some(id => removed.has(id))
+        ? { ...collection, highlightIds: collection.highlightIds.filter(id => !removed.has(id)) }
+        : null
+    );
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // A highlight stored under a new ID keeps its place in every collection;
+  // replacements maps old ID -> new ID, and a new ID already listed isn't repeated.
+  // With keepReplaced the old ID stays too, right after the new one
+  async replaceInCollections(replacements, { keepReplaced = false } = {}) {
+    const transaction = await this.getTransaction(['collections'], 'readwrite');
+
+    this.rewriteRecords(transaction, 'collections', collection => {
+      if (!collection.highlightIds.some(id => replacements.has(id))) {
+        return null;
+      }
+      const highlightIds = [...new Set(collection.highlightIds.flatMap(id => (
+        replacements.has(id) ? [replacements.get(id), ...(keepReplaced ? [id] : [])] : [id]
+      )))];
+      return { ...collection, highlightIds };
+    });
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Star or unstar highlights; returns how many were updated
+  async setStarred(highlightIds, starred) {
+    const updated = await this.bulkUpdateHighlights(highlightIds, {
+      starred: Boolean(starred),
+      dateStarred: starred ? Date.now() : null
+    }, { label: starred ? 'Star highlights' : 'Unstar highlights' });
+    return updated.length;
+  }
+
+  // Trash: deleted highlights stay restorable for trashRetentionDays. A
+  // deliberate delete or merge also leaves a tombstone so sync doesn't bring it back.
+  // Given an action, each highlight gets a 'trashed' revision so undoing the
+  // action restores it
+  async trashHighlights(highlightIds, reason = 'deleted', action = null) {
+    const ids = new Set(highlightIds);
+    if (ids.size === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const expiresAt = now + this.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const transaction = await this.getTransaction(
+      ['highlights', 'books', 'collections', 'trash', 'tombstones', ...(action ? ['revisions'] : [])],
+      'readwrite'
+    );
+
+    const trashed = await new Promise((resolve, reject) => {
+      const highlightsStore = transaction.objectStore('highlights');
+      const booksStore = transaction.objectStore('books');
+      const memberships = new Map();
+      const written = [];
+
+      // Take the highlights out of their collections first, noting where they
+      // were so a restore can put them back
+      const cursorRequest = transaction.objectStore('collections').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          const collection = cursor.value;
+          const kept = collection.highlightIds.filter(id => {
+            if (!ids.has(id)) return true;
+            memberships.set(id, [...(memberships.get(id) || []), collection.id]);
+            return false;
+          });
+          if (kept.length !== collection.highlightIds.length) {
+            cursor.update({ ...collection, highlightIds: kept });
+          }
+          cursor.continue();
+          return;
+        }
+
+        ids.forEach(id => {
+          const request = highlightsStore.get(id);
+          request.onsuccess = () => {
+            const highlight = request.result;
+            if (!highlight) return;
+
+            // The book travels along in case it is gone by the time of a restore
+            const bookRequest = booksStore.get(highlight.bookAsin);
+            bookRequest.onsuccess = () => {
+              transaction.objectStore('trash').put({
+                id,
+                highlight,
+                book: bookRequest.result || null,
+                collectionIds: memberships.get(id) || [],
+                reason,
+                deletedAt: now,
+                expiresAt
+              });
+              if (reason !== 'cleared') {
+                transaction.objectStore('tombstones').put({ id, bookAsin: highlight.bookAsin, deletedAt: now });
+              }
+              if (action) {
+                transaction.objectStore('revisions').add({
+                  ...action, highlightId: id, field: 'trashed', before: false, after: true
+                });
+              }
+              highlightsStore.delete(id);
+              written.push(id);
+            };
+          };
+        });
+      };
+
+      transaction.oncomplete = () => resolve(written);
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.removeFromSearchIndex(trashed);
+    return trashed.length;
+  }
+
+  // Trashed items, most recently deleted first
+  async getTrash() {
+    const entries = await this.performOperation('trash',
+      (store) => store.getAll()
+    );
+    return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  // Put highlights back where they were, recreating a book that has since gone
+  async restoreFromTrash(highlightIds) {
+    const ids = new Set(highlightIds);
+    if (ids.size === 0) {
+      return 0;
+    }
+
+    const transaction = await this.getTransaction(
+      ['highlights', 'books', 'collections', 'trash', 'tombstones'],
+      'readwrite'
+    );
+
+    const restored = await new Promise((resolve, reject) => {
+      const trashStore = transaction.objectStore('trash');
+      const collectionsStore = transaction.objectStore('collections');
+      const entries = [];
+      let pending = ids.size;
+
+      ids.forEach(id => {
+        const request = trashStore.get(id);
+        request.onsuccess = () => {
+          if (request.result) {
+            entries.push(request.result);
+          }
+          if (--pending > 0) return;
+
+          const byCollection = new Map();
+          entries.forEach(entry => {
+            transaction.objectStore('highlights').put(entry.highlight);
+            trashStore.delete(entry.id);
+            transaction.objectStore('tombstones').delete(entry.id);
+
+            if (entry.book) {
+              const booksStore = transaction.objectStore('books');
+              const bookRequest = booksStore.get(entry.book.asin);
+              bookRequest.onsuccess = () => {
+                if (!bookRequest.result) booksStore.put(entry.book);
+              };
+            }
+
+            (entry.collectionIds || []).forEach(collectionId => {
+              byCollection.set(collectionId, [...(byCollection.get(collectionId) || []), entry.id]);
+            });
+          });
+
+          // One write per collection, so restores into the same one don't race
+          byCollection.forEach((restoredIds, collectionId) => {
+            const collectionRequest = collectionsStore.get(collectionId);
+            collectionRequest.onsuccess = () => {
+              const collection = collectionRequest.result;
+              if (!collection) return;
+              const missing = restoredIds.filter(id => !collection.highlightIds.includes(id));
+              collectionsStore.put({ ...collection, highlightIds: [...collection.highlightIds, ...missing] });
+            };
+          });
+        };
+      });
+
+      transaction.oncomplete = () => resolve(entries.map(entry => entry.highlight));
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.indexHighlights(restored);
+    return restored.length;
+  }
+
+  // Permanently remove trash entries (all of them by default); tombstones stay
+  async emptyTrash(highlightIds = null) {
+    const transaction = await this.getTransaction(['trash'], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const store = transaction.objectStore('trash');
+      let removed = 0;
+
+      if (highlightIds) {
+        highlightIds.forEach(id => store.delete(id));
+        removed = highlightIds.length;
+      } else {
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+          removed = countRequest.result;
+          store.clear();
+        };
+      }
+
+      transaction.oncomplete = () => resolve(removed);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Drop trash entries past their retention period
+  async purgeExpiredTrash(now = Date.now()) {
+    const transaction = await this.getTransaction(['trash'], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const request = transaction.objectStore('trash').index('expiresAt').openCursor(IDBKeyRange.upperBound(now));
+      let removed = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+
+      transaction.oncomplete = () => resolve(removed);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // IDs of highlights in a book that the user deleted on purpose
+  async getTombstoneIds(bookAsin) {
+    const ids = await this.performOperation('tombstones',
+      (store) => store.index('bookAsin').getAllKeys(IDBKeyRange.only(bookAsin))
     );
+    return new Set(ids);
   }
 
-  async deleteBook(asin) {
-    return this.performOperation('books', 
-      (store) => store.delete(asin), 
-      'readwrite'
+  // Fold duplicates into the highlight kept: review counts add up, the latest
+  // show and send win, notes and tags are combined, and the kept highlight
+  // takes the duplicates' places in collections. The duplicates go to the
+  // trash, with tombstones so sync doesn't re-add them. It is all one action,
+  // so undoing it also brings the duplicates back
+  async mergeHighlights(keepId, duplicateIds) {
+    const keep = await this.getHighlight(keepId);
+    if (!keep) {
+      throw new Error('Highlight not found');
+    }
+
+    const duplicates = await this.getHighlightsByIds(duplicateIds.filter(id => id !== keepId));
+    const all = [keep, ...duplicates];
+    const latest = field => Math.max(...all.map(highlight => highlight[field] || 0)) || null;
+    const action = this.createAction('user', 'Merge duplicates');
+
+    await this.updateHighlight(keepId, {
+      timesShown: all.reduce((sum, highlight) => sum + (highlight.timesShown || 0), 0),
+      lastShown: latest('lastShown'),
+      lastSentInEmail: latest('lastSentInEmail'),
+      note: [...new Set(all.map(highlight => (highlight.note || '').trim()).filter(Boolean))].join('\n\n'),
+      tags: [...new Set(all.flatMap(highlight => highlight.tags || []))],
+      ...(all.some(highlight => highlight.starred) && !keep.starred ? { starred: true, dateStarred: Date.now() } : {})
+    }, { action });
+
+    // The duplicates stay listed until trashed, so the trash notes their collections
+    await this.replaceInCollections(
+      new Map(duplicates.map(highlight => [highlight.id, keepId])),
+      { keepReplaced: true }
     );
+    await this.trashHighlights(duplicates.map(highlight => highlight.id), 'merged', action);
+    return this.getHighlight(keepId);
   }
 
-  // Highlights operations
-  async addHighlight(highlight) {
-    const highlightData = {
-      id: highlight.id || this.generateUUID(),
-      bookAsin: highlight.bookAsin,
-      text: highlight.text,
-      location: highlight.location || '',
-      page: highlight.page || '',
-      dateHighlighted: highlight.dateHighlighted || Date.now(),
-      dateAdded: Date.now(),
-      color: highlight.color || 'yellow',
-      note: highlight.note || '',
-      tags: highlight.tags || [],
-      lastSentInEmail: null,
-      ...highlight
-    };
+  // Keys of duplicate groups the user said are not duplicates
+  async getDismissedDuplicates() {
+    const record = await this.performOperation('meta', store => store.get('dismissed-duplicates'));
+    return new Set(record ? record.keys : []);
+  }
 
-    return this.performOperation('highlights', 
-      (store) => store.put(highlightData), 
+  async dismissDuplicates(groupKey) {
+    const keys = await this.getDismissedDuplicates();
+    keys.add(groupKey);
+    return this.performOperation('meta',
+      store => store.put({ key: 'dismissed-duplicates', keys: Array.from(keys) }),
       'readwrite'
     );
   }
 
-  async getHighlight(id) {
-    return this.performOperation('highlights', 
-      (store) => store.get(id)
-    );
+  // Revision log: one record per changed field, grouped into actions so a
+  // whole bulk operation can be undone at once
+
+  createAction(source, label) {
+    return { actionId: this.generateUUID(), source, label, date: Date.now() };
   }
 
-  async getAllHighlights() {
-    return this.performOperation('highlights', 
-      (store) => store.getAll()
+  // Log the tracked fields that differ between two versions of a highlight,
+  // inside the caller's transaction (which must include 'revisions')
+  writeRevisions(transaction, before, after, action) {
+    const store = transaction.objectStore('revisions');
+    const changed = this.revisionFields.filter(field => !this.sameValue(before[field], after[field]));
+
+    changed.forEach(field => {
+      store.add({
+        ...action,
+        highlightId: after.id,
+        field,
+        before: before[field] === undefined ? null : before[field],
+        after: after[field] === undefined ? null : after[field]
+      });
+    });
+    return changed.length;
+  }
+
+  // Field values are strings, booleans or tag arrays; a missing field equals
+  // an empty one so filling in defaults isn't logged as a change
+  sameValue(a, b) {
+    const normalize = value => (value === undefined || value === null || value === false ? '' : value);
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+  }
+
+  // A highlight's revisions, newest first
+  async getHighlightHistory(highlightId) {
+    const revisions = await this.performOperation('revisions',
+      (store) => store.index('highlightId').getAll(IDBKeyRange.only(highlightId))
     );
+    return revisions.sort((a, b) => b.id - a.id);
   }
 
-  async getHighlightsByBook(bookAsin) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        const transaction = await this.getTransaction(['highlights']);
-        const store = transaction.objectStore('highlights');
-        const index = store.index('bookAsin');
-        const request = index.getAll(bookAsin);
+  // The most recent user action that hasn't been undone, or null
+  async getLastAction() {
+    const transaction = await this.getTransaction(['revisions']);
 
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
-      } catch (error) {
-        reject(error);
-      }
+    const last = await new Promise((resolve, reject) => {
+      const request = transaction.objectStore('revisions').openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(null);
+        } else if (cursor.value.source === 'user' && !cursor.value.undone) {
+          resolve(cursor.value);
+        } else {
+          cursor.continue();
+        }
+      };
+      request.onerror = () => reject(request.error);
     });
-  }
 
-  async updateHighlight(id, updates) {
-    const highlight = await this.getHighlight(id);
-    if (!highlight) {
-      throw new Error(`Highlight with ID ${id} not found`);
+    if (!last) {
+      return null;
     }
 
-    const updatedHighlight = {
-      ...highlight,
-      ...updates
+    const revisions = await this.performOperation('revisions',
+      (store) => store.index('actionId').getAll(IDBKeyRange.only(last.actionId))
+    );
+    return {
+      id: last.actionId,
+      label: last.label,
+      date: last.date,
+      highlightCount: new Set(revisions.map(revision => revision.highlightId)).size
     };
+  }
 
-    return this.performOperation('highlights', 
-      (store) => store.put(updatedHighlight), 
-      'readwrite'
-    );
+  // Put back the values an action replaced, and the highlights it trashed. A
+  // field changed again since is left alone and counted as a conflict; the
+  // undo itself is logged too
+  async undoAction(actionId) {
+    const undo = this.createAction('undo', null);
+    const transaction = await this.getTransaction(['highlights', 'revisions'], 'readwrite');
+
+    const outcome = await new Promise((resolve, reject) => {
+      const revisionsStore = transaction.objectStore('revisions');
+      const highlightsStore = transaction.objectStore('highlights');
+      const restored = [];
+      const trashedIds = [];
+      let conflicts = 0;
+
+      const request = revisionsStore.index('actionId').getAll(IDBKeyRange.only(actionId));
+      request.onsuccess = () => {
+        const revisions = request.result.filter(revision => !revision.undone);
+        const byHighlight = new Map();
+        revisions.forEach(revision => {
+          if (revision.field === 'trashed') {
+            trashedIds.push(revision.highlightId);
+          } else {
+            byHighlight.set(revision.highlightId, [...(byHighlight.get(revision.highlightId) || []), revision]);
+          }
+          revisionsStore.put({ ...revision, undone: true });
+        });
+        if (revisions.length > 0) {
+          undo.label = `Undo ${revisions[0].label}`;
+        }
+
+        byHighlight.forEach((highlightRevisions, highlightId) => {
+          const getRequest = highlightsStore.get(highlightId);
+          getRequest.onsuccess = () => {
+            const highlight = getRequest.result;
+            if (!highlight) {
+              conflicts += highlightRevisions.length;
+              return;
+            }
+
+            const record = { ...highlight };
+            highlightRevisions.forEach(revision => {
+              if (this.sameValue(highlight[revision.field], revision.after)) {
+                record[revision.field] = revision.before;
+              } else {
+                conflicts++;
+              }
+            });
+
+            if (this.writeRevisions(transaction, highlight, record, undo) > 0) {
+              highlightsStore.put(record);
+              restored.push(record);
+            }
+          };
+        });
+      };
+
+      transaction.oncomplete = () => resolve({ restored, trashedIds, conflicts });
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    await this.indexHighlights(outcome.restored);
+    const untrashed = await this.restoreFromTrash(outcome.trashedIds);
+    // A highlight emptied from the trash since can't come back
+    const conflicts = outcome.conflicts + outcome.trashedIds.length - untrashed;
+    return { restored: outcome.restored.length + untrashed, conflicts };
   }
 
-  async deleteHighlight(id) {
-    return this.performOperation('highlights', 
-      (store) => store.delete(id), 
-      'readwrite'
-    );
+  async removeRevisions(highlightIds) {
+    const transaction = await this.getTransaction(['revisions'], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const store = transaction.objectStore('revisions');
+      highlightIds.forEach(id => {
+        const request = store.index('highlightId').getAllKeys(IDBKeyRange.only(id));
+        request.onsuccess = () => request.result.forEach(key => store.delete(key));
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
-  async markHighlightAsSent(id) {
-    return this.updateHighlight(id, { 
-      lastSentInEmail: Date.now() 
+  // Full-text search index
+
+  // Resolve an IndexedDB request as a promise
+  requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
   }
 
-  // Sync history operations
-  async addSyncRecord(syncData) {
-    const record = {
-      id: this.generateUUID(),
-      syncDate: Date.now(),
-      highlightsAdded: syncData.highlightsAdded || 0,
-      highlightsTotal: syncData.highlightsTotal || 0,
-      status: syncData.status || 'success',
-      errorMessage: syncData.errorMessage || '',
-      ...syncData
-    };
+  async getHighlightsByIds(ids) {
+    const transaction = await this.getTransaction(['highlights']);
+    const store = transaction.objectStore('highlights');
+    const highlights = await Promise.all(ids.map(id => this.requestToPromise(store.get(id))));
+    return highlights.filter(Boolean);
+  }
 
-    return this.performOperation('sync_history', 
-      (store) => store.put(record), 
-      'readwrite'
-    );
+  // Build the index on first use (after the upgrade that added it, or a clear)
+  async ensureSearchIndex() {
+    const stats = await this.performOperation('meta', store => store.get('search-stats'));
+    if (!stats) {
+      await this.rebuildSearchIndex();
+    }
   }
 
-  async getLastSyncRecord() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        const transaction = await this.getTransaction(['sync_history']);
-        const store = transaction.objectStore('sync_history');
-        const index = store.index('syncDate');
-        const request = index.openCursor(null, 'prev');
+  async rebuildSearchIndex() {
+    const [books, highlights] = await Promise.all([this.getAllBooks(), this.getAllHighlights()]);
+    const bookMap = new Map(books.map(book => [book.asin, book]));
 
-        request.onsuccess = () => {
-          const cursor = request.result;
-          resolve(cursor ? cursor.value : null);
-        };
-        request.onerror = () => reject(request.error);
-      } catch (error) {
-        reject(error);
+    const terms = new Map();
+    const stats = {
+      key: 'search-stats',
+      documentCount: highlights.length,
+      totalLengths: this.searchAnalyzer.fields.map(() => 0),
+      builtAt: Date.now()
+    };
+    const docs = highlights.map(highlight => {
+      const doc = this.searchAnalyzer.buildDocument(highlight, bookMap.get(highlight.bookAsin));
+      doc.lengths.forEach((length, index) => { stats.totalLengths[index] += length; });
+
+      for (const [term, frequencies] of Object.entries(doc.postings)) {
+        if (!terms.has(term)) {
+          terms.set(term, { term, postings: {} });
+        }
+        terms.get(term).postings[highlight.id] = frequencies;
       }
+
+      return { id: highlight.id, terms: Object.keys(doc.postings), lengths: doc.lengths };
+    });
+
+    const transaction = await this.getTransaction(['search_index', 'search_docs', 'meta'], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const indexStore = transaction.objectStore('search_index');
+      const docsStore = transaction.objectStore('search_docs');
+
+      indexStore.clear();
+      docsStore.clear();
+      terms.forEach(record => indexStore.put(record));
+      docs.forEach(doc => docsStore.put(doc));
+      transaction.objectStore('meta').put(stats);
+
+      transaction.oncomplete = () => resolve(highlights.length);
+      transaction.onerror = () => reject(transaction.error);
     });
   }
 
-  // Email history operations
-  async addEmailRecord(emailData) {
-    const record = {
-      id: this.generateUUID(),
-      sentDate: Date.now(),
-      highlightIds: emailData.highlightIds || [],
-      status: emailData.status || 'sent',
-      ...emailData
-    };
+  async indexHighlights(highlights) {
+    const asins = [...new Set(highlights.map(highlight => highlight.bookAsin))];
+    const books = await Promise.all(asins.map(asin => this.getBook(asin)));
+    const bookMap = new Map(books.filter(Boolean).map(book => [book.asin, book]));
 
-    return this.performOperation('email_history', 
-      (store) => store.put(record), 
-      'readwrite'
-    );
+    return this.updateSearchIndex(highlights.map(highlight => ({
+      id: highlight.id,
+      doc: this.searchAnalyzer.buildDocument(highlight, bookMap.get(highlight.bookAsin))
+    })));
   }
 
-  // Advanced query methods for Milestone 3
-  async searchHighlights(query, filters = {}) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        const highlights = await this.getAllHighlights();
-        let filtered = highlights;
-
-        // Text search
-        if (query) {
-          const searchTerm = query.toLowerCase();
-          filtered = filtered.filter(highlight => 
-            highlight.text.toLowerCase().includes(searchTerm) ||
-            highlight.note.toLowerCase().includes(searchTerm) ||
-            (highlight.tags && highlight.tags.some(tag => 
-              tag.toLowerCase().includes(searchTerm)
-            ))
-          );
-        }
+  // Each write rewrites the posting list of every term it touches, so writing
+  // many highlights one at a time costs far more than indexing them together
+  async indexHighlightsById(ids) {
+    if (ids.length === 0) {
+      return false;
+    }
+    return this.indexHighlights(await this.getHighlightsByIds(ids));
+  }
 
-        // Apply filters
-        if (filters.bookAsin) {
-          filtered = filtered.filter(h => h.bookAsin === filters.bookAsin);
-        }
-        if (filters.color) {
-          filtered = filtered.filter(h => h.color === filters.color);
-        }
-        if (filters.dateFrom) {
-          filtered = filtered.filter(h => h.dateHighlighted >= filters.dateFrom);
-        }
-        if (filters.dateTo) {
-          filtered = filtered.filter(h => h.dateHighlighted <= filters.dateTo);
+  async removeFromSearchIndex(ids) {
+    return this.updateSearchIndex(ids.map(id => ({ id, doc: null })));
+  }
+
+  // Apply document changes ({ id, doc } or { id, doc: null } to remove) in one
+  // transaction. Term records are read once per batch so postings can't race.
+  // Until the index has been built there is nothing to update.
+  async updateSearchIndex(changes) {
+    const byId = new Map(changes.map(change => [change.id, change]));
+    if (byId.size === 0) {
+      return false;
+    }
+
+    const transaction = await this.getTransaction(['search_index', 'search_docs', 'meta'], 'readwrite');
+
+    return new Promise((resolve, reject) => {
+      const indexStore = transaction.objectStore('search_index');
+      const docsStore = transaction.objectStore('search_docs');
+      const metaStore = transaction.objectStore('meta');
+      const statsRequest = metaStore.get('search-stats');
+      let built = false;
+
+      statsRequest.onsuccess = () => {
+        const stats = statsRequest.result;
+        if (!stats) return;
+        built = true;
+
+        const deltas = new Map();
+        const delta = term => {
+          if (!deltas.has(term)) deltas.set(term, new Map());
+          return deltas.get(term);
+        };
+        let pending = byId.size;
+
+        byId.forEach(({ id, doc }) => {
+          const docRequest = docsStore.get(id);
+          docRequest.onsuccess = () => {
+            const previous = docRequest.result;
+
+            if (previous) {
+              stats.documentCount--;
+              previous.lengths.forEach((length, index) => { stats.totalLengths[index] -= length; });
+              previous.terms.forEach(term => delta(term).set(id, null));
+              docsStore.delete(id);
+            }
+
+            if (doc) {
+              stats.documentCount++;
+              doc.lengths.forEach((length, index) => { stats.totalLengths[index] += length; });
+              Object.entries(doc.postings).forEach(([term, frequencies]) => delta(term).set(id, frequencies));
+              docsStore.put({ id, terms: Object.keys(doc.postings), lengths: doc.lengths });
+            }
+
+            if (--pending === 0) {
+              this.writeTermDeltas(indexStore, deltas);
+              metaStore.put(stats);
+            }
+          };
+        });
+      };
+
+      transaction.oncomplete = () => resolve(built);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  writeTermDeltas(indexStore, deltas) {
+    deltas.forEach((changes, term) => {
+      const request = indexStore.get(term);
+      request.onsuccess = () => {
+        const record = request.result || { term, postings: {} };
+        changes.forEach((frequencies, id) => {
+          if (frequencies) {
+            record.postings[id] = frequencies;
+          } else {
+            delete record.postings[id];
+          }
+        });
+
+        if (Object.keys(record.postings).length > 0) {
+          indexStore.put(record);
+        } else if (request.result) {
+          indexStore.delete(term);
         }
-        if (filters.hasNote !== undefined) {
-          filtered = filtered.filter(h => 
-            filters.hasNote ? h.note && h.note.trim() : !h.note || !h.note.trim()
-          );
+      };
+    });
+  }
+
+  // Rank highlights for a query with BM25F. Every query word must match, either
+  // by stem or as the prefix of an indexed term. Returns [{ id, score, matchedTerms }]
+  async searchRanked(query) {
+    const analyzer = this.searchAnalyzer;
+    const queryTerms = analyzer.parseQuery(query);
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    await this.ensureSearchIndex();
+
+    const termTransaction = await this.getTransaction(['search_index', 'meta']);
+    const indexStore = termTransaction.objectStore('search_index');
+    const [stats, ...lookups] = await Promise.all([
+      this.requestToPromise(termTransaction.objectStore('meta').get('search-stats')),
+      ...queryTerms.map(({ word, term }) => Promise.all([
+        this.requestToPromise(indexStore.get(term)),
+        word.length >= analyzer.minPrefixLength
+          ? this.requestToPromise(indexStore.getAll(IDBKeyRange.bound(word, word + '\uffff')))
+          : Promise.resolve([])
+      ]))
+    ]);
+
+    // Candidate index terms per query word, with their weight
+    const candidates = lookups.map(([exact, prefixed], index) => [
+      ...(exact ? [{ record: exact, weight: 1 }] : []),
+      ...prefixed
+        .filter(record => record.term !== queryTerms[index].term)
+        .map(record => ({ record, weight: analyzer.prefixWeight }))
+    ]);
+
+    let ids = null;
+    for (const terms of candidates) {
+      const matching = new Set(terms.flatMap(({ record }) => Object.keys(record.postings)));
+      ids = ids ? new Set([...ids].filter(id => matching.has(id))) : matching;
+    }
+    if (!ids || ids.size === 0) {
+      return [];
+    }
+
+    const docsTransaction = await this.getTransaction(['search_docs']);
+    const docsStore = docsTransaction.objectStore('search_docs');
+    const docs = await Promise.all([...ids].map(id => this.requestToPromise(docsStore.get(id))));
+
+    return docs.filter(Boolean).map(doc => {
+      let score = 0;
+      const matchedTerms = [];
+
+      for (const terms of candidates) {
+        let best = 0;
+        for (const { record, weight } of terms) {
+          const frequencies = record.postings[doc.id];
+          if (!frequencies) continue;
+
+          matchedTerms.push(record.term);
+          const documentFrequency = Object.keys(record.postings).length;
+          best = Math.max(best, weight * analyzer.score(frequencies, doc.lengths, stats, documentFrequency));
         }
+        score += best;
+      }
 
-        // Sort results by relevance/date
-        filtered.sort((a, b) => b.dateHighlighted - a.dateHighlighted);
+      return { id: doc.id, score, matchedTerms };
+    }).sort((a, b) => b.score - a.score);
+  }
 
-        resolve(filtered);
-      } catch (error) {
-        reject(error);
+  // Advanced query methods for Milestone 3
+  // The query may use the structured syntax of QueryParser; free text in it is
+  // ranked, the rest filters. Throws on a syntax error
+  async searchHighlights(query, filters = {}) {
+    const tree = this.queryParser.parse(query);
+    const text = this.queryParser.freeText(tree);
+    const rules = this.queryParser.withoutFreeText(tree);
+    let filtered;
+
+    if (text.trim() && this.searchAnalyzer.parseQuery(text).length > 0) {
+      // Ranked by relevance; each result carries its score and matched terms
+      const ranked = await this.searchRanked(text);
+      const highlights = new Map((await this.getHighlightsByIds(ranked.map(r => r.id))).map(h => [h.id, h]));
+      filtered = ranked
+        .filter(result => highlights.has(result.id))
+        .map(result => ({
+          ...highlights.get(result.id),
+          searchScore: result.score,
+          matchedTerms: result.matchedTerms
+        }));
+
+      if (filters.tag) {
+        filtered = filtered.filter(h => h.tags && h.tags.includes(filters.tag));
       }
-    });
+    } else {
+      // A tag filter narrows the scan to the tags index
+      filtered = filters.tag
+        ? await this.getHighlightsByTag(filters.tag)
+        : await this.getAllHighlights();
+
+      // Words the analyzer drops entirely, such as "the", still match as plain text
+      const needle = text.trim().toLowerCase();
+      if (needle) {
+        filtered = filtered.filter(h =>
+          (h.text || '').toLowerCase().includes(needle) ||
+          (h.note || '').toLowerCase().includes(needle) ||
+          (h.tags || []).some(tag => tag.toLowerCase().includes(needle))
+        );
+      }
+      filtered.sort((a, b) => b.dateHighlighted - a.dateHighlighted);
+    }
+
+    // Apply filters
+    if (filters.bookAsin) {
+      filtered = filtered.filter(h => h.bookAsin === filters.bookAsin);
+    }
+    if (filters.color) {
+      filtered = filtered.filter(h => h.color === filters.color);
+    }
+    if (filters.dateFrom) {
+      filtered = filtered.filter(h => h.dateHighlighted >= filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      filtered = filtered.filter(h => h.dateHighlighted <= filters.dateTo);
+    }
+    if (filters.hasNote !== undefined) {
+      filtered = filtered.filter(h => 
+        filters.hasNote ? h.note && h.note.trim() : !h.note || !h.note.trim()
+      );
+    }
+    if (rules) {
+      const books = this.queryParser.needsBooks(rules)
+        ? new Map((await this.getAllBooks()).map(book => [book.asin, book]))
+        : new Map();
+      filtered = filtered.filter(h => this.queryParser.matches(h, rules, { books }));
+    }
+
+    return filtered;
   }
 
   async getHighlightsByBook(asin, sortBy = 'dateHighlighted') {
@@ -391,10 +2339,11 @@ class Database {
     return match ? match[1] : null;
   }
 
-  async bulkUpdateHighlights(highlightIds, updates) {
-    return new Promise(async (resolve, reject) => {
+  async bulkUpdateHighlights(highlightIds, updates, { source = 'user', label = 'Update highlights' } = {}) {
+    const action = this.createAction(source, label);
+    const results = await new Promise(async (resolve, reject) => {
       try {
-        const transaction = await this.getTransaction(['highlights'], 'readwrite');
+        const transaction = await this.getTransaction(['highlights', 'revisions'], 'readwrite');
         const store = transaction.objectStore('highlights');
         const results = [];
 
@@ -413,6 +2362,7 @@ class Database {
             if (highlight) {
               const updatedHighlight = { ...highlight, ...updates };
               const putRequest = store.put(updatedHighlight);
+              this.writeRevisions(transaction, highlight, updatedHighlight, action);
               putRequest.onsuccess = () => {
                 results.push(updatedHighlight);
                 completed++;
@@ -436,10 +2386,22 @@ class Database {
         reject(error);
       }
     });
+
+    if (this.searchAnalyzer.affectsIndex(updates)) {
+      await this.indexHighlights(results);
+    }
+
+    return results;
   }
 
   async bulkDeleteHighlights(highlightIds) {
-    return new Promise(async (resolve, reject) => {
+    return this.trashHighlights(highlightIds);
+  }
+
+  // Delete for good, skipping the trash (sync replacing an edited highlight,
+  // orphan cleanup)
+  async purgeHighlights(highlightIds) {
+    const deleted = await new Promise(async (resolve, reject) => {
       try {
         const transaction = await this.getTransaction(['highlights'], 'readwrite');
         const store = transaction.objectStore('highlights');
@@ -468,16 +2430,24 @@ class Database {
         reject(error);
       }
     });
+
+    await this.removeFromSearchIndex(highlightIds);
+    await this.removeFromCollections(highlightIds);
+    await this.removeRevisions(highlightIds);
+    return deleted;
   }
 
   // Data export/import functionality
   async exportAllData() {
     try {
-      const [books, highlights, syncHistory, emailHistory] = await Promise.all([
+      const [books, highlights, syncHistory, emailHistory, savedSearches, collections, bookAliases] = await Promise.all([
         this.getAllBooks(),
         this.getAllHighlights(),
         this.getSyncHistory(),
-        this.getEmailHistory()
+        this.getEmailHistory(),
+        this.getSavedSearches(),
+        this.getCollections(),
+        this.getBookAliases()
       ]);
 
       const exportData = {
@@ -487,7 +2457,10 @@ class Database {
           books,
           highlights,
           syncHistory,
-          emailHistory
+          emailHistory,
+          savedSearches,
+          collections,
+          bookAliases
         },
         metadata: {
           totalBooks: books.length,
@@ -537,6 +2510,7 @@ class Database {
 
       // Import highlights
       if (importData.data.highlights) {
+        const written = [];
         for (const highlight of importData.data.highlights) {
           try {
             const existing = await this.getHighlight(highlight.id);
@@ -546,13 +2520,87 @@ class Database {
                 continue;
               }
             }
-            await this.addHighlight(highlight);
+            if (existing) {
+              await this.updateHighlight(highlight.id, highlight, { source: 'import', label: 'Import backup', index: false });
+            } else {
+              await this.addHighlight(highlight, { index: false });
+            }
+            written.push(highlight.id);
             results.highlights.imported++;
           } catch (error) {
             results.highlights.errors++;
             results.errors.push(`Highlight import error (${highlight.id}): ${error.message}`);
           }
         }
+        await this.indexHighlightsById(written);
+      }
+
+      // Import saved searches
+      if (importData.data.savedSearches) {
+        results.savedSearches = { imported: 0, skipped: 0, errors: 0 };
+        for (const search of importData.data.savedSearches) {
+          try {
+            const existing = await this.getSavedSearch(search.id);
+            if (existing && !overwrite && skipDuplicates) {
+              results.savedSearches.skipped++;
+              continue;
+            }
+            await this.saveSearch(search);
+            results.savedSearches.imported++;
+          } catch (error) {
+            results.savedSearches.errors++;
+            results.errors.push(`Saved search import error (${search.name}): ${error.message}`);
+          }
+        }
+      }
+
+      // Import collections, keeping their order
+      if (importData.data.collections) {
+        results.collections = { imported: 0, skipped: 0, errors: 0 };
+        for (const collection of importData.data.collections) {
+          try {
+            const existing = await this.getCollection(collection.id);
+            if (existing && !overwrite && skipDuplicates) {
+              results.collections.skipped++;
+              continue;
+            }
+            const record = {
+              ...collection,
+              name: await this.checkCollectionName(collection.name, collection.id),
+              highlightIds: Array.isArray(collection.highlightIds) ? collection.highlightIds : []
+            };
+            await this.performOperation('collections',
+              (store) => store.put(record),
+              'readwrite'
+            );
+            results.collections.imported++;
+          } catch (error) {
+            results.collections.errors++;
+            results.errors.push(`Collection import error (${collection.name}): ${error.message}`);
+          }
+        }
+      }
+
+      // Import book aliases, so syncs keep landing on merged books
+      if (importData.data.bookAliases) {
+        results.bookAliases = { imported: 0, skipped: 0, errors: 0 };
+        for (const alias of importData.data.bookAliases) {
+          try {
+            const existing = await this.performOperation('book_aliases', (store) => store.get(alias.alias));
+            if (existing && !overwrite && skipDuplicates) {
+              results.bookAliases.skipped++;
+              continue;
+            }
+            await this.performOperation('book_aliases',
+              (store) => store.put(alias),
+              'readwrite'
+            );
+            results.bookAliases.imported++;
+          } catch (error) {
+            results.bookAliases.errors++;
+            results.errors.push(`Book alias import error (${alias.alias}): ${error.message}`);
+          }
+        }
       }
 
       return results;
@@ -625,13 +2673,15 @@ class Database {
       removeOldEmailRecords = true,
       maxSyncRecords = 100,
       maxEmailRecords = 100,
-      removeOrphanedHighlights = true
+      removeOrphanedHighlights = true,
+      removeExpiredTrash = true
     } = options;
 
     const results = {
       syncRecordsRemoved: 0,
       emailRecordsRemoved: 0,
-      orphanedHighlightsRemoved: 0
+      orphanedHighlightsRemoved: 0,
+      expiredTrashRemoved: 0
     };
 
     try {
@@ -675,10 +2725,12 @@ class Database {
         const bookAsins = new Set(books.map(book => book.asin));
         const orphanedHighlights = highlights.filter(h => !bookAsins.has(h.bookAsin));
         
-        for (const highlight of orphanedHighlights) {
-          await this.deleteHighlight(highlight.id);
-          results.orphanedHighlightsRemoved++;
-        }
+        await this.purgeHighlights(orphanedHighlights.map(highlight => highlight.id));
+        results.orphanedHighlightsRemoved = orphanedHighlights.length;
+      }
+
+      if (removeExpiredTrash) {
+        results.expiredTrashRemoved = await this.purgeExpiredTrash();
       }
 
       return results;
@@ -725,14 +2777,27 @@ class Database {
     }
   }
 
-  async clearAllData() {
-    const storeNames = ['books', 'highlights', 'sync_history', 'email_history'];
+  // Wipe everything. With keepTrash the highlights go to the trash first (with
+  // no tombstones, so a later sync can bring them back) and the trash is kept
+  async clearAllData({ keepTrash = false } = {}) {
+    if (keepTrash) {
+      const ids = await this.performOperation('highlights', (store) => store.getAllKeys());
+      await this.trashHighlights(ids, 'cleared');
+    }
+
+    const storeNames = [
+      'books', 'highlights', 'sync_history', 'email_history', 'search_index', 'search_docs', 'saved_searches',
+      'collections', 'book_aliases', ...(keepTrash ? [] : ['trash', 'tombstones', 'revisions'])
+    ];
     
     return new Promise(async (resolve, reject) => {
       try {
-        const transaction = await this.getTransaction(storeNames, 'readwrite');
+        const transaction = await this.getTransaction([...storeNames, 'meta'], 'readwrite');
         let completed = 0;
 
+        // The search index is rebuilt (empty) on the next search
+        transaction.objectStore('meta').delete('search-stats');
+
         storeNames.forEach(storeName => {
           const store = transaction.objectStore(storeName);
           const request = store.clear();
@@ -904,6 +2969,16 @@ class Database {
     });
   }
 
+  // The string hash KindleParser uses for highlight IDs and pseudo-ASINs
+  simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash) + str.charCodeAt(i);
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash);
+  }
+
   // Close database connection
   close() {
     if (this.db) {
@@ -920,13 +2995,17 @@ const database = new Database();
 // Export for different environments
 if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment (for testing)
-  module.exports = { Database, database };
+  module.exports = { Database, database, SearchAnalyzer, QueryParser };
 } else if (typeof self !== 'undefined') {
   // Web Worker environment
   self.Database = Database;
   self.database = database;
+  self.SearchAnalyzer = SearchAnalyzer;
+  self.QueryParser = QueryParser;
 } else {
   // Browser environment
   window.Database = Database;
   window.database = database;
+  window.SearchAnalyzer = SearchAnalyzer;
+  window.QueryParser = QueryParser;
 }
\ No newline at end of file
@@ -0,0 +1,237 @@
+// Kindle Highlights Reminder - Duplicate Detector
+// Finds highlights that repeat one another: a passage re-highlighted with a
+// slightly longer span, or the same passage in another edition of the book.
+// Candidates come from word shingles hashed with MinHash and banded (LSH), so
+// large libraries don't need every pair compared
+
+class DuplicateDetector {
+  constructor() {
+    this.shingleSize = 3;
+    this.bands = 16;
+    this.rowsPerBand = 4;
+    // Share of shingles two highlights need in common to count as duplicates;
+    // one changed word in a 15-word passage already costs three of them
+    this.similarityThreshold = 0.6;
+    // Shorter passages are too common to call one contained in another
+    this.minContainedWords = 5;
+
+    // Fixed seeds keep signatures stable between runs
+    this.seeds = [];
+    let seed = 0x2545f491;
+    for (let i = 0; i < this.bands * this.rowsPerBand; i++) {
+      seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+      this.seeds.push(seed);
+    }
+  }
+
+  normalize(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // Editions of a book share a title (before any subtitle) and an author
+  editionKey(book) {
+    if (!book.title) {
+      return book.asin;
+    }
+    const title = book.title.split(/[:([]/)[0];
+    return `${this.normalize(title)}|${this.normalize(book.author)}`;
+  }
+
+  shingles(words) {
+    if (words.length <= this.shingleSize) {
+      return [words.join(' ')];
+    }
+    const shingles = [];
+    for (let i = 0; i <= words.length - this.shingleSize; i++) {
+      shingles.push(words.slice(i, i + this.shingleSize).join(' '));
+    }
+    return shingles;
+  }
+
+  // 32-bit FNV-1a
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // The minimum of each seeded hash over the shingle set; two signatures agree
+  // in a position with probability equal to the sets' Jaccard similarity
+  signature(shingles) {
+    const signature = new Array(this.seeds.length).fill(0xffffffff);
+    for (const shingle of shingles) {
+      const base = this.hash(shingle);
+      this.seeds.forEach((seed, i) => {
+        let value = Math.imul(base ^ seed, 0x85ebca6b);
+        value ^= value >>> 13;
+        value = Math.imul(value, 0xc2b2ae35);
+        value = (value ^ (value >>> 16)) >>> 0;
+        if (value < signature[i]) {
+          signature[i] = value;
+        }
+      });
+    }
+    return signature;
+  }
+
+  jaccard(a, b) {
+    let shared = 0;
+    a.forEach(shingle => {
+      if (b.has(shingle)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+  }
+
+  // Groups of duplicate highlights, each with the one to keep first
+  findDuplicates(highlights, books = []) {
+    const bookByAsin = new Map(books.map(book => [book.asin, book]));
+    const editions = new Map();
+
+    highlights.forEach(highlight => {
+      const key = this.editionKey(bookByAsin.get(highlight.bookAsin) || { asin: highlight.bookAsin });
+      this.addTo(editions, key, highlight);
+    });
+
+    const pairs = [];
+    editions.forEach(edition => pairs.push(...this.findPairs(edition)));
+    return this.cluster(highlights, pairs);
+  }
+
+  findPairs(highlights) {
+    const docs = highlights
+      .map(highlight => {
+        const words = this.normalize(highlight.text).split(' ').filter(Boolean);
+        const shingles = this.shingles(words);
+        return {
+          highlight,
+          words,
+          text: ` ${words.join(' ')} `,
+          firstShingle: shingles[0],
+          shingles: new Set(shingles),
+          signature: this.signature(shingles)
+        };
+      })
+      .filter(doc => doc.words.length > 0);
+
+    const candidates = new Set();
+    const addPair = (i, j) => candidates.add(i < j ? `${i},${j}` : `${j},${i}`);
+
+    // Similar highlights: any band of the signature matches exactly
+    const buckets = new Map();
+    docs.forEach((doc, i) => {
+      for (let band = 0; band < this.bands; band++) {
+        const start = band * this.rowsPerBand;
+        const key = `${band}:${doc.signature.slice(start, start + this.rowsPerBand).join(',')}`;
+        this.addTo(buckets, key, i);
+      }
+    });
+    buckets.forEach(members => {
+      for (let a = 0; a < members.length; a++) {
+        for (let b = a + 1; b < members.length; b++) {
+          addPair(members[a], members[b]);
+        }
+      }
+    });
+
+    // Contained highlights: the longer one must include the shorter one's first shingle
+    const byShingle = new Map();
+    docs.forEach((doc, i) => {
+      doc.shingles.forEach(shingle => this.addTo(byShingle, shingle, i));
+    });
+    docs.forEach((doc, i) => {
+      if (doc.words.length < this.minContainedWords) return;
+      byShingle.get(doc.firstShingle).forEach(j => {
+        if (j !== i) addPair(i, j);
+      });
+    });
+
+    const pairs = [];
+    candidates.forEach(candidate => {
+      const [a, b] = candidate.split(',').map(index => docs[Number(index)]);
+      const [shorter, longer] = a.words.length <= b.words.length ? [a, b] : [b, a];
+      const similarity = this.jaccard(a.shingles, b.shingles);
+
+      const contained = shorter.words.length >= this.minContainedWords && longer.text.includes(shorter.text);
+      if (contained || similarity >= this.similarityThreshold) {
+        pairs.push({
+          ids: [a.highlight.id, b.highlight.id],
+          reason: contained && shorter.words.length < longer.words.length ? 'contains' : 'similar',
+          similarity
+        });
+      }
+    });
+    return pairs;
+  }
+
+  // Join overlapping pairs into groups, so A~B and B~C become one group
+  cluster(highlights, pairs) {
+    const parent = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+
+    pairs.forEach(({ ids }) => ids.forEach(id => parent.set(id, id)));
+    pairs.forEach(({ ids: [a, b] }) => parent.set(find(a), find(b)));
+
+    const byId = new Map(highlights.map(highlight => [highlight.id, highlight]));
+    const groups = new Map();
+    pairs.forEach(pair => {
+      const root = find(pair.ids[0]);
+      const group = groups.get(root) || { ids: new Set(), pairs: [] };
+      pair.ids.forEach(id => group.ids.add(id));
+      group.pairs.push(pair);
+      groups.set(root, group);
+    });
+
+    return Array.from(groups.values()).map(group => {
+      const members = Array.from(group.ids)
+        .map(id => byId.get(id))
+        .sort((a, b) => this.compareForKeeping(a, b));
+      return {
+        key: members.map(highlight => highlight.id).sort().join('|'),
+        keepId: members[0].id,
+        highlights: members,
+        reason: group.pairs.some(pair => pair.reason === 'contains') ? 'contains' : 'similar',
+        similarity: Math.min(...group.pairs.map(pair => pair.similarity))
+      };
+    });
+  }
+
+  addTo(map, key, value) {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(value);
+  }
+
+  // Keep the fullest passage; then the one reviewed most; then the oldest
+  compareForKeeping(a, b) {
+    return (b.text || '').length - (a.text || '').length ||
+      (b.timesShown || 0) - (a.timesShown || 0) ||
+      (a.dateAdded || 0) - (b.dateAdded || 0);
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { DuplicateDetector };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.DuplicateDetector = DuplicateDetector;
+} else {
+  // Browser environment
+  window.DuplicateDetector = DuplicateDetector;
+}
@@ -1,12 +1,16 @@
 // Kindle Highlights Reminder - Highlight Selection Algorithm
 // Implements spaced repetition and intelligent highlight selection
 
+/* global ReviewScheduler */
+
 class HighlightSelector {
-  constructor(database) {
+  constructor(database, scheduler = HighlightSelector.defaultScheduler(database)) {
     this.database = database;
-    
-    // Spaced repetition intervals (in days)
-    this.spacedRepetitionIntervals = [1, 3, 7, 14, 30, 90, 180, 365];
+    this.scheduler = scheduler;
+
+    // Algorithms rank this many times the email size so diversity constraints
+    // have room to skip highlights and still fill the email
+    this.diversityCandidateFactor = 4;
     
     // Default weights for selection criteria
     this.defaultWeights = {
@@ -15,10 +19,20 @@ class HighlightSelector {
       recency: 0.15,            // 15% - Recently highlighted content
       frequency: 0.1,           // 10% - How often it's been shown
       tags: 0.1,                // 10% - Tagged highlights are important
-      randomness: 0.05          // 5% - Add some randomness
+      randomness: 0.05,         // 5% - Add some randomness
+      favorites: 0.15           // Boost on top for starred highlights
     };
   }
 
+  // For callers that only pass the database. The extension loads
+  // ReviewScheduler as a global before this file; Node has to require it
+  static defaultScheduler(database) {
+    const Scheduler = typeof ReviewScheduler !== 'undefined'
+      ? ReviewScheduler
+      : require('./review-scheduler.js').ReviewScheduler;
+    return new Scheduler(database);
+  }
+
   // Main method to select highlights for email
   async selectHighlights(count, userSettings = {}) {
     try {
@@ -35,8 +49,15 @@ class HighlightSelector {
         };
       }
 
+      // A smart collection narrows the pool; cooldowns still see every highlight
+      const pool = await this.getSelectionPool(allHighlights, userSettings.selectionCollection);
+
       // Filter highlights based on user preferences
-      const filteredHighlights = this.filterHighlights(allHighlights, userSettings);
+      const filteredHighlights = this.filterHighlights(
+        pool,
+        userSettings,
+        await this.getRuleBooks(userSettings)
+      );
       
       if (filteredHighlights.length === 0) {
         return {
@@ -46,13 +67,25 @@ class HighlightSelector {
         };
       }
 
+      const constraints = this.getDiversityConstraints(userSettings);
+      const candidateCount = constraints.active
+        ? Math.min(filteredHighlights.length, count * this.diversityCandidateFactor)
+        : count;
+
       // Select highlights using the chosen algorithm
-      const selectedHighlights = await this.selectByAlgorithm(
+      const rankedHighlights = await this.selectByAlgorithm(
         filteredHighlights, 
-        count, 
+        candidateCount, 
         userSettings.highlightSelectionMode || 'spaced-repetition'
       );
 
+      const selectedHighlights = this.applyDiversityConstraints(
+        rankedHighlights,
+        count,
+        constraints,
+        this.getBookLastEmailed(allHighlights)
+      );
+
       return {
         status: 'success',
         highlights: selectedHighlights,
@@ -71,9 +104,29 @@ class HighlightSelector {
     }
   }
 
-  // Filter highlights based on user preferences
-  filterHighlights(highlights, userSettings) {
-    let filtered = [...highlights];
+  // A saved search deleted since it was chosen (or lost to a clear or an
+  // import) must not stop the emails, so the pool falls back to everything
+  async getSelectionPool(allHighlights, collectionId) {
+    if (!collectionId) {
+      return allHighlights;
+    }
+
+    const search = await this.database.getSavedSearch(collectionId);
+    if (!search) {
+      console.warn(`Saved search ${collectionId} no longer exists; selecting from all highlights`);
+      return allHighlights;
+    }
+    return this.database.searchHighlights(search.query, search.filters);
+  }
+
+  // Filter highlights based on user preferences; books (by ASIN) are only
+  // needed when the selection rule names an author, title or book
+  filterHighlights(highlights, userSettings, books = new Map()) {
+    // Highlights deleted on Amazon are kept for history but never selected
+    let filtered = highlights.filter(h => !h.removedUpstream);
+
+    // Suspended highlights stay in the library but are never reviewed
+    filtered = filtered.filter(h => !h.suspended);
 
     // Filter by book preferences (if user has book preferences)
     if (userSettings.preferredBooks && userSettings.preferredBooks.length > 0) {
@@ -100,9 +153,167 @@ class HighlightSelector {
       });
     }
 
+    // Selection rule in the search syntax, e.g. "tag:important -color:pink"
+    if (userSettings.selectionQuery) {
+      const parser = this.database.queryParser;
+      const rule = parser.parse(userSettings.selectionQuery);
+      filtered = filtered.filter(h => parser.matches(h, rule, { books }));
+    }
+
     return filtered;
   }
 
+  async getRuleBooks(userSettings) {
+    if (!userSettings.selectionQuery) {
+      return new Map();
+    }
+
+    const rule = this.database.queryParser.parse(userSettings.selectionQuery);
+    if (!this.database.queryParser.needsBooks(rule)) {
+      return new Map();
+    }
+
+    return new Map((await this.database.getAllBooks()).map(book => [book.asin, book]));
+  }
+
+  // Per-email diversity settings; unset values leave selection unconstrained
+  getDiversityConstraints(userSettings) {
+    const maxPerBook = parseInt(userSettings.maxHighlightsPerBook, 10);
+    const cooldownDays = parseInt(userSettings.bookCooldownDays, 10);
+
+    return {
+      maxPerBook: maxPerBook > 0 ? maxPerBook : Infinity,
+      cooldownDays: cooldownDays > 0 ? cooldownDays : 0,
+      interleave: userSettings.interleaveBooks === true,
+      active: maxPerBook > 0 || cooldownDays > 0
+    };
+  }
+
+  // When each book last appeared in an email
+  getBookLastEmailed(highlights) {
+    const lastEmailed = new Map();
+
+    for (const highlight of highlights) {
+      const shown = Math.max(highlight.lastShown || 0, highlight.lastSentInEmail || 0);
+      if (shown > (lastEmailed.get(highlight.bookAsin) || 0)) {
+        lastEmailed.set(highlight.bookAsin, shown);
+      }
+    }
+
+    return lastEmailed;
+  }
+
+  // Take highlights in ranked order, skipping any that would break a constraint.
+  // If that leaves the email short, the cooldown is relaxed first, then the per-book limit.
+  applyDiversityConstraints(ranked, count, constraints, bookLastEmailed, now = Date.now()) {
+    if (!constraints.active) {
+      const selected = ranked.slice(0, count);
+      return constraints.interleave ? this.interleaveByBook(selected) : selected;
+    }
+
+    const cooldownStart = now - constraints.cooldownDays * 24 * 60 * 60 * 1000;
+    const perBook = {};
+    const selected = [];
+    const selectedIds = new Set();
+    let displaced = [];
+
+    const brokenConstraints = (highlight) => {
+      const broken = [];
+      if ((perBook[highlight.bookAsin] || 0) >= constraints.maxPerBook) {
+        broken.push('per-book');
+      }
+      if (constraints.cooldownDays > 0 && (bookLastEmailed.get(highlight.bookAsin) || 0) > cooldownStart) {
+        broken.push('cooldown');
+      }
+      return broken;
+    };
+
+    for (const relaxed of [[], ['cooldown'], ['cooldown', 'per-book']]) {
+      for (const highlight of ranked) {
+        if (selected.length >= count) break;
+        if (selectedIds.has(highlight.id)) continue;
+
+        const broken = brokenConstraints(highlight);
+        if (broken.some(constraint => !relaxed.includes(constraint))) {
+          if (relaxed.length === 0) {
+            displaced.push({ id: highlight.id, bookAsin: highlight.bookAsin, reason: broken[0] });
+          }
+          continue;
+        }
+
+        const entry = { ...highlight };
+        if (displaced.length > 0) {
+          entry.displacedHighlights = displaced;
+          displaced = [];
+        }
+        if (broken.length > 0) {
+          entry.relaxedConstraints = broken;
+        }
+
+        selected.push(entry);
+        selectedIds.add(highlight.id);
+        perBook[highlight.bookAsin] = (perBook[highlight.bookAsin] || 0) + 1;
+      }
+    }
+
+    // A highlight picked up in a relaxed pass was not displaced after all
+    for (const entry of selected) {
+      if (entry.displacedHighlights) {
+        entry.displacedHighlights = entry.displacedHighlights.filter(d => !selectedIds.has(d.id));
+        if (entry.displacedHighlights.length === 0) {
+          delete entry.displacedHighlights;
+        }
+      }
+    }
+
+    return constraints.interleave ? this.interleaveByBook(selected) : selected;
+  }
+
+  // Describe how diversity constraints shaped this highlight's selection.
+  // books maps ASIN -> book, to name displaced highlights' books by title
+  explainConstraints(highlight, userSettings, books = new Map()) {
+    const constraints = this.getDiversityConstraints(userSettings);
+    const bookName = asin => (books.get(asin) && books.get(asin).title) || asin;
+    const describe = reason => reason === 'per-book'
+      ? `at most ${constraints.maxPerBook} per book in one email`
+      : `no book again within ${constraints.cooldownDays} days`;
+    const reasons = [];
+
+    for (const displaced of highlight.displacedHighlights || []) {
+      reasons.push(`Chosen over a higher-ranked highlight from ${bookName(displaced.bookAsin)} (${describe(displaced.reason)})`);
+    }
+
+    if (highlight.relaxedConstraints && highlight.relaxedConstraints.length > 0) {
+      const relaxed = highlight.relaxedConstraints.map(describe).join(', ');
+      reasons.push(`Included despite ${relaxed}: not enough other highlights to fill the email`);
+    }
+
+    return reasons;
+  }
+
+  // Reorder so consecutive highlights come from different books where possible
+  interleaveByBook(highlights) {
+    const groups = new Map();
+    for (const highlight of highlights) {
+      if (!groups.has(highlight.bookAsin)) {
+        groups.set(highlight.bookAsin, []);
+      }
+      groups.get(highlight.bookAsin).push(highlight);
+    }
+
+    const queues = Array.from(groups.values());
+    const ordered = [];
+    while (ordered.length < highlights.length) {
+      for (const queue of queues) {
+        if (queue.length > 0) {
+          ordered.push(queue.shift());
+        }
+      }
+    }
+
+    return ordered;
+  }
+
   // Select highlights using specified algorithm
   async selectByAlgorithm(highlights, count, algorithm) {
     switch (algorithm) {
@@ -133,25 +344,26 @@ class HighlightSelector {
   selectBySpacedRepetition(highlights, count) {
     const now = Date.now();
     
-    // Calculate spaced repetition scores for each highlight
-    const scoredHighlights = highlights.map(highlight => {
-      const score = this.calculateSpacedRepetitionScore(highlight, now);
-      return { ...highlight, spacedRepetitionScore: score };
-    });
+    // Only highlights whose review is due are candidates
+    const dueHighlights = highlights
+      .filter(highlight => this.scheduler.isDue(highlight, now))
+      .map(highlight => {
+        const score = this.calculateSpacedRepetitionScore(highlight, now);
+        return { ...highlight, spacedRepetitionScore: score };
+      });
 
-    // Sort by spaced repetition score (highest first)
-    scoredHighlights.sort((a, b) => b.spacedRepetitionScore - a.spacedRepetitionScore);
+    // Most overdue first
+    dueHighlights.sort((a, b) => b.spacedRepetitionScore - a.spacedRepetitionScore);
 
-    // Take top highlights, but add some randomness to avoid always showing the same ones
-    const topCandidates = scoredHighlights.slice(0, Math.min(count * 2, scoredHighlights.length));
-    
-    // Randomly select from top candidates to add variety
-    const selected = [];
-    const candidatesCopy = [...topCandidates];
-    
-    for (let i = 0; i < Math.min(count, candidatesCopy.length); i++) {
-      const randomIndex = Math.floor(Math.random() * candidatesCopy.length);
-      selected.push(candidatesCopy.splice(randomIndex, 1)[0]);
+    const selected = dueHighlights.slice(0, count);
+
+    // Fill a short queue with the highlights that will come due soonest,
+    // so an email is never sent with fewer highlights than asked for
+    if (selected.length < count) {
+      const upcoming = highlights
+        .filter(highlight => !this.scheduler.isDue(highlight, now))
+        .sort((a, b) => a.dueDate - b.dueDate);
+      selected.push(...upcoming.slice(0, count - selected.length));
     }
 
     return selected;
@@ -159,16 +371,8 @@ class HighlightSelector {
 
   // Calculate spaced repetition score for a highlight
   calculateSpacedRepetitionScore(highlight, now) {
-    const timesShown = highlight.timesShown || 0;
-    const lastShown = highlight.lastShown || 0;
-    const daysSinceLastShown = lastShown > 0 ? (now - lastShown) / (24 * 60 * 60 * 1000) : 999;
-    
-    // Get the next review interval based on times shown
-    const intervalIndex = Math.min(timesShown, this.spacedRepetitionIntervals.length - 1);
-    const targetInterval = this.spacedRepetitionIntervals[intervalIndex];
-    
-    // Base score: how overdue is this highlight?
-    let score = daysSinceLastShown / targetInterval;
+    // Base score: how overdue is this highlight relative to its interval?
+    let score = this.scheduler.getOverdueRatio(highlight, now);
     
     // Boost score for highlights with notes (they're more valuable)
     if (highlight.note && highlight.note.trim()) {
@@ -180,9 +384,9 @@ class HighlightSelector {
       score *= 1.2;
     }
     
-    // Reduce score for highlights shown many times (avoid repetition)
-    if (timesShown > 5) {
-      score *= 0.8;
+    // Highlights that keep being forgotten need more attention
+    if (highlight.lapses > 0) {
+      score *= 1 + Math.min(highlight.lapses, 5) * 0.1;
     }
     
     // Add small random factor to break ties
@@ -191,6 +395,69 @@ class HighlightSelector {
     return score;
   }
 
+  // Today's review queue: due highlights, most overdue first, with their book
+  // and the highlights either side of them for context
+  async getReviewQueue(limit, userSettings = {}) {
+    try {
+      await this.database.init();
+
+      const now = Date.now();
+      const allHighlights = await this.database.getAllHighlights();
+      const due = this.filterHighlights(allHighlights, userSettings, await this.getRuleBooks(userSettings))
+        .filter(highlight => this.scheduler.isDue(highlight, now))
+        .map(highlight => ({
+          ...highlight,
+          spacedRepetitionScore: this.calculateSpacedRepetitionScore(highlight, now)
+        }))
+        .sort((a, b) => b.spacedRepetitionScore - a.spacedRepetitionScore);
+
+      const books = {};
+      const queue = [];
+
+      for (const highlight of due.slice(0, limit)) {
+        if (!(highlight.bookAsin in books)) {
+          books[highlight.bookAsin] = (await this.database.getBook(highlight.bookAsin)) || null;
+        }
+
+        queue.push({
+          highlight,
+          book: books[highlight.bookAsin],
+          context: this.getSurroundingHighlights(allHighlights, highlight)
+        });
+      }
+
+      return {
+        status: 'success',
+        queue,
+        totalDue: due.length
+      };
+
+    } catch (error) {
+      console.error('Failed to build review queue:', error);
+      return {
+        status: 'error',
+        message: error.message,
+        queue: []
+      };
+    }
+  }
+
+  // The highlights just before and after this one in the same book
+  getSurroundingHighlights(highlights, highlight) {
+    const position = h => parseInt(String(h.page || '').replace(/\D/g, ''), 10) || 0;
+    const sameBook = highlights
+      .filter(h => h.bookAsin === highlight.bookAsin && !h.removedUpstream)
+      .sort((a, b) => position(a) - position(b));
+
+    const index = sameBook.findIndex(h => h.id === highlight.id);
+    const neighbour = h => h ? { text: h.text, location: h.location || '' } : null;
+
+    return {
+      before: index > 0 ? neighbour(sameBook[index - 1]) : null,
+      after: index >= 0 ? neighbour(sameBook[index + 1]) : null
+    };
+  }
+
   // Weighted smart selection using multiple criteria
   selectByWeightedScore(highlights, count) {
     const now = Date.now();
@@ -235,6 +502,11 @@ class HighlightSelector {
     const randomScore = Math.random();
     totalScore += randomScore * weights.randomness;
 
+    // Favorites boost (starred highlights were picked out by hand)
+    if (highlight.starred) {
+      totalScore += weights.favorites;
+    }
+
     return totalScore;
   }
 
@@ -312,6 +584,11 @@ class HighlightSelector {
       const highlightsWithNotes = highlights.filter(h => h.note && h.note.trim()).length;
       const taggedHighlights = highlights.filter(h => h.tags && h.tags.length > 0).length;
       const neverShown = highlights.filter(h => !h.lastShown || h.timesShown === 0).length;
+      const now = Date.now();
+      const dueForReview = highlights.filter(h => !h.removedUpstream && this.scheduler.isDue(h, now)).length;
+      const totalLapses = highlights.reduce((sum, h) => sum + (h.lapses || 0), 0);
+      const quizAttempts = highlights.reduce((sum, h) => sum + (h.quizAttempts || 0), 0);
+      const quizCorrect = highlights.reduce((sum, h) => sum + (h.quizCorrect || 0), 0);
       
       // Calculate average times shown
       const averageTimesShown = totalHighlights > 0 
@@ -332,10 +609,13 @@ class HighlightSelector {
           highlightsWithNotes,
           taggedHighlights,
           neverShown,
+          dueForReview,
+          totalLapses,
+          quizAttempts,
+          quizAccuracy: quizAttempts > 0 ? Math.round((quizCorrect / quizAttempts) * 100) : null,
           averageTimesShown: Math.round(averageTimesShown * 10) / 10,
           showDistribution,
-          recentEmails: emailHistory.length,
-          spacedRepetitionIntervals: this.spacedRepetitionIntervals
+          recentEmails: emailHistory.length
         }
       };
 
@@ -357,6 +637,7 @@ class HighlightSelector {
         const highlight = await this.database.getHighlight(id);
         if (highlight) {
           const updates = {
+            ...this.scheduler.deferUngraded(highlight, now),
             lastShown: now,
             timesShown: (highlight.timesShown || 0) + 1
           };
@@ -383,7 +664,8 @@ class HighlightSelector {
       if (result.status === 'success') {
         // Add preview metadata without updating the database
         result.preview = true;
-        result.selectionReasons = result.highlights.map(h => this.explainSelection(h, userSettings));
+        const books = new Map((await this.database.getAllBooks()).map(book => [book.asin, book]));
+        result.selectionReasons = result.highlights.map(h => this.explainSelection(h, userSettings, books));
       }
       
       return result;
@@ -399,7 +681,7 @@ class HighlightSelector {
   }
 
   // Explain why a highlight was selected
-  explainSelection(highlight, userSettings) {
+  explainSelection(highlight, userSettings, books = new Map()) {
     const reasons = [];
     const algorithm = userSettings.highlightSelectionMode || 'spaced-repetition';
 
@@ -411,6 +693,15 @@ class HighlightSelector {
           : 'Never shown';
         
         reasons.push(`Spaced repetition: Shown ${timesShown} times, last shown ${daysSinceLastShown} days ago`);
+
+        if (this.scheduler.isNew(highlight)) {
+          reasons.push('Not reviewed yet');
+        } else {
+          const daysOverdue = Math.floor((Date.now() - highlight.dueDate) / (24 * 60 * 60 * 1000));
+          reasons.push(daysOverdue >= 0
+            ? `Due for review (${daysOverdue} days overdue, ease ${highlight.easeFactor})`
+            : `Not due for ${-daysOverdue} days, filling the queue`);
+        }
         
         if (highlight.note && highlight.note.trim()) {
           reasons.push('Has personal note (prioritized)');
@@ -439,6 +730,8 @@ class HighlightSelector {
         break;
     }
 
+    reasons.push(...this.explainConstraints(highlight, userSettings, books));
+
     return {
       highlightId: highlight.id,
       reasons: reasons,
@@ -0,0 +1,160 @@
+// Kindle Highlights Reminder - Markdown Exporter
+// Writes one Markdown note per book for Obsidian/Logseq vaults, bundled in a zip.
+// Block IDs come from highlight IDs so a re-export updates the same notes.
+
+class MarkdownExporter {
+  constructor(database, zipWriterClass) {
+    this.database = database;
+    this.ZipWriter = zipWriterClass;
+  }
+
+  // Build the zip of every book with highlights, returns { zip, files }
+  async exportZip() {
+    const data = await this.database.exportAllData();
+    const notes = this.buildNotes(data.data.books, data.data.highlights);
+
+    const zip = new this.ZipWriter();
+    for (const note of notes) {
+      zip.addFile(note.fileName, note.content);
+    }
+
+    return {
+      zip: zip.generate(),
+      files: notes.length
+    };
+  }
+
+  // One note per book that still has highlights
+  buildNotes(books, highlights) {
+    const byBook = new Map();
+    for (const highlight of highlights) {
+      if (highlight.removedUpstream) continue;
+      if (!byBook.has(highlight.bookAsin)) {
+        byBook.set(highlight.bookAsin, []);
+      }
+      byBook.get(highlight.bookAsin).push(highlight);
+    }
+
+    const usedNames = new Set();
+    const notes = [];
+
+    for (const book of books) {
+      const bookHighlights = byBook.get(book.asin);
+      if (!bookHighlights || bookHighlights.length === 0) continue;
+
+      // Title-based names keep vault links readable; the ASIN breaks ties
+      let fileName = `${this.sanitizeFileName(book.title || book.asin)}.md`;
+      if (usedNames.has(fileName)) {
+        fileName = `${this.sanitizeFileName(`${book.title} (${book.asin})`)}.md`;
+      }
+      usedNames.add(fileName);
+
+      notes.push({
+        fileName,
+        content: this.renderBook(book, bookHighlights)
+      });
+    }
+
+    return notes;
+  }
+
+  renderBook(book, highlights) {
+    const sorted = [...highlights].sort((a, b) => this.position(a) - this.position(b));
+
+    const frontMatter = [
+      '---',
+      `title: ${this.yamlString(book.title || '')}`,
+      `author: ${this.yamlString(book.author || '')}`,
+      `asin: ${this.yamlString(book.asin)}`,
+      `highlight_count: ${sorted.length}`,
+      `last_synced: ${book.lastUpdated ? new Date(book.lastUpdated).toISOString() : 'null'}`,
+      '---'
+    ];
+
+    const lines = [
+      ...frontMatter,
+      '',
+      `# ${book.title || book.asin}`,
+      ''
+    ];
+
+    if (book.author) {
+      lines.push(`by ${book.author}`, '');
+    }
+
+    lines.push('## Highlights', '');
+
+    for (const highlight of sorted) {
+      lines.push(...this.renderHighlight(highlight));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  // A list item whose first block carries the stable ID, with details nested below
+  renderHighlight(highlight) {
+    const textLines = (highlight.text || '').trim().split(/\r?\n/).filter(line => line.trim());
+    if (textLines.length === 0) {
+      textLines.push('');
+    }
+    const lines = textLines.map((line, index) => (index === 0 ? '- ' : '  ') + line.trim());
+    lines[lines.length - 1] += ` ^${this.blockId(highlight.id)}`;
+
+    const details = [highlight.location, this.capitalize(highlight.color)].filter(Boolean);
+    if (details.length > 0) {
+      lines.push(`  - ${details.join(' · ')}`);
+    }
+
+    if (highlight.note) {
+      lines.push(`  - Note: ${highlight.note.replace(/\s*\r?\n\s*/g, ' ')}`);
+    }
+
+    if (highlight.tags && highlight.tags.length > 0) {
+      lines.push(`  - Tags: ${highlight.tags.map(tag => `#${this.tagName(tag)}`).join(' ')}`);
+    }
+
+    return lines;
+  }
+
+  // Obsidian block IDs allow only letters, numbers and dashes
+  blockId(id) {
+    return String(id).replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  tagName(tag) {
+    return String(tag).trim().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_/-]/gu, '');
+  }
+
+  sanitizeFileName(name) {
+    return String(name)
+      .replace(/[\\/:*?"<>|#^[\]]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 120) || 'Untitled';
+  }
+
+  // JSON strings are valid double-quoted YAML scalars
+  yamlString(value) {
+    return JSON.stringify(String(value));
+  }
+
+  capitalize(value) {
+    return value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+  }
+
+  position(highlight) {
+    return parseInt(String(highlight.page || '').replace(/\D/g, ''), 10) || 0;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { MarkdownExporter };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.MarkdownExporter = MarkdownExporter;
+} else {
+  // Browser environment
+  window.MarkdownExporter = MarkdownExporter;
+}
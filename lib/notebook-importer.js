@@ -0,0 +1,232 @@
+// Kindle Highlights Reminder - Saved Notebook Page Importer
+// Reads "Your Notes and Highlights" pages saved from read.amazon.com/notebook
+// and runs them through the same KindleParser logic as a live sync
+
+class NotebookImporter {
+  constructor(database, parser, regions) {
+    this.database = database;
+    this.parser = parser;
+    this.regions = regions;
+  }
+
+  // Parse one saved page into the book it shows and that book's highlights
+  parseNotebookHtml(html) {
+    const results = {
+      book: null,
+      highlights: [],
+      truncated: false,
+      errors: []
+    };
+
+    if (!html) {
+      results.errors.push('File is empty');
+      return results;
+    }
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    results.book = this.getCurrentBook(doc);
+    if (!results.book) {
+      results.errors.push('No open book found - save the notebook page with a book selected');
+      return results;
+    }
+
+    // Store the book under the same namespaced ASIN a live sync on that site would use
+    const region = this.detectRegion(html);
+    results.book.asin = this.regions.namespaceAsin(results.book.asin, region);
+    results.book.region = region;
+
+    for (const row of this.getAnnotationRows(doc)) {
+      try {
+        const highlight = this.parser.extractHighlightInfo(row, results.book);
+        if (highlight && highlight.text) {
+          results.highlights.push(highlight);
+        }
+      } catch (error) {
+        results.errors.push(`Highlight parse error: ${error.message}`);
+      }
+    }
+
+    // Amazon loads long notebooks page by page and appends a cursor for each;
+    // if the last one still points somewhere, the saved copy is incomplete
+    const cursors = doc.querySelectorAll('.kp-notebook-annotations-next-page-start');
+    const lastCursor = cursors[cursors.length - 1];
+    results.truncated = Boolean(lastCursor && lastCursor.value);
+
+    return results;
+  }
+
+  // The notebook page shows one book at a time; its ASIN sits in a hidden input
+  getCurrentBook(doc) {
+    const asinInput = doc.querySelector('#kp-notebook-annotations-asin');
+    const asin = asinInput ? asinInput.value.trim() : '';
+    if (!asin) {
+      return null;
+    }
+
+    let book = null;
+    const libraryElement = doc.getElementById(asin);
+    if (libraryElement) {
+      book = this.parser.extractBookInfo(libraryElement);
+    }
+
+    // Fall back to the header above the annotations
+    if (!book || !book.title) {
+      const title = this.parser.extractTextContent(doc, ['h3.kp-notebook-metadata']);
+      if (!title) {
+        return null;
+      }
+      const author = this.parser.extractTextContent(doc, ['p.kp-notebook-metadata']);
+      book = this.parser.createBookObject(title, author, asin, '', null);
+    }
+
+    book.asin = asin;
+    delete book.sourceElement;
+    return book;
+  }
+
+  // Chrome records the page address in a "saved from url" comment at the top of the file
+  detectRegion(html) {
+    const match = html.match(/<!--\s*saved from url=\(\d+\)(\S+)\s*-->/i);
+    const detected = match ? this.regions.detectRegionFromUrl(match[1]) : null;
+    return detected || this.regions.defaultRegion;
+  }
+
+  getAnnotationRows(doc) {
+    const container = doc.querySelector('#kp-notebook-annotations');
+    if (!container) {
+      return [];
+    }
+
+    // Each row holds the header (color, location), the highlight and its note
+    return this.parser.safeQuerySelectorAll('.a-row.a-spacing-base', container)
+      .filter(row => row.querySelector('#highlight'));
+  }
+
+  // Import saved pages given as [{ name, text }]
+  async importNotebookFiles(files) {
+    const results = {
+      files: 0,
+      books: { imported: 0, matched: 0 },
+      highlights: { imported: 0, skipped: 0, updated: 0 },
+      truncatedBooks: [],
+      errors: []
+    };
+
+    try {
+      await this.database.init();
+
+      for (const file of files) {
+        try {
+          await this.importNotebook(file.text, results);
+          results.files++;
+        } catch (error) {
+          results.errors.push(`${file.name}: ${error.message}`);
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Notebook import failed:', error);
+      throw error;
+    }
+  }
+
+  async importNotebook(html, results) {
+    const parsed = this.parseNotebookHtml(html);
+
+    if (!parsed.book) {
+      throw new Error(parsed.errors[0] || 'Not a Kindle notebook page');
+    }
+    results.errors.push(...parsed.errors);
+
+    const { book } = parsed;
+
+    // A book merged into another imports onto that one
+    const targetAsin = await this.database.resolveBookAlias(book.asin);
+    if (targetAsin !== book.asin) {
+      parsed.highlights.forEach(highlight => {
+        highlight.originalBookAsin = highlight.bookAsin;
+        highlight.bookAsin = targetAsin;
+      });
+      book.asin = targetAsin;
+    }
+
+    const existingBook = await this.database.getBook(book.asin);
+    if (existingBook) {
+      results.books.matched++;
+    } else {
+      await this.database.addBook(book);
+      results.books.imported++;
+    }
+
+    if (parsed.truncated) {
+      results.truncatedBooks.push(book.title);
+    }
+
+    // Highlights the user deleted stay deleted, as they do on sync
+    const deletedIds = await this.database.getTombstoneIds(book.asin);
+    const written = [];
+
+    for (const highlight of parsed.highlights) {
+      if (deletedIds.has(highlight.id)) {
+        results.highlights.skipped++;
+        continue;
+      }
+
+      try {
+        if (await this.mergeHighlight(highlight, results)) {
+          written.push(highlight.id);
+        }
+      } catch (error) {
+        results.errors.push(`Highlight import error (${highlight.text.substring(0, 50)}): ${error.message}`);
+      }
+    }
+
+    await this.database.indexHighlightsById(written);
+  }
+
+  // Keep review history on highlights we already have; only take the page's
+  // note and color. Returns whether anything was written
+  async mergeHighlight(highlight, results) {
+    const existing = await this.database.getHighlight(highlight.id);
+
+    if (!existing) {
+      await this.database.addHighlight(highlight, { index: false });
+      results.highlights.imported++;
+      return true;
+    }
+
+    const updates = {};
+    if (highlight.note && highlight.note !== existing.note) {
+      updates.note = highlight.note;
+    }
+    if (highlight.color && highlight.color !== existing.color) {
+      updates.color = highlight.color;
+    }
+    if (highlight.location && !existing.location) {
+      updates.location = highlight.location;
+      updates.page = highlight.page;
+    }
+
+    if (Object.keys(updates).length > 0) {
+      await this.database.updateHighlight(existing.id, updates, { source: 'import', label: 'Import notebook', index: false });
+      results.highlights.updated++;
+      return true;
+    }
+    results.highlights.skipped++;
+    return false;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { NotebookImporter };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.NotebookImporter = NotebookImporter;
+} else {
+  // Browser environment
+  window.NotebookImporter = NotebookImporter;
+}
@@ -0,0 +1,156 @@
+// Kindle Highlights Reminder - Review Scheduler
+// SM-2 style scheduling: each highlight keeps its own ease factor, interval,
+// due date and lapse count, updated from how well it was recalled
+
+class ReviewScheduler {
+  constructor(database) {
+    this.database = database;
+
+    this.dayMs = 24 * 60 * 60 * 1000;
+
+    this.grades = ['again', 'hard', 'good', 'easy'];
+
+    this.defaultEase = 2.5;
+    this.minimumEase = 1.3;
+    this.maximumInterval = 365; // in days
+
+    // First two successful reviews use fixed steps, as in SM-2
+    this.firstInterval = 1;
+    this.secondInterval = 6;
+
+    this.hardMultiplier = 1.2;
+    this.easyBonus = 1.3;
+  }
+
+  // Scheduling state of a highlight, with defaults for ones never reviewed
+  getSchedule(highlight) {
+    return {
+      easeFactor: highlight.easeFactor || this.defaultEase,
+      interval: highlight.interval || 0,
+      repetitions: highlight.repetitions || 0,
+      lapses: highlight.lapses || 0,
+      dueDate: highlight.dueDate || null
+    };
+  }
+
+  isNew(highlight) {
+    return !highlight.dueDate;
+  }
+
+  // Highlights that have never been scheduled are due straight away
+  isDue(highlight, now = Date.now()) {
+    return this.isNew(highlight) || highlight.dueDate <= now;
+  }
+
+  // Compute the new schedule for a review grade (again/hard/good/easy)
+  applyGrade(highlight, grade, now = Date.now()) {
+    if (!this.grades.includes(grade)) {
+      throw new Error(`Unknown review grade: ${grade}`);
+    }
+
+    const schedule = this.getSchedule(highlight);
+    let { easeFactor, interval, repetitions, lapses } = schedule;
+
+    switch (grade) {
+      case 'again':
+        lapses++;
+        repetitions = 0;
+        interval = this.firstInterval;
+        easeFactor -= 0.2;
+        break;
+
+      case 'hard':
+        repetitions++;
+        interval = Math.max(this.firstInterval, Math.round(interval * this.hardMultiplier));
+        easeFactor -= 0.15;
+        break;
+
+      case 'good':
+        repetitions++;
+        interval = this.nextInterval(repetitions, interval, easeFactor);
+        break;
+
+      case 'easy':
+        repetitions++;
+        interval = Math.round(this.nextInterval(repetitions, interval, easeFactor) * this.easyBonus);
+        easeFactor += 0.15;
+        break;
+    }
+
+    easeFactor = Math.max(this.minimumEase, Math.round(easeFactor * 100) / 100);
+    interval = Math.min(this.maximumInterval, interval);
+
+    return {
+      easeFactor,
+      interval,
+      repetitions,
+      lapses,
+      dueDate: now + interval * this.dayMs,
+      lastReviewed: now,
+      lastGrade: grade
+    };
+  }
+
+  nextInterval(repetitions, interval, easeFactor) {
+    if (repetitions === 1) return this.firstInterval;
+    if (repetitions === 2) return this.secondInterval;
+    return Math.max(this.firstInterval, Math.round(interval * easeFactor));
+  }
+
+  // An email carries no grade, so only push the due date back by the current
+  // interval; ease and lapses stay untouched until the highlight is graded
+  deferUngraded(highlight, now = Date.now()) {
+    if (!this.isDue(highlight, now)) {
+      return {};
+    }
+
+    const { interval } = this.getSchedule(highlight);
+    return {
+      interval: interval || this.firstInterval,
+      dueDate: now + (interval || this.firstInterval) * this.dayMs
+    };
+  }
+
+  // Grade a stored highlight and save its new schedule; quiz is the
+  // { correct, total } result of a cloze card when the review was a quiz
+  async recordReview(highlightId, grade, now = Date.now(), quiz = null) {
+    const highlight = await this.database.getHighlight(highlightId);
+    if (!highlight) {
+      throw new Error(`Highlight with ID ${highlightId} not found`);
+    }
+
+    const updates = this.applyGrade(highlight, grade, now);
+
+    if (quiz && quiz.total > 0) {
+      updates.quizAttempts = (highlight.quizAttempts || 0) + 1;
+      updates.quizCorrect = (highlight.quizCorrect || 0) + (quiz.correct === quiz.total ? 1 : 0);
+    }
+
+    await this.database.updateHighlight(highlightId, updates);
+
+    return { ...highlight, ...updates };
+  }
+
+  // How far past due a highlight is, relative to its interval (1 = due today)
+  getOverdueRatio(highlight, now = Date.now()) {
+    if (this.isNew(highlight)) {
+      return 1;
+    }
+
+    const { interval } = this.getSchedule(highlight);
+    const daysOverdue = (now - highlight.dueDate) / this.dayMs;
+    return 1 + daysOverdue / Math.max(interval, 1);
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { ReviewScheduler };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.ReviewScheduler = ReviewScheduler;
+} else {
+  // Browser environment
+  window.ReviewScheduler = ReviewScheduler;
+}
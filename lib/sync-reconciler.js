@@ -0,0 +1,248 @@
+// Kindle Highlights Reminder - Sync Reconciler
+// Diffs a freshly scraped book against the stored copy so edits and deletions
+// made on Amazon show up locally without losing review history
+
+class SyncReconciler {
+  constructor(database) {
+    this.database = database;
+
+    // Highlights that never came from the web notebook, so a scrape can't vouch for them
+    this.localSources = ['clippings', 'csv', 'manual', 'web'];
+
+    // Review history that belongs to the passage, not to a particular wording of it
+    this.historyFields = [
+      'timesShown', 'lastShown', 'lastSentInEmail', 'dateAdded',
+      'easeFactor', 'interval', 'repetitions', 'lapses', 'dueDate', 'lastReviewed', 'lastGrade',
+      'quizAttempts', 'quizCorrect'
+    ];
+
+    // What the user did with the highlight here, which Amazon knows nothing about
+    this.localFields = ['starred', 'dateStarred', 'suspended', 'noteEditedLocally'];
+  }
+
+  // Reconcile the stored highlights of one book with the highlights just scraped for it
+  async reconcileBook(bookAsin, scrapedHighlights) {
+    const results = {
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      edited: 0,
+      restored: 0,
+      removed: 0,
+      skippedDeleted: 0,
+      changes: {
+        added: [],
+        notesChanged: [],
+        edited: [],
+        removed: []
+      },
+      errors: []
+    };
+
+    // An empty scrape usually means the book failed to load, not that every highlight was deleted
+    if (!scrapedHighlights || scrapedHighlights.length === 0) {
+      return results;
+    }
+
+    // A book merged into another keeps syncing under its old ASIN; only the
+    // highlights that came from that ASIN are compared with the scrape
+    const targetAsin = await this.database.resolveBookAlias(bookAsin);
+    const stored = (await this.database.getHighlightsByBook(targetAsin))
+      .filter(highlight => !this.localSources.includes(highlight.source))
+      .filter(highlight => (highlight.originalBookAsin || highlight.bookAsin) === bookAsin);
+
+    const storedById = new Map(stored.map(highlight => [highlight.id, highlight]));
+    const matchedIds = new Set();
+
+    // Highlights the user deleted here stay deleted even though Amazon still has them
+    const deletedIds = await this.database.getTombstoneIds(targetAsin);
+
+    // Written without indexing, then indexed together once the book is done
+    const written = [];
+
+    const scraped = new Map();
+    for (const highlight of scrapedHighlights) {
+      scraped.set(highlight.id, targetAsin === bookAsin
+        ? highlight
+        : { ...highlight, bookAsin: targetAsin, originalBookAsin: bookAsin });
+    }
+
+    for (const highlight of scraped.values()) {
+      if (deletedIds.has(highlight.id)) {
+        results.skippedDeleted++;
+        continue;
+      }
+
+      try {
+        const existing = storedById.get(highlight.id);
+
+        if (existing) {
+          matchedIds.add(existing.id);
+          if (await this.updateExisting(existing, highlight, results)) {
+            written.push(existing.id);
+          }
+          continue;
+        }
+
+        // Editing the text on Amazon changes the ID; find the old copy by location
+        const previous = this.findByLocation(stored, highlight, matchedIds, scraped);
+        if (previous) {
+          matchedIds.add(previous.id);
+          await this.replaceEdited(previous, highlight);
+          written.push(highlight.id);
+          results.edited++;
+          results.changes.edited.push({
+            ...this.summarize(highlight),
+            previousText: this.snippet(previous.text)
+          });
+          continue;
+        }
+
+        await this.database.addHighlight(highlight, { index: false });
+        written.push(highlight.id);
+        results.added++;
+        results.changes.added.push(this.summarize(highlight));
+      } catch (error) {
+        results.errors.push({
+          type: 'highlight',
+          item: highlight.text.substring(0, 50) + '...',
+          error: error.message
+        });
+      }
+    }
+
+    await this.database.indexHighlightsById(written);
+
+    // Whatever we still have that Amazon no longer shows was deleted upstream
+    for (const highlight of stored) {
+      if (matchedIds.has(highlight.id) || highlight.removedUpstream) continue;
+
+      try {
+        await this.database.updateHighlight(highlight.id, {
+          removedUpstream: true,
+          removedUpstreamAt: Date.now()
+        }, { source: 'sync', label: 'Sync from Amazon' });
+        results.removed++;
+        results.changes.removed.push(this.summarize(highlight));
+      } catch (error) {
+        results.errors.push({
+          type: 'highlight',
+          item: highlight.text.substring(0, 50) + '...',
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // Update note, color and location in place so review history is kept.
+  // Returns whether anything was written
+  async updateExisting(existing, highlight, results) {
+    const updates = {};
+
+    // Notes edited in the review page win over Amazon's copy
+    const fields = existing.noteEditedLocally
+      ? ['color', 'location', 'page']
+      : ['note', 'color', 'location', 'page'];
+
+    for (const field of fields) {
+      if (highlight[field] && highlight[field] !== existing[field]) {
+        updates[field] = highlight[field];
+      }
+    }
+
+    // A note deleted on Amazon comes back empty
+    if (!highlight.note && existing.note && !existing.noteEditedLocally) {
+      updates.note = '';
+    }
+
+    if (updates.note !== undefined) {
+      results.changes.notesChanged.push({
+        ...this.summarize(existing),
+        previousNote: existing.note || '',
+        note: updates.note
+      });
+    }
+
+    if (existing.removedUpstream) {
+      updates.removedUpstream = false;
+      updates.removedUpstreamAt = null;
+      results.restored++;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      results.unchanged++;
+      return false;
+    }
+
+    await this.database.updateHighlight(existing.id, updates, { source: 'sync', label: 'Sync from Amazon', index: false });
+    results.updated++;
+    return true;
+  }
+
+  // Sync history keeps a short excerpt rather than a second copy of every highlight
+  summarize(highlight) {
+    return {
+      id: highlight.id,
+      text: this.snippet(highlight.text),
+      location: highlight.location || ''
+    };
+  }
+
+  snippet(text) {
+    if (!text) return '';
+    return text.length > 140 ? text.substring(0, 137) + '...' : text;
+  }
+
+  findByLocation(stored, highlight, matchedIds, scraped) {
+    if (!highlight.location) {
+      return null;
+    }
+
+    return stored.find(candidate =>
+      !matchedIds.has(candidate.id) &&
+      !scraped.has(candidate.id) &&
+      candidate.location === highlight.location
+    ) || null;
+  }
+
+  // Store the edited highlight under its new ID, carrying over review history,
+  // local state and its place in collections
+  async replaceEdited(previous, highlight) {
+    const replacement = { ...highlight };
+
+    for (const field of [...this.historyFields, ...this.localFields]) {
+      if (previous[field] !== undefined && previous[field] !== null) {
+        replacement[field] = previous[field];
+      }
+    }
+
+    // Notes edited in the review page win over Amazon's copy, as in updateExisting
+    if (previous.noteEditedLocally) {
+      replacement.note = previous.note;
+    }
+
+    if (previous.tags && previous.tags.length > 0) {
+      replacement.tags = Array.from(new Set([...previous.tags, ...(highlight.tags || [])]));
+    }
+
+    replacement.previousId = previous.id;
+
+    await this.database.addHighlight(replacement, { index: false });
+    await this.database.replaceInCollections(new Map([[previous.id, replacement.id]]));
+    await this.database.purgeHighlights([previous.id]);
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { SyncReconciler };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.SyncReconciler = SyncReconciler;
+} else {
+  // Browser environment
+  window.SyncReconciler = SyncReconciler;
+}
@@ -0,0 +1,123 @@
+// Kindle Highlights Reminder - Zip Writer
+// Minimal ZIP archive builder (stored entries, no compression) for multi-file exports
+
+class ZipWriter {
+  constructor() {
+    this.files = [];
+    this.encoder = new TextEncoder();
+    this.crcTable = null;
+  }
+
+  // Add a file; text content is stored as UTF-8
+  addFile(name, content, date = new Date()) {
+    const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+    this.files.push({ name: this.encoder.encode(name), data, date });
+  }
+
+  // Build the archive as a Uint8Array
+  generate() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of this.files) {
+      const crc = this.crc32(file.data);
+      const { time, date } = this.toDosTime(file.date);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // local file header signature
+      local.setUint16(4, 20, true); // version needed to extract
+      local.setUint16(6, 0x0800, true); // flags: names are UTF-8
+      local.setUint16(8, 0, true); // method: stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, file.name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // central directory signature
+      central.setUint16(4, 20, true); // version made by
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, file.data.length, true);
+      central.setUint32(24, file.data.length, true);
+      central.setUint16(28, file.name.length, true);
+      central.setUint32(42, offset, true); // offset of local header
+
+      localParts.push(new Uint8Array(local.buffer), file.name, file.data);
+      centralParts.push(new Uint8Array(central.buffer), file.name);
+      offset += 30 + file.name.length + file.data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+  }
+
+  concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let position = 0;
+
+    for (const part of parts) {
+      result.set(part, position);
+      position += part.length;
+    }
+
+    return result;
+  }
+
+  // DOS dates start in 1980 and count seconds in steps of two
+  toDosTime(value) {
+    const year = Math.max(value.getFullYear(), 1980);
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+
+  crc32(data) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment (for testing)
+  module.exports = { ZipWriter };
+} else if (typeof self !== 'undefined') {
+  // Web Worker environment
+  self.ZipWriter = ZipWriter;
+} else {
+  // Browser environment
+  window.ZipWriter = ZipWriter;
+}
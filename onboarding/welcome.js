@@ -1,6 +1,8 @@
 // Welcome/Onboarding JavaScript - Milestone 5
 // Handles user onboarding flow and initial setup
 
+/* global amazonRegions */
+
 class WelcomeController {
   constructor() {
     this.currentStep = 1;
@@ -200,9 +202,15 @@ class WelcomeController {
   }
 
   async openAmazon() {
+    let notebookUrl = amazonRegions.getNotebookUrl(amazonRegions.resolveRegion(null));
+
     try {
+      const { settings } = await chrome.storage.local.get('settings');
+      const region = amazonRegions.resolveRegion(settings && settings.amazonRegion);
+      notebookUrl = amazonRegions.getNotebookUrl(region);
+
       const tab = await chrome.tabs.create({
-        url: 'https://read.amazon.com/notebook',
+        url: notebookUrl,
         active: true
       });
       
@@ -215,7 +223,8 @@ class WelcomeController {
       
       this.showSyncStatus('Amazon Kindle notebook opened. Make sure you\'re logged in, then click "Sync My Highlights"', 'info');
     } catch (error) {
-      this.showSyncStatus('Failed to open Amazon page. Please go to read.amazon.com/notebook manually.', 'error');
+      const address = notebookUrl.replace(/^https:\/\//, '');
+      this.showSyncStatus(`Failed to open Amazon page. Please go to your Amazon Kindle notebook (${address}) manually.`, 'error');
     }
   }
 
@@ -1,19 +1,24 @@
 // Kindle Highlights Reminder - Enhanced Options Page Script
 // Handles settings management, data operations, and analytics
 
+/* global Database, KindleParser, ClippingsImporter, NotebookImporter, amazonRegions, ZipWriter,
+   MarkdownExporter, CsvTransfer, ReviewScheduler, ClozeGenerator, AnkiExporter, DuplicateDetector */
+
 class OptionsManager {
   constructor() {
-    this.database = new KindleDatabase();
+    this.database = new Database();
     this.loadSettings();
     this.loadStatistics();
     this.loadAnalytics();
+    this.loadSyncHistory();
+    this.loadTrash();
     this.attachEventListeners();
   }
 
   async loadSettings() {
     try {
       const result = await chrome.storage.local.get('settings');
-      const settings = result.settings || this.getDefaultSettings();
+      const settings = { ...this.getDefaultSettings(), ...result.settings };
       
       this.populateForm(settings);
     } catch (error) {
@@ -110,6 +115,125 @@ class OptionsManager {
     `;
   }
 
+  async loadSyncHistory() {
+    const container = document.getElementById('sync-history-container');
+    if (!container) return;
+
+    try {
+      await this.database.init();
+      this.syncHistory = await this.database.getSyncHistory(20);
+      this.renderSyncHistory(container);
+    } catch (error) {
+      console.error('Failed to load sync history:', error);
+      container.innerHTML = '<p class="loading">Failed to load sync history.</p>';
+    }
+  }
+
+  renderSyncHistory(container) {
+    if (this.syncHistory.length === 0) {
+      container.innerHTML = '<p class="loading">No syncs yet. Your sync history will appear here.</p>';
+      return;
+    }
+
+    container.innerHTML = this.syncHistory.map(record => {
+      const changes = record.changes;
+      const summary = changes
+        ? [
+          `${changes.newBooks.length} new books`,
+          `${changes.newHighlights.length} new highlights`,
+          `${changes.changedNotes.length} changed notes`,
+          `${changes.removedHighlights.length} removed`,
+          changes.parseFailures.length > 0 ? `${changes.parseFailures.length} books failed` : ''
+        ].filter(Boolean).join(' · ')
+        : `${record.highlightsAdded} highlights added`;
+
+      return `
+        <div class="sync-history-item ${record.status}">
+          <div class="sync-history-meta">
+            <span class="sync-history-date">${new Date(record.syncDate).toLocaleString()}</span>
+            <span class="sync-history-type">${record.syncType === 'full' ? 'Full resync' : 'Sync'}</span>
+            ${record.booksSkipped ? `<span class="sync-history-skipped">${record.booksSkipped} unchanged books skipped</span>` : ''}
+          </div>
+          <div class="sync-history-summary">${summary}</div>
+          ${changes ? `<button type="button" class="highlight-action-btn sync-history-view" data-sync-id="${record.id}">🔍 View changes</button>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.sync-history-view').forEach(button => {
+      button.addEventListener('click', () => {
+        const record = this.syncHistory.find(r => r.id === button.dataset.syncId);
+        if (record) this.showSyncChanges(record);
+      });
+    });
+  }
+
+  showSyncChanges(record) {
+    const { changes } = record;
+    const renderList = (title, items, renderItem) => {
+      if (items.length === 0) return '';
+      return `
+        <div class="sync-changes-group">
+          <h4>${title} (${items.length})</h4>
+          <ul>${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul>
+        </div>
+      `;
+    };
+    const highlightItem = item => `
+      <div class="sync-changes-text">${this.escapeHtml(item.text)}</div>
+      <div class="sync-changes-meta">${this.escapeHtml(item.bookTitle || '')}${item.location ? ` · ${this.escapeHtml(item.location)}` : ''}</div>
+    `;
+
+    const sections = [
+      renderList('📚 New books', changes.newBooks, book =>
+        `${this.escapeHtml(book.title)} <span class="sync-changes-meta">${this.escapeHtml(book.author || '')}</span>`),
+      renderList('✨ New highlights', changes.newHighlights, highlightItem),
+      renderList('📝 Changed notes', changes.changedNotes, item => `
+        ${highlightItem(item)}
+        <div class="sync-changes-note"><del>${this.escapeHtml(item.previousNote) || '<em>no note</em>'}</del></div>
+        <div class="sync-changes-note">${this.escapeHtml(item.note) || '<em>note removed</em>'}</div>
+      `),
+      renderList('✏️ Edited highlights', changes.editedHighlights || [], item => `
+        ${highlightItem(item)}
+        <div class="sync-changes-note"><del>${this.escapeHtml(item.previousText)}</del></div>
+      `),
+      renderList('🗑️ Removed on Amazon', changes.removedHighlights, highlightItem),
+      renderList('⚠️ Books that failed to load', changes.parseFailures, failure =>
+        `${this.escapeHtml(failure.book)} <span class="sync-changes-meta">${this.escapeHtml(failure.error)}</span>`)
+    ].join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'edit-modal';
+    modal.innerHTML = `
+      <div class="edit-modal-content sync-changes-content">
+        <div class="edit-modal-header">
+          <h3 class="edit-modal-title">Sync of ${new Date(record.syncDate).toLocaleString()}</h3>
+          <button class="edit-modal-close">&times;</button>
+        </div>
+        ${sections || '<p class="loading">This sync found nothing new.</p>'}
+      </div>
+    `;
+
+    modal.querySelector('.edit-modal-close').addEventListener('click', () => {
+      document.body.removeChild(modal);
+    });
+
+    // Close on background click
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal);
+      }
+    });
+
+    document.body.appendChild(modal);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
   showAnalyticsError() {
     const container = document.getElementById('analytics-container');
     container.innerHTML = '<p class="loading">Failed to load analytics. Please try refreshing.</p>';
@@ -124,7 +248,13 @@ class OptionsManager {
       enableAutoSync: true,
       syncFrequency: 6,
       enableNotifications: true,
+      amazonRegion: 'auto',
       highlightSelectionMode: 'spaced-repetition',
+      maxHighlightsPerBook: 2,
+      bookCooldownDays: 0,
+      interleaveBooks: true,
+      selectionCollection: '',
+      selectionQuery: '',
       prioritizeNotes: true,
       includeBookInfo: true
     };
@@ -139,7 +269,13 @@ class OptionsManager {
       autoSync: document.getElementById('auto-sync'),
       syncFrequency: document.getElementById('sync-frequency'),
       enableNotifications: document.getElementById('enable-notifications'),
+      amazonRegion: document.getElementById('amazon-region'),
       selectionMode: document.getElementById('selection-mode'),
+      maxPerBook: document.getElementById('max-per-book'),
+      bookCooldown: document.getElementById('book-cooldown'),
+      interleaveBooks: document.getElementById('interleave-books'),
+      selectionCollection: document.getElementById('selection-collection'),
+      selectionQuery: document.getElementById('selection-query'),
       prioritizeNotes: document.getElementById('prioritize-notes'),
       includeBookInfo: document.getElementById('include-book-info')
     };
@@ -150,7 +286,7 @@ class OptionsManager {
         if (element.type === 'checkbox') {
           element.checked = settings[settingKey] !== false;
         } else {
-          element.value = settings[settingKey] || '';
+          element.value = settings[settingKey] ?? '';
         }
       }
     });
@@ -165,7 +301,13 @@ class OptionsManager {
       autoSync: 'enableAutoSync',
       syncFrequency: 'syncFrequency',
       enableNotifications: 'enableNotifications',
+      amazonRegion: 'amazonRegion',
       selectionMode: 'highlightSelectionMode',
+      maxPerBook: 'maxHighlightsPerBook',
+      bookCooldown: 'bookCooldownDays',
+      interleaveBooks: 'interleaveBooks',
+      selectionCollection: 'selectionCollection',
+      selectionQuery: 'selectionQuery',
       prioritizeNotes: 'prioritizeNotes',
       includeBookInfo: 'includeBookInfo'
     };
@@ -210,18 +352,53 @@ class OptionsManager {
       syncNowButton.addEventListener('click', () => this.syncNow());
     }
 
+    // Full resync
+    const fullResyncButton = document.getElementById('full-resync');
+    if (fullResyncButton) {
+      fullResyncButton.addEventListener('click', () => this.syncNow({ fullResync: true }));
+    }
+
     // Export data
     const exportButton = document.getElementById('export-data');
     if (exportButton) {
       exportButton.addEventListener('click', () => this.exportData());
     }
 
+    // Export Markdown notes
+    const exportMarkdownButton = document.getElementById('export-markdown');
+    if (exportMarkdownButton) {
+      exportMarkdownButton.addEventListener('click', () => this.exportMarkdown());
+    }
+
+    // CSV export and import
+    const exportCsvButton = document.getElementById('export-csv');
+    if (exportCsvButton) {
+      exportCsvButton.addEventListener('click', () => this.exportCsv());
+    }
+
+    const importCsvFile = document.getElementById('import-csv-file');
+    if (importCsvFile) {
+      importCsvFile.addEventListener('change', (e) => this.importCsv(e));
+    }
+
     // Import data
     const importFile = document.getElementById('import-file');
     if (importFile) {
       importFile.addEventListener('change', (e) => this.importData(e));
     }
 
+    // Import My Clippings.txt
+    const importClippingsFile = document.getElementById('import-clippings-file');
+    if (importClippingsFile) {
+      importClippingsFile.addEventListener('change', (e) => this.importClippings(e));
+    }
+
+    // Import saved notebook pages
+    const importNotebookFile = document.getElementById('import-notebook-file');
+    if (importNotebookFile) {
+      importNotebookFile.addEventListener('change', (e) => this.importNotebookPages(e));
+    }
+
     // Cleanup data
     const cleanupButton = document.getElementById('cleanup-data');
     if (cleanupButton) {
@@ -234,6 +411,70 @@ class OptionsManager {
       clearButton.addEventListener('click', () => this.clearAllData());
     }
 
+    // Manual entry
+    const addManualButton = document.getElementById('add-manual-highlight');
+    if (addManualButton) {
+      addManualButton.addEventListener('click', () => this.addManualHighlight());
+    }
+
+    // Duplicates
+    const findDuplicatesButton = document.getElementById('find-duplicates');
+    if (findDuplicatesButton) {
+      findDuplicatesButton.addEventListener('click', () => this.findDuplicates());
+    }
+
+    const duplicateList = document.getElementById('duplicate-list');
+    if (duplicateList) {
+      duplicateList.addEventListener('click', (event) => {
+        const button = event.target.closest('.merge-duplicates, .dismiss-duplicates');
+        if (!button) return;
+
+        const index = Number(button.dataset.index);
+        if (button.classList.contains('merge-duplicates')) {
+          this.mergeDuplicateGroup(index);
+        } else {
+          this.dismissDuplicateGroup(index);
+        }
+      });
+    }
+
+    // Book merges
+    const findBookMergesButton = document.getElementById('find-book-merges');
+    if (findBookMergesButton) {
+      findBookMergesButton.addEventListener('click', () => this.findBookMerges());
+    }
+
+    const bookMergeList = document.getElementById('book-merge-list');
+    if (bookMergeList) {
+      bookMergeList.addEventListener('click', (event) => {
+        const button = event.target.closest('.merge-books');
+        if (button) {
+          this.mergeBookGroup(Number(button.dataset.index));
+        }
+      });
+    }
+
+    // Trash
+    const trashList = document.getElementById('trash-list');
+    if (trashList) {
+      trashList.addEventListener('click', (event) => {
+        const button = event.target.closest('.restore-button');
+        if (button) {
+          this.restoreFromTrash([button.dataset.highlightId]);
+        }
+      });
+    }
+
+    const restoreAllButton = document.getElementById('restore-all-trash');
+    if (restoreAllButton) {
+      restoreAllButton.addEventListener('click', () => this.restoreAllFromTrash());
+    }
+
+    const emptyTrashButton = document.getElementById('empty-trash');
+    if (emptyTrashButton) {
+      emptyTrashButton.addEventListener('click', () => this.emptyTrash());
+    }
+
     // Refresh stats
     const refreshButton = document.getElementById('refresh-stats');
     if (refreshButton) {
@@ -251,24 +492,90 @@ class OptionsManager {
       searchButton.addEventListener('click', () => this.searchHighlights());
     }
 
+    // Rename or merge tags
+    const renameTagButton = document.getElementById('rename-tag');
+    if (renameTagButton) {
+      renameTagButton.addEventListener('click', () => this.renameTag());
+    }
+
     // Clear filters
     const clearFiltersButton = document.getElementById('clear-filters');
     if (clearFiltersButton) {
       clearFiltersButton.addEventListener('click', () => this.clearFilters());
     }
 
+    // Smart collections
+    const saveSearchButton = document.getElementById('save-search');
+    if (saveSearchButton) {
+      saveSearchButton.addEventListener('click', () => this.saveCurrentSearch());
+    }
+
+    const collectionList = document.getElementById('collection-list');
+    if (collectionList) {
+      collectionList.addEventListener('click', (event) => {
+        const item = event.target.closest('.collection-item');
+        if (!item) return;
+
+        if (event.target.closest('.collection-delete')) {
+          this.deleteSavedSearch(item.dataset.id);
+        } else {
+          this.openSavedSearch(item.dataset.id);
+        }
+      });
+    }
+
+    // Manual collections
+    const manualCollectionList = document.getElementById('manual-collection-list');
+    if (manualCollectionList) {
+      manualCollectionList.addEventListener('click', (event) => {
+        const item = event.target.closest('.collection-item');
+        if (!item) return;
+
+        if (event.target.closest('.collection-delete')) {
+          this.deleteManualCollection(item.dataset.id);
+        } else if (item.dataset.view === 'starred') {
+          this.showStarred();
+        } else if (item.dataset.view === 'suspended') {
+          this.showSuspended();
+        } else {
+          this.openManualCollection(item.dataset.id);
+        }
+      });
+    }
+
+    // Anki export
+    const exportAnkiButton = document.getElementById('export-anki');
+    if (exportAnkiButton) {
+      exportAnkiButton.addEventListener('click', () => this.exportAnki());
+    }
+
     // Bulk actions toggle
     const bulkActionsToggle = document.getElementById('bulk-actions-toggle');
     if (bulkActionsToggle) {
       bulkActionsToggle.addEventListener('click', () => this.toggleBulkActions());
     }
 
+    const undoButton = document.getElementById('undo-last-action');
+    if (undoButton) {
+      undoButton.addEventListener('click', () => this.undoLastAction());
+    }
+
     // Bulk actions
     const bulkTagButton = document.getElementById('bulk-tag');
     if (bulkTagButton) {
       bulkTagButton.addEventListener('click', () => this.bulkAddTags());
     }
 
+    const bulkStarButton = document.getElementById('bulk-star');
+    if (bulkStarButton) {
+      bulkStarButton.addEventListener('click', () => this.bulkStar());
+    }
+
+    const bulkCollectButton = document.getElementById('bulk-collect');
+    if (bulkCollectButton) {
+      bulkCollectButton.addEventListener('click', () => this.bulkCollect());
+    }
+
     const bulkDeleteButton = document.getElementById('bulk-delete');
     if (bulkDeleteButton) {
       bulkDeleteButton.addEventListener('click', () => this.bulkDeleteHighlights());
@@ -297,12 +604,18 @@ class OptionsManager {
 
     // Load book options for filter
     this.loadBookOptions();
+    this.loadTagOptions();
+    this.loadSmartCollections();
+    this.loadManualCollections();
+    this.loadLastAction();
 
     // Initialize highlight management state
     this.currentPage = 1;
     this.pageSize = 10;
     this.selectedHighlights = new Set();
     this.bulkActionsVisible = false;
+    this.activeCollectionId = null;
+    this.activeManualCollectionId = null;
   }
 
   validateField(element) {
@@ -333,6 +646,13 @@ class OptionsManager {
           errorMessage = 'Must be between 1 and 24 hours';
         }
         break;
+
+      case 'text':
+        if (element.id === 'highlight-search' || element.id === 'selection-query') {
+          errorMessage = this.getQueryError(value);
+          isValid = !errorMessage;
+        }
+        break;
     }
 
     if (value && !isValid) {
@@ -384,7 +704,13 @@ class OptionsManager {
       enableAutoSync: document.getElementById('auto-sync').checked,
       syncFrequency: parseInt(document.getElementById('sync-frequency').value),
       enableNotifications: document.getElementById('enable-notifications').checked,
+      amazonRegion: document.getElementById('amazon-region').value,
       highlightSelectionMode: document.getElementById('selection-mode').value,
+      maxHighlightsPerBook: parseInt(document.getElementById('max-per-book').value) || 0,
+      bookCooldownDays: parseInt(document.getElementById('book-cooldown').value) || 0,
+      interleaveBooks: document.getElementById('interleave-books').checked,
+      selectionCollection: document.getElementById('selection-collection').value,
+      selectionQuery: document.getElementById('selection-query').value.trim(),
       prioritizeNotes: document.getElementById('prioritize-notes').checked,
       includeBookInfo: document.getElementById('include-book-info').checked
     };
@@ -403,9 +729,26 @@ class OptionsManager {
       return { valid: false, message: 'Sync frequency must be between 1 and 24 hours' };
     }
 
+    const queryError = this.getQueryError(settings.selectionQuery);
+    if (queryError) {
+      return { valid: false, message: `Selection rule: ${queryError}` };
+    }
+
     return { valid: true };
   }
 
+  // Syntax error in a search query, with where it happened, or null
+  getQueryError(query) {
+    try {
+      this.database.queryParser.parse(query);
+      return null;
+    } catch (error) {
+      return error.position !== undefined
+        ? `${error.message} (at character ${error.position + 1})`
+        : error.message;
+    }
+  }
+
   isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -451,27 +794,30 @@ class OptionsManager {
     }
   }
 
-  async syncNow() {
-    const button = document.getElementById('sync-now');
+  async syncNow(options = {}) {
+    const button = document.getElementById(options.fullResync ? 'full-resync' : 'sync-now');
     const status = document.getElementById('sync-status');
     
     try {
       button.disabled = true;
-      status.textContent = 'Syncing...';
+      status.textContent = options.fullResync ? 'Resyncing all books...' : 'Syncing...';
       status.className = 'sync-status loading';
       
       const response = await chrome.runtime.sendMessage({
-        action: 'sync-now'
+        action: 'sync-now',
+        fullResync: options.fullResync === true
       });
       
       if (response.success) {
-        status.textContent = `Synced ${response.data.totalHighlights} highlights!`;
+        status.textContent = `Synced ${response.data.totalHighlights} highlights!` +
+          (response.data.booksSkipped ? ` (${response.data.booksSkipped} unchanged books skipped)` : '');
         status.className = 'sync-status success';
         
         // Refresh statistics
         setTimeout(() => {
           this.loadStatistics();
           this.loadAnalytics();
+          this.loadSyncHistory();
         }, 1000);
       } else {
         status.textContent = response.error || 'Sync failed';
@@ -531,6 +877,120 @@ class OptionsManager {
     }
   }
 
+  async exportMarkdown() {
+    try {
+      this.showStatus('Exporting Markdown notes...', 'info');
+      await this.database.init();
+
+      const exporter = new MarkdownExporter(this.database, ZipWriter);
+      const { zip, files } = await exporter.exportZip();
+
+      if (files === 0) {
+        this.showStatus('No highlights to export yet', 'info');
+        return;
+      }
+
+      const blob = new Blob([zip], { type: 'application/zip' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `kindle-highlights-markdown-${new Date().toISOString().split('T')[0]}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      this.showStatus(`Exported ${files} book note${files === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      console.error('Markdown export failed:', error);
+      this.showStatus(`Markdown export failed: ${error.message}`, 'error');
+    }
+  }
+
+  async exportCsv() {
+    try {
+      this.showStatus('Exporting CSV...', 'info');
+      await this.database.init();
+
+      const transfer = new CsvTransfer(this.database, new KindleParser());
+      const { csv, highlights } = await transfer.exportCsv();
+
+      // The byte order mark makes Excel read the file as UTF-8
+      const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `kindle-highlights-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      this.showStatus(`Exported ${highlights} highlights to CSV`, 'success');
+    } catch (error) {
+      console.error('CSV export failed:', error);
+      this.showStatus(`CSV export failed: ${error.message}`, 'error');
+    }
+  }
+
+  async importCsv(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      this.showStatus('Importing CSV...', 'info');
+
+      const text = await file.text();
+      const transfer = new CsvTransfer(this.database, new KindleParser());
+      const result = await transfer.importCsv(text);
+
+      this.showStatus(
+        `CSV imported! Books: ${result.books.imported} new, ${result.books.matched} existing. ` +
+        `Highlights: ${result.highlights.imported} imported, ${result.highlights.skipped} already present.` +
+        (result.rowErrors.length > 0 ? ` ${result.rowErrors.length} of ${result.rows} rows had problems.` : ''),
+        result.rowErrors.length > 0 ? 'info' : 'success'
+      );
+      this.showImportReport(file.name, result.rowErrors);
+
+      // Refresh statistics
+      setTimeout(() => {
+        this.loadStatistics();
+        this.loadAnalytics();
+        this.loadBookOptions();
+      }, 1000);
+
+    } catch (error) {
+      console.error('CSV import failed:', error);
+      this.showStatus('CSV import failed: ' + error.message, 'error');
+      this.showImportReport(file.name, []);
+    }
+
+    // Reset file input
+    event.target.value = '';
+  }
+
+  // List the rows a CSV import could not take, so they can be fixed in the sheet
+  showImportReport(fileName, rowErrors) {
+    const report = document.getElementById('csv-import-report');
+    const title = document.getElementById('csv-import-report-title');
+    const list = document.getElementById('csv-import-report-list');
+    if (!report || !title || !list) return;
+
+    list.innerHTML = '';
+    if (rowErrors.length === 0) {
+      report.style.display = 'none';
+      return;
+    }
+
+    title.textContent = `${fileName}: ${rowErrors.length} row${rowErrors.length === 1 ? '' : 's'} not imported`;
+    for (const error of rowErrors) {
+      const item = document.createElement('li');
+      item.textContent = error.row ? `Row ${error.row}: ${error.message}` : error.message;
+      list.appendChild(item);
+    }
+    report.style.display = 'block';
+  }
+
   async importData(event) {
     const file = event.target.files[0];
     if (!file) return;
@@ -566,6 +1026,89 @@ class OptionsManager {
     event.target.value = '';
   }
 
+  async importClippings(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      this.showStatus('Importing clippings...', 'info');
+
+      const text = await file.text();
+      const importer = new ClippingsImporter(this.database, new KindleParser());
+      const result = await importer.importClippings(text);
+
+      this.showStatus(
+        `Clippings imported! Books: ${result.books.imported} new, ${result.books.matched} existing. ` +
+        `Highlights: ${result.highlights.imported} imported, ${result.highlights.skipped} already present. ` +
+        `Notes: ${result.notes.attached} attached, ${result.notes.standalone} standalone.` +
+        (result.errors.length > 0 ? ` ${result.errors.length} entries could not be read.` : ''),
+        result.errors.length > 0 ? 'info' : 'success'
+      );
+
+      if (result.errors.length > 0) {
+        console.warn('Clippings import errors:', result.errors);
+      }
+
+      // Refresh statistics
+      setTimeout(() => {
+        this.loadStatistics();
+        this.loadAnalytics();
+        this.loadBookOptions();
+      }, 1000);
+
+    } catch (error) {
+      console.error('Clippings import failed:', error);
+      this.showStatus('Clippings import failed: ' + error.message, 'error');
+    }
+
+    // Reset file input
+    event.target.value = '';
+  }
+
+  async importNotebookPages(event) {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    try {
+      this.showStatus('Importing notebook pages...', 'info');
+
+      const pages = await Promise.all(
+        files.map(async file => ({ name: file.name, text: await file.text() }))
+      );
+      const importer = new NotebookImporter(this.database, new KindleParser(), amazonRegions);
+      const result = await importer.importNotebookFiles(pages);
+
+      let message = `Notebook imported! Books: ${result.books.imported} new, ${result.books.matched} existing. ` +
+        `Highlights: ${result.highlights.imported} imported, ${result.highlights.updated} updated, ` +
+        `${result.highlights.skipped} already present.`;
+
+      if (result.truncatedBooks.length > 0) {
+        message += ` Some pages were saved before all highlights loaded (${result.truncatedBooks.join(', ')}) - ` +
+          'scroll to the end of the notebook before saving to get the rest.';
+      }
+      if (result.errors.length > 0) {
+        message += ` ${result.errors.length} problems, see the console for details.`;
+        console.warn('Notebook import errors:', result.errors);
+      }
+
+      this.showStatus(message, result.files > 0 ? 'success' : 'error');
+
+      // Refresh statistics
+      setTimeout(() => {
+        this.loadStatistics();
+        this.loadAnalytics();
+        this.loadBookOptions();
+      }, 1000);
+
+    } catch (error) {
+      console.error('Notebook import failed:', error);
+      this.showStatus('Notebook import failed: ' + error.message, 'error');
+    }
+
+    // Reset file input
+    event.target.value = '';
+  }
+
   async cleanupDatabase() {
     if (!confirm('This will remove old sync/email records and orphaned data. Continue?')) {
       return;
@@ -577,7 +1120,8 @@ class OptionsManager {
       
       this.showStatus(
         `Cleanup completed! Removed ${result.syncRecordsRemoved} sync records, ` +
-        `${result.emailRecordsRemoved} email records, and ${result.orphanedHighlightsRemoved} orphaned highlights.`,
+        `${result.emailRecordsRemoved} email records, ${result.orphanedHighlightsRemoved} orphaned highlights ` +
+        `and ${result.expiredTrashRemoved} expired trash items.`,
         'success'
       );
       
@@ -589,29 +1133,313 @@ class OptionsManager {
   }
 
   async clearAllData() {
-    if (!confirm('This will permanently delete ALL your highlights and books. This cannot be undone. Are you sure?')) {
+    if (!confirm(`This will delete ALL your books, highlights, history and collections. Highlights stay in the trash for ${this.database.trashRetentionDays} days. Are you sure?`)) {
       return;
     }
     
-    if (!confirm('This is your final warning. ALL DATA WILL BE LOST. Continue?')) {
+    if (!confirm('This is your final warning. Everything except the trash will be lost. Continue?')) {
       return;
     }
     
     try {
       await this.database.init();
-      await this.database.clearAllData();
+      await this.database.clearAllData({ keepTrash: true });
+
+      // Saved searches are gone, so emails go back to choosing from everything
+      const { settings } = await chrome.storage.local.get('settings');
+      if (settings && settings.selectionCollection) {
+        await chrome.storage.local.set({ settings: { ...settings, selectionCollection: '' } });
+      }
+      await this.loadSmartCollections();
       
-      this.showStatus('All data cleared successfully', 'success');
+      this.showStatus('All data cleared; highlights were moved to the trash', 'success');
       
       // Reset statistics
       setTimeout(() => {
         this.loadStatistics();
         this.loadAnalytics();
+        this.loadTrash();
       }, 500);
       
     } catch (error) {
-      console.error('Clear data failed:', error);
-      this.showStatus('Failed to clear data: ' + error.message, 'error');
+      console.error('Clear data failed:', error);
+      this.showStatus('Failed to clear data: ' + error.message, 'error');
+    }
+  }
+
+  // Paper books and other apps: a highlight typed in by hand
+  async addManualHighlight() {
+    const field = id => document.getElementById(id);
+    const title = field('manual-title');
+    const text = field('manual-text');
+
+    const missing = [title, text].filter(element => !element.value.trim());
+    [title, text].forEach(element => {
+      const errorElement = field(`${element.id}-error`);
+      element.classList.toggle('error', missing.includes(element));
+      errorElement.textContent = missing.includes(element) ? 'Required' : '';
+      errorElement.classList.toggle('visible', missing.includes(element));
+    });
+    if (missing.length > 0) return;
+
+    try {
+      await this.database.init();
+      const { book } = await this.database.addManualHighlight({
+        title: title.value,
+        author: field('manual-author').value,
+        text: text.value,
+        page: field('manual-page').value,
+        note: field('manual-note').value,
+        tags: field('manual-tags').value.split(','),
+        color: field('manual-color').value
+      });
+
+      // Keep the book filled in for the next highlight from it
+      ['manual-text', 'manual-note', 'manual-page', 'manual-tags'].forEach(id => {
+        field(id).value = '';
+      });
+      this.showStatus(`Added a highlight to "${book.title}"`, 'success');
+
+      this.loadBookOptions();
+      this.loadTagOptions();
+      this.loadStatistics();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Add highlight failed:', error);
+      this.showStatus('Failed to add highlight: ' + error.message, 'error');
+    }
+  }
+
+  // Look for near-duplicate highlights across the library, leaving out groups
+  // the user already marked as not duplicates
+  async findDuplicates() {
+    const list = document.getElementById('duplicate-list');
+    list.innerHTML = '<p class="duplicate-empty">Looking for duplicates...</p>';
+
+    try {
+      await this.database.init();
+      const [highlights, books, dismissed] = await Promise.all([
+        this.database.getAllHighlights(),
+        this.database.getAllBooks(),
+        this.database.getDismissedDuplicates()
+      ]);
+
+      this.duplicateBookTitles = new Map(books.map(book => [book.asin, book.title]));
+      this.duplicateGroups = new DuplicateDetector()
+        .findDuplicates(highlights, books)
+        .filter(group => !dismissed.has(group.key));
+      this.renderDuplicates();
+    } catch (error) {
+      console.error('Find duplicates failed:', error);
+      list.innerHTML = '';
+      this.showStatus('Failed to find duplicates: ' + error.message, 'error');
+    }
+  }
+
+  renderDuplicates() {
+    const list = document.getElementById('duplicate-list');
+
+    if (this.duplicateGroups.length === 0) {
+      list.innerHTML = '<p class="duplicate-empty">No duplicates found</p>';
+      return;
+    }
+
+    list.innerHTML = this.duplicateGroups.map((group, index) => `
+      <div class="duplicate-group" data-index="${index}">
+        <div class="duplicate-group-header">
+          ${group.reason === 'contains' ? 'One passage contains another' : `${Math.round(group.similarity * 100)}% the same`}
+          · pick the highlight to keep
+        </div>
+        ${group.highlights.map(highlight => `
+          <label class="duplicate-item">
+            <input type="radio" name="duplicate-keep-${index}" value="${this.escapeHtml(highlight.id)}"
+                   ${highlight.id === group.keepId ? 'checked' : ''}>
+            <div class="duplicate-item-content">
+              <div class="duplicate-item-text">${this.escapeHtml(highlight.text)}</div>
+              <div class="duplicate-item-meta">
+                ${this.escapeHtml(this.duplicateBookTitles.get(highlight.bookAsin) || highlight.bookAsin)}
+                ${highlight.location ? `· ${this.escapeHtml(highlight.location)}` : ''}
+                · shown ${highlight.timesShown || 0} time${highlight.timesShown === 1 ? '' : 's'}
+                ${highlight.note ? '· has a note' : ''}
+                ${highlight.tags && highlight.tags.length ? `· ${this.escapeHtml(highlight.tags.join(', '))}` : ''}
+              </div>
+            </div>
+          </label>
+        `).join('')}
+        <div class="button-group">
+          <button type="button" class="action-button merge-duplicates" data-index="${index}">🔗 Merge</button>
+          <button type="button" class="secondary-button dismiss-duplicates" data-index="${index}">Not Duplicates</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async mergeDuplicateGroup(index) {
+    const group = this.duplicateGroups[index];
+    const checked = document.querySelector(`input[name="duplicate-keep-${index}"]:checked`);
+    const keepId = checked ? checked.value : group.keepId;
+
+    try {
+      await this.database.mergeHighlights(keepId, group.highlights.map(highlight => highlight.id));
+      const merged = group.highlights.length - 1;
+      this.showStatus(`Merged ${merged} duplicate${merged === 1 ? '' : 's'} into one highlight`, 'success');
+
+      this.duplicateGroups.splice(index, 1);
+      this.renderDuplicates();
+      this.loadTrash();
+      this.loadStatistics();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Merge duplicates failed:', error);
+      this.showStatus('Failed to merge duplicates: ' + error.message, 'error');
+    }
+  }
+
+  async dismissDuplicateGroup(index) {
+    try {
+      await this.database.dismissDuplicates(this.duplicateGroups[index].key);
+      this.duplicateGroups.splice(index, 1);
+      this.renderDuplicates();
+    } catch (error) {
+      console.error('Dismiss duplicates failed:', error);
+      this.showStatus('Failed to update duplicates', 'error');
+    }
+  }
+
+  // Books stored more than once under different ASINs
+  async findBookMerges() {
+    try {
+      await this.database.init();
+      this.bookMergeGroups = await this.database.findBookMergeCandidates();
+      this.renderBookMerges();
+    } catch (error) {
+      console.error('Find book merges failed:', error);
+      this.showStatus('Failed to look for books to merge: ' + error.message, 'error');
+    }
+  }
+
+  renderBookMerges() {
+    const list = document.getElementById('book-merge-list');
+
+    if (this.bookMergeGroups.length === 0) {
+      list.innerHTML = '<p class="duplicate-empty">No books to merge</p>';
+      return;
+    }
+
+    list.innerHTML = this.bookMergeGroups.map((group, index) => `
+      <div class="duplicate-group">
+        <div class="duplicate-group-header">Pick the book to keep</div>
+        ${group.books.map((book, position) => `
+          <label class="duplicate-item">
+            <input type="radio" name="book-merge-target-${index}" value="${this.escapeHtml(book.asin)}"
+                   ${position === 0 ? 'checked' : ''}>
+            <div class="duplicate-item-content">
+              <div class="duplicate-item-text">${this.escapeHtml(book.title)}</div>
+              <div class="duplicate-item-meta">
+                ${this.escapeHtml(book.author)} · ${this.escapeHtml(book.asin)}
+                · ${book.highlightCount} highlight${book.highlightCount === 1 ? '' : 's'}
+              </div>
+            </div>
+          </label>
+        `).join('')}
+        <div class="button-group">
+          <button type="button" class="action-button merge-books" data-index="${index}">📚 Merge Books</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async mergeBookGroup(index) {
+    const group = this.bookMergeGroups[index];
+    const checked = document.querySelector(`input[name="book-merge-target-${index}"]:checked`);
+    const target = group.books.find(book => book.asin === checked.value);
+
+    try {
+      const moved = await this.database.mergeBooks(target.asin, group.books.map(book => book.asin));
+      this.showStatus(`Merged into "${target.title}" (${moved} highlight${moved === 1 ? '' : 's'} moved)`, 'success');
+
+      this.bookMergeGroups.splice(index, 1);
+      this.renderBookMerges();
+      this.loadBookOptions();
+      this.loadStatistics();
+      this.loadAnalytics();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Merge books failed:', error);
+      this.showStatus('Failed to merge books: ' + error.message, 'error');
+    }
+  }
+
+  // Deleted highlights waiting out the retention period
+  async loadTrash() {
+    try {
+      await this.database.init();
+      await this.database.purgeExpiredTrash();
+      const entries = await this.database.getTrash();
+
+      const list = document.getElementById('trash-list');
+      if (!list) return;
+
+      document.getElementById('restore-all-trash').disabled = entries.length === 0;
+      document.getElementById('empty-trash').disabled = entries.length === 0;
+
+      if (entries.length === 0) {
+        list.innerHTML = '<p class="trash-empty">The trash is empty</p>';
+        return;
+      }
+
+      list.innerHTML = entries.map(entry => `
+        <div class="trash-item">
+          <div class="trash-item-content">
+            <div class="trash-item-text">${this.escapeHtml(entry.highlight.text)}</div>
+            <div class="trash-item-meta">
+              ${this.escapeHtml(entry.book ? entry.book.title : entry.highlight.bookAsin)}
+              · deleted ${new Date(entry.deletedAt).toLocaleDateString()}
+              · kept until ${new Date(entry.expiresAt).toLocaleDateString()}
+            </div>
+          </div>
+          <button type="button" class="secondary-button restore-button" data-highlight-id="${this.escapeHtml(entry.id)}">
+            ♻️ Restore
+          </button>
+        </div>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    }
+  }
+
+  async restoreFromTrash(highlightIds) {
+    try {
+      const restored = await this.database.restoreFromTrash(highlightIds);
+      this.showStatus(`Restored ${restored} highlight${restored === 1 ? '' : 's'}`, 'success');
+
+      this.loadTrash();
+      this.loadStatistics();
+      this.loadBookOptions();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      this.showStatus('Failed to restore: ' + error.message, 'error');
+    }
+  }
+
+  async restoreAllFromTrash() {
+    const entries = await this.database.getTrash();
+    await this.restoreFromTrash(entries.map(entry => entry.id));
+  }
+
+  async emptyTrash() {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const removed = await this.database.emptyTrash();
+      this.showStatus(`Permanently deleted ${removed} highlight${removed === 1 ? '' : 's'}`, 'success');
+      this.loadTrash();
+    } catch (error) {
+      console.error('Empty trash failed:', error);
+      this.showStatus('Failed to empty trash: ' + error.message, 'error');
     }
   }
 
@@ -862,12 +1690,445 @@ class OptionsManager {
           bookFilter.appendChild(option);
         });
       }
+
+      // Titles to pick from when adding a highlight by hand
+      const titles = document.getElementById('manual-book-titles');
+      if (titles) {
+        titles.innerHTML = [...new Set(books.map(book => book.title))]
+          .map(title => `<option value="${this.escapeHtml(title).replace(/"/g, '&quot;')}">`)
+          .join('');
+      }
     } catch (error) {
       console.error('Failed to load book options:', error);
     }
   }
 
+  async loadTagOptions() {
+    try {
+      await this.database.init();
+      const tagCounts = await this.database.getTagCounts();
+      const tagFilter = document.getElementById('tag-filter');
+
+      if (tagFilter) {
+        const selected = tagFilter.value;
+        tagFilter.innerHTML = '<option value="">All Tags</option>';
+
+        tagCounts.forEach(({ tag, count }) => {
+          const option = document.createElement('option');
+          option.value = tag;
+          option.textContent = `${tag} (${count})`;
+          tagFilter.appendChild(option);
+        });
+
+        tagFilter.value = tagCounts.some(({ tag }) => tag === selected) ? selected : '';
+      }
+    } catch (error) {
+      console.error('Failed to load tag options:', error);
+    }
+  }
+
+  // Saved searches with their live counts, in the sidebar and as email pools
+  async loadSmartCollections() {
+    try {
+      await this.database.init();
+      const collections = await this.database.getSmartCollections();
+
+      const list = document.getElementById('collection-list');
+      if (list) {
+        list.innerHTML = collections.length === 0
+          ? '<li class="collection-empty">Save a search to keep it here</li>'
+          : collections.map(collection => `
+            <li class="collection-item${collection.id === this.activeCollectionId ? ' active' : ''}" data-id="${this.escapeHtml(collection.id)}">
+              <button type="button" class="collection-open" title="${this.escapeHtml(collection.query).replace(/"/g, '&quot;')}">
+                <span>${this.escapeHtml(collection.name)}</span>
+                <span class="collection-count">${collection.count === null ? '!' : collection.count}</span>
+              </button>
+              <button type="button" class="collection-delete" title="Delete saved search">×</button>
+            </li>
+          `).join('');
+      }
+
+      const collectionSelect = document.getElementById('selection-collection');
+      if (collectionSelect) {
+        // The saved setting can arrive before its option exists
+        const { settings = {} } = await chrome.storage.local.get('settings');
+        const selected = collectionSelect.value || settings.selectionCollection || '';
+
+        collectionSelect.innerHTML = '<option value="">All highlights</option>';
+        collections.forEach(collection => {
+          const option = document.createElement('option');
+          option.value = collection.id;
+          option.textContent = `${collection.name} (${collection.count === null ? '?' : collection.count})`;
+          collectionSelect.appendChild(option);
+        });
+
+        collectionSelect.value = collections.some(({ id }) => id === selected) ? selected : '';
+      }
+    } catch (error) {
+      console.error('Failed to load smart collections:', error);
+    }
+  }
+
+  // Save the search form under a name; reusing a name replaces that search
+  async saveCurrentSearch() {
+    if (!this.validateField(document.getElementById('highlight-search'))) {
+      this.showStatus('Fix the search query before saving it', 'error');
+      return;
+    }
+
+    const { query, filters } = this.getSearchCriteria();
+    if (!query && Object.keys(filters).length === 0) {
+      this.showStatus('Enter a search or pick a filter to save', 'error');
+      return;
+    }
+
+    const name = prompt('Name this smart collection:');
+    if (name === null || !name.trim()) {
+      return;
+    }
+
+    try {
+      const existing = (await this.database.getSavedSearches())
+        .find(search => search.name.toLowerCase() === name.trim().toLowerCase());
+      if (existing && !confirm(`Replace the saved search "${existing.name}"?`)) {
+        return;
+      }
+
+      const saved = await this.database.saveSearch({
+        id: existing ? existing.id : undefined,
+        name,
+        query,
+        filters
+      });
+      this.activeCollectionId = saved.id;
+      await this.loadSmartCollections();
+
+      this.showStatus(`Saved "${saved.name}"`, 'success');
+    } catch (error) {
+      console.error('Save search failed:', error);
+      this.showStatus(`Failed to save search: ${error.message}`, 'error');
+    }
+  }
+
+  // Fill the search form from a saved search and run it
+  async openSavedSearch(id) {
+    const search = await this.database.getSavedSearch(id);
+    if (!search) {
+      this.loadSmartCollections();
+      return;
+    }
+
+    document.getElementById('highlight-search').value = search.query;
+    document.getElementById('book-filter').value = search.filters.bookAsin || '';
+    document.getElementById('color-filter').value = search.filters.color || '';
+    document.getElementById('tag-filter').value = search.filters.tag || '';
+
+    this.activeCollectionId = id;
+    await this.searchHighlights();
+  }
+
+  async deleteSavedSearch(id) {
+    const search = await this.database.getSavedSearch(id);
+    if (!search || !confirm(`Delete the saved search "${search.name}"? Your highlights are not affected.`)) {
+      return;
+    }
+
+    try {
+      await this.database.deleteSavedSearch(id);
+      if (this.activeCollectionId === id) {
+        this.activeCollectionId = null;
+      }
+
+      // Emails fall back to all highlights rather than an empty pool
+      const collectionSelect = document.getElementById('selection-collection');
+      const wasEmailPool = collectionSelect && collectionSelect.value === id;
+      await this.loadSmartCollections();
+      if (wasEmailPool) {
+        await this.autoSave();
+      }
+
+      this.showStatus(`Deleted "${search.name}"`, 'success');
+    } catch (error) {
+      console.error('Delete saved search failed:', error);
+      this.showStatus(`Failed to delete saved search: ${error.message}`, 'error');
+    }
+  }
+
+  // Re-run whatever is on screen after a change: the search or a collection
+  refreshHighlights() {
+    this.loadLastAction();
+    if (this.activeManualCollectionId) {
+      this.openManualCollection(this.activeManualCollectionId);
+    } else if (this.allHighlights) {
+      this.searchHighlights();
+    }
+  }
+
+  // Starred and suspended highlights and hand-made collections, with their counts
+  async loadManualCollections() {
+    try {
+      await this.database.init();
+      const [collections, starred, suspended] = await Promise.all([
+        this.database.getCollections(),
+        this.database.searchHighlights('is:starred'),
+        this.database.searchHighlights('is:suspended')
+      ]);
+
+      const list = document.getElementById('manual-collection-list');
+      if (!list) return;
+
+      const items = [`
+        <li class="collection-item" data-view="starred">
+          <button type="button" class="collection-open">
+            <span>⭐ Starred</span>
+            <span class="collection-count">${starred.length}</span>
+          </button>
+        </li>
+      `];
+
+      // Suspended highlights are left out of reviews and emails; listed here so they can be brought back
+      if (suspended.length > 0) {
+        items.push(`
+          <li class="collection-item" data-view="suspended">
+            <button type="button" class="collection-open">
+              <span>⏸️ Suspended</span>
+              <span class="collection-count">${suspended.length}</span>
+            </button>
+          </li>
+        `);
+      }
+
+      collections.forEach(collection => {
+        items.push(`
+          <li class="collection-item${collection.id === this.activeManualCollectionId ? ' active' : ''}" data-id="${this.escapeHtml(collection.id)}">
+            <button type="button" class="collection-open">
+              <span>${this.escapeHtml(collection.name)}</span>
+              <span class="collection-count">${collection.highlightIds.length}</span>
+            </button>
+            <button type="button" class="collection-delete" title="Delete collection">×</button>
+          </li>
+        `);
+      });
+
+      list.innerHTML = items.join('');
+    } catch (error) {
+      console.error('Failed to load collections:', error);
+    }
+  }
+
+  showStarred() {
+    this.clearFilters();
+    document.getElementById('highlight-search').value = 'is:starred';
+    this.searchHighlights();
+  }
+
+  showSuspended() {
+    this.clearFilters();
+    document.getElementById('highlight-search').value = 'is:suspended';
+    this.searchHighlights();
+  }
+
+  // Show a collection in its own order, skipping the search sort
+  async openManualCollection(id) {
+    try {
+      const highlights = await this.database.getCollectionHighlights(id);
+      if (this.activeManualCollectionId !== id) {
+        this.currentPage = 1;
+      }
+
+      this.activeManualCollectionId = id;
+      this.activeCollectionId = null;
+      this.allHighlights = highlights;
+      this.currentPage = Math.min(this.currentPage, Math.max(1, Math.ceil(highlights.length / this.pageSize)));
+
+      this.renderHighlights(highlights);
+      this.loadManualCollections();
+    } catch (error) {
+      console.error('Open collection failed:', error);
+      this.activeManualCollectionId = null;
+      this.showStatus(`Failed to open collection: ${error.message}`, 'error');
+      this.loadManualCollections();
+    }
+  }
+
+  async deleteManualCollection(id) {
+    const collection = await this.database.getCollection(id);
+    if (!collection || !confirm(`Delete the collection "${collection.name}"? Its highlights are not deleted.`)) {
+      return;
+    }
+
+    try {
+      await this.database.deleteCollection(id);
+      if (this.activeManualCollectionId === id) {
+        this.clearFilters();
+      }
+      this.loadManualCollections();
+      this.showStatus(`Deleted "${collection.name}"`, 'success');
+    } catch (error) {
+      console.error('Delete collection failed:', error);
+      this.showStatus(`Failed to delete collection: ${error.message}`, 'error');
+    }
+  }
+
+  // Ask for a collection by name; a new name creates it
+  async pickCollection() {
+    const collections = await this.database.getCollections();
+    const names = collections.map(collection => collection.name).join(', ');
+    const name = prompt(names
+      ? `Add to which collection? (${names}) A new name starts a new collection.`
+      : 'Name the new collection:');
+
+    if (name === null || !name.trim()) {
+      return null;
+    }
+
+    return collections.find(collection => collection.name.toLowerCase() === name.trim().toLowerCase()) ||
+      this.database.createCollection(name);
+  }
+
+  async collectHighlights(highlightIds) {
+    try {
+      const collection = await this.pickCollection();
+      if (!collection) return false;
+
+      const added = await this.database.addToCollection(collection.id, highlightIds);
+      this.showStatus(
+        added > 0
+          ? `Added ${added} highlight${added === 1 ? '' : 's'} to "${collection.name}"`
+          : `Already in "${collection.name}"`,
+        'success'
+      );
+      this.loadManualCollections();
+      return true;
+    } catch (error) {
+      console.error('Add to collection failed:', error);
+      this.showStatus(`Failed to add to collection: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  async toggleStar(highlightId) {
+    try {
+      const highlight = await this.database.getHighlight(highlightId);
+      if (!highlight) return;
+
+      await this.database.setStarred([highlightId], !highlight.starred);
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Star highlight failed:', error);
+      this.showStatus('Failed to star highlight', 'error');
+    }
+  }
+
+  // Suspending happens on the review page; bringing a highlight back happens here
+  async unsuspendHighlight(highlightId) {
+    try {
+      await this.database.updateHighlight(highlightId, { suspended: false }, { label: 'Unsuspend highlight' });
+      this.showStatus('Highlight is back in reviews and emails', 'success');
+      this.loadManualCollections();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Unsuspend highlight failed:', error);
+      this.showStatus('Failed to unsuspend highlight', 'error');
+    }
+  }
+
+  async moveCollectionItem(highlightId, offset) {
+    const index = this.allHighlights.findIndex(highlight => highlight.id === highlightId);
+    try {
+      await this.database.moveInCollection(this.activeManualCollectionId, highlightId, index + offset);
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Reorder collection failed:', error);
+      this.showStatus('Failed to reorder collection', 'error');
+    }
+  }
+
+  async removeFromCollection(highlightId) {
+    try {
+      await this.database.removeFromCollection(this.activeManualCollectionId, [highlightId]);
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Remove from collection failed:', error);
+      this.showStatus('Failed to remove from collection', 'error');
+    }
+  }
+
+  // Label the undo button with the action it would revert
+  async loadLastAction() {
+    const button = document.getElementById('undo-last-action');
+    if (!button) return;
+
+    try {
+      await this.database.init();
+      const action = await this.database.getLastAction();
+
+      button.disabled = !action;
+      button.textContent = action ? `↩️ Undo: ${action.label}` : '↩️ Undo';
+      button.title = action
+        ? `${action.highlightCount} highlight${action.highlightCount === 1 ? '' : 's'}, ${new Date(action.date).toLocaleString()}`
+        : 'Nothing to undo';
+    } catch (error) {
+      console.error('Failed to load last action:', error);
+    }
+  }
+
+  async undoLastAction() {
+    try {
+      const action = await this.database.getLastAction();
+      if (!action) return;
+
+      const { restored, conflicts } = await this.database.undoAction(action.id);
+      const kept = conflicts > 0
+        ? `; kept ${conflicts} later change${conflicts === 1 ? '' : 's'}`
+        : '';
+      this.showStatus(`Undid "${action.label}" on ${restored} highlight${restored === 1 ? '' : 's'}${kept}`, 'success');
+
+      this.loadTagOptions();
+      this.loadTrash();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Undo failed:', error);
+      this.showStatus('Failed to undo: ' + error.message, 'error');
+    }
+  }
+
+  // Rename the tag picked in the tag filter; naming an existing tag merges the two
+  async renameTag() {
+    const tagFilter = document.getElementById('tag-filter');
+    const fromTag = tagFilter ? tagFilter.value : '';
+    if (!fromTag) {
+      this.showStatus('Pick a tag in "Filter by Tag" first', 'error');
+      return;
+    }
+
+    const toTag = prompt(`Rename "${fromTag}" to (use an existing tag name to merge):`, fromTag);
+    if (toTag === null || !toTag.trim() || toTag.trim() === fromTag) {
+      return;
+    }
+
+    try {
+      const updated = await this.database.renameTag(fromTag, toTag.trim());
+      tagFilter.value = '';
+      await this.loadTagOptions();
+      tagFilter.value = toTag.trim();
+
+      this.showStatus(`Renamed "${fromTag}" to "${toTag.trim()}" on ${updated} highlights`, 'success');
+
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Rename tag failed:', error);
+      this.showStatus(`Failed to rename tag: ${error.message}`, 'error');
+    }
+  }
+
   async searchHighlights() {
+    // Syntax errors are shown under the search box; keep the current results
+    if (!this.validateField(document.getElementById('highlight-search'))) {
+      return;
+    }
+    this.activeManualCollectionId = null;
+
     try {
       const container = document.getElementById('highlights-container');
       container.innerHTML = '<div class="highlights-loading"><div class="loading-spinner"></div>Loading highlights...</div>';
@@ -875,16 +2136,9 @@ class OptionsManager {
       await this.database.init();
       
       // Get search and filter values
-      const query = document.getElementById('highlight-search').value.trim();
-      const bookAsin = document.getElementById('book-filter').value;
-      const color = document.getElementById('color-filter').value;
+      const { query, filters } = this.getSearchCriteria();
       const sortBy = document.getElementById('sort-by').value;
 
-      // Build filters object
-      const filters = {};
-      if (bookAsin) filters.bookAsin = bookAsin;
-      if (color) filters.color = color;
-
       // Search highlights
       let highlights = await this.database.searchHighlights(query, filters);
       
@@ -897,6 +2151,10 @@ class OptionsManager {
       
       // Render highlights
       this.renderHighlights(highlights);
+
+      // Edits and deletes land here too, so collection counts stay current
+      this.loadSmartCollections();
+      this.loadManualCollections();
       
     } catch (error) {
       console.error('Search failed:', error);
@@ -905,6 +2163,68 @@ class OptionsManager {
     }
   }
 
+  // Query and filters from the highlight search form
+  getSearchCriteria() {
+    const query = document.getElementById('highlight-search').value.trim();
+    const bookAsin = document.getElementById('book-filter').value;
+    const color = document.getElementById('color-filter').value;
+    const tagFilter = document.getElementById('tag-filter');
+    const tag = tagFilter ? tagFilter.value : '';
+
+    const filters = {};
+    if (bookAsin) filters.bookAsin = bookAsin;
+    if (color) filters.color = color;
+    if (tag) filters.tag = tag;
+
+    return { query, filters };
+  }
+
+  // Selected highlights if any are ticked, otherwise the current search
+  async exportAnki() {
+    try {
+      this.showStatus('Exporting Anki notes...', 'info');
+
+      const clozeToggle = document.getElementById('anki-cloze');
+      const exporter = new AnkiExporter(this.database, new ReviewScheduler(this.database), new ClozeGenerator());
+      const options = this.selectedHighlights.size > 0
+        ? { highlightIds: Array.from(this.selectedHighlights) }
+        : this.getSearchCriteria();
+
+      const { text, notes, clozeNotes, scheduledNotes } = await exporter.exportNotes({
+        ...options,
+        cloze: Boolean(clozeToggle && clozeToggle.checked)
+      });
+
+      if (notes === 0) {
+        this.showStatus('No highlights match the current search', 'error');
+        return;
+      }
+
+      const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `kindle-highlights-anki-${new Date().toISOString().split('T')[0]}.txt`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      // Anki starts every imported card as new; say how to keep the intervals
+      this.showStatus(
+        `Exported ${notes} Anki note${notes === 1 ? '' : 's'}` +
+        (clozeToggle && clozeToggle.checked ? ` (${clozeNotes} as cloze)` : '') +
+        (scheduledNotes > 0
+          ? `. Anki imports them as new cards; ${scheduledNotes} carry an interval:: tag for Set Due Date`
+          : ''),
+        'success'
+      );
+    } catch (error) {
+      console.error('Anki export failed:', error);
+      this.showStatus(`Anki export failed: ${error.message}`, 'error');
+    }
+  }
+
   sortHighlights(highlights, sortBy) {
     return highlights.sort((a, b) => {
       switch (sortBy) {
@@ -914,6 +2234,9 @@ class OptionsManager {
           return this.database.compareLocations(a.location || '', b.location || '');
         case 'color':
           return a.color.localeCompare(b.color);
+        case 'relevance':
+          // Search results carry a score; without a query this falls back to date order
+          return (b.searchScore || 0) - (a.searchScore || 0) || b.dateHighlighted - a.dateHighlighted;
         case 'dateHighlighted':
         default:
           return b.dateHighlighted - a.dateHighlighted;
@@ -965,7 +2288,7 @@ class OptionsManager {
       ? highlight.tags.map(tag => `<span class="highlight-tag">${tag}</span>`).join('')
       : '';
     const note = highlight.note && highlight.note.trim() 
-      ? `<div class="highlight-note">${highlight.note}</div>` 
+      ? `<div class="highlight-note">${this.formatSearchText(highlight.note, highlight)}</div>` 
       : '';
 
     return `
@@ -978,9 +2301,10 @@ class OptionsManager {
               <span class="highlight-book">${bookTitle}</span>
               <span class="highlight-location">${highlight.location || 'Unknown location'}</span>
               <span class="highlight-date">${date}</span>
+              ${highlight.suspended ? '<span class="highlight-suspended" title="Left out of reviews and emails">⏸️ Suspended</span>' : ''}
             </div>
           </div>
-          <div class="highlight-text ${highlight.color}">${highlight.text}</div>
+          <div class="highlight-text ${highlight.color}">${this.formatSearchText(highlight.text, highlight)}</div>
           ${note}
           ${tags ? `<div class="highlight-tags">${tags}</div>` : ''}
           <div class="highlight-actions">
@@ -990,6 +2314,22 @@ class OptionsManager {
             <button class="highlight-action-btn tag-btn" data-action="tag" data-highlight-id="${highlight.id}">
               🏷️ Tag
             </button>
+            <button class="highlight-action-btn star-btn${highlight.starred ? ' starred' : ''}" data-action="star" data-highlight-id="${highlight.id}">
+              ${highlight.starred ? '★ Starred' : '☆ Star'}
+            </button>
+            <button class="highlight-action-btn collect-btn" data-action="collect" data-highlight-id="${highlight.id}">
+              📁 Collect
+            </button>
+            ${highlight.suspended ? `
+            <button class="highlight-action-btn" data-action="unsuspend" data-highlight-id="${highlight.id}">
+              ▶️ Unsuspend
+            </button>` : ''}
+            ${this.activeManualCollectionId ? `
+            <button class="highlight-action-btn" data-action="move-up" data-highlight-id="${highlight.id}" title="Move up">↑</button>
+            <button class="highlight-action-btn" data-action="move-down" data-highlight-id="${highlight.id}" title="Move down">↓</button>
+            <button class="highlight-action-btn" data-action="uncollect" data-highlight-id="${highlight.id}">
+              ➖ Remove from Collection
+            </button>` : ''}
             <button class="highlight-action-btn delete-btn" data-action="delete" data-highlight-id="${highlight.id}">
               🗑️ Delete
             </button>
@@ -999,6 +2339,14 @@ class OptionsManager {
     `;
   }
 
+  // Mark the words a search matched; other results render as before
+  formatSearchText(text, highlight) {
+    if (!highlight.matchedTerms) {
+      return text;
+    }
+    return this.database.searchAnalyzer.markMatches(text, highlight.matchedTerms);
+  }
+
   attachHighlightItemListeners() {
     // Action buttons
     document.querySelectorAll('.highlight-action-btn').forEach(button => {
@@ -1013,6 +2361,24 @@ class OptionsManager {
           case 'tag':
             this.tagHighlight(highlightId);
             break;
+          case 'star':
+            this.toggleStar(highlightId);
+            break;
+          case 'collect':
+            this.collectHighlights([highlightId]);
+            break;
+          case 'unsuspend':
+            this.unsuspendHighlight(highlightId);
+            break;
+          case 'move-up':
+            this.moveCollectionItem(highlightId, -1);
+            break;
+          case 'move-down':
+            this.moveCollectionItem(highlightId, 1);
+            break;
+          case 'uncollect':
+            this.removeFromCollection(highlightId);
+            break;
           case 'delete':
             this.deleteHighlight(highlightId);
             break;
@@ -1104,7 +2470,10 @@ class OptionsManager {
     document.getElementById('highlight-search').value = '';
     document.getElementById('book-filter').value = '';
     document.getElementById('color-filter').value = '';
-    document.getElementById('sort-by').value = 'dateHighlighted';
+    document.getElementById('tag-filter').value = '';
+    document.getElementById('sort-by').value = 'relevance';
+    this.activeCollectionId = null;
+    this.activeManualCollectionId = null;
     
     const container = document.getElementById('highlights-container');
     container.innerHTML = '<p class="loading">Click "Search" to load highlights...</p>';
@@ -1208,6 +2577,12 @@ class OptionsManager {
               <option value="orange" ${highlight.color === 'orange' ? 'selected' : ''}>Orange</option>
             </select>
           </div>
+          <details class="edit-history">
+            <summary>History</summary>
+            <ul class="edit-history-list">
+              <li class="edit-history-empty">Loading...</li>
+            </ul>
+          </details>
           <div class="edit-modal-actions">
             <button type="button" class="secondary-button edit-cancel">Cancel</button>
             <button type="button" class="action-button edit-save" data-highlight-id="${highlight.id}">Save Changes</button>
@@ -1236,9 +2611,50 @@ class OptionsManager {
       }
     });
 
+    this.loadHighlightHistory(highlight.id, modal);
+
     return modal;
   }
 
+  // Fill the edit modal's history panel from the revision log
+  async loadHighlightHistory(highlightId, modal) {
+    const list = modal.querySelector('.edit-history-list');
+    const sources = { user: 'You', sync: 'Sync', import: 'Import', 'auto-tag': 'Auto-tag', undo: 'Undo' };
+
+    try {
+      const revisions = await this.database.getHighlightHistory(highlightId);
+      if (revisions.length === 0) {
+        list.innerHTML = '<li class="edit-history-empty">No changes recorded yet</li>';
+        return;
+      }
+
+      list.innerHTML = revisions.map(revision => `
+        <li>
+          <div class="edit-history-meta">
+            ${new Date(revision.date).toLocaleString()} · ${sources[revision.source] || this.escapeHtml(revision.source)}
+            ${revision.undone ? ' · undone' : ''}
+          </div>
+          <div>
+            <strong>${revision.field}</strong>:
+            <del>${this.formatRevisionValue(revision.before)}</del> → ${this.formatRevisionValue(revision.after)}
+          </div>
+        </li>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load highlight history:', error);
+      list.innerHTML = '<li class="edit-history-empty">History is unavailable</li>';
+    }
+  }
+
+  formatRevisionValue(value) {
+    if (Array.isArray(value)) {
+      value = value.join(', ');
+    } else if (typeof value === 'boolean') {
+      value = value ? 'yes' : 'no';
+    }
+    return value ? this.escapeHtml(String(value)) : '<em>empty</em>';
+  }
+
   async saveHighlightEdit(highlightId, modal) {
     try {
       const text = modal.querySelector('#edit-highlight-text').value.trim();
@@ -1258,11 +2674,10 @@ class OptionsManager {
 
       document.body.removeChild(modal);
       this.showStatus('Highlight updated successfully!', 'success');
+      this.loadTagOptions();
       
       // Refresh current view
-      if (this.allHighlights) {
-        this.searchHighlights();
-      }
+      this.refreshHighlights();
     } catch (error) {
       console.error('Save highlight edit failed:', error);
       this.showStatus('Failed to save changes', 'error');
@@ -1274,16 +2689,11 @@ class OptionsManager {
     if (tags !== null) {
       try {
         const tagArray = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-        const highlight = await this.database.getHighlight(highlightId);
-        const existingTags = highlight.tags || [];
-        const mergedTags = [...new Set([...existingTags, ...tagArray])];
-        
-        await this.database.updateHighlight(highlightId, { tags: mergedTags });
+        await this.database.addTagsToHighlights([highlightId], tagArray);
         this.showStatus('Tags added successfully!', 'success');
+        this.loadTagOptions();
         
-        if (this.allHighlights) {
-          this.searchHighlights();
-        }
+        this.refreshHighlights();
       } catch (error) {
         console.error('Tag highlight failed:', error);
         this.showStatus('Failed to add tags', 'error');
@@ -1292,14 +2702,13 @@ class OptionsManager {
   }
 
   async deleteHighlight(highlightId) {
-    if (confirm('Are you sure you want to delete this highlight? This cannot be undone.')) {
+    if (confirm('Move this highlight to the trash? You can restore it from Data Management.')) {
       try {
         await this.database.deleteHighlight(highlightId);
-        this.showStatus('Highlight deleted successfully!', 'success');
+        this.showStatus('Highlight moved to the trash', 'success');
         
-        if (this.allHighlights) {
-          this.searchHighlights();
-        }
+        this.refreshHighlights();
+        this.loadTrash();
       } catch (error) {
         console.error('Delete highlight failed:', error);
         this.showStatus('Failed to delete highlight', 'error');
@@ -1318,21 +2727,14 @@ class OptionsManager {
       try {
         const tagArray = tags.split(',').map(tag => tag.trim()).filter(tag => tag);
         const selectedIds = Array.from(this.selectedHighlights);
-        
-        for (const highlightId of selectedIds) {
-          const highlight = await this.database.getHighlight(highlightId);
-          const existingTags = highlight.tags || [];
-          const mergedTags = [...new Set([...existingTags, ...tagArray])];
-          await this.database.updateHighlight(highlightId, { tags: mergedTags });
-        }
+        const updated = await this.database.addTagsToHighlights(selectedIds, tagArray);
 
-        this.showStatus(`Tags added to ${selectedIds.length} highlights!`, 'success');
+        this.showStatus(`Tags added to ${updated} highlights!`, 'success');
         this.selectedHighlights.clear();
         this.updateSelectedCount();
+        this.loadTagOptions();
         
-        if (this.allHighlights) {
-          this.searchHighlights();
-        }
+        this.refreshHighlights();
       } catch (error) {
         console.error('Bulk tag failed:', error);
         this.showStatus('Failed to add tags', 'error');
@@ -1340,6 +2742,37 @@ class OptionsManager {
     }
   }
 
+  async bulkStar() {
+    if (this.selectedHighlights.size === 0) {
+      this.showStatus('Please select highlights first', 'error');
+      return;
+    }
+
+    try {
+      const updated = await this.database.setStarred(Array.from(this.selectedHighlights), true);
+      this.showStatus(`Starred ${updated} highlight${updated === 1 ? '' : 's'}`, 'success');
+      this.selectedHighlights.clear();
+      this.updateSelectedCount();
+      this.refreshHighlights();
+    } catch (error) {
+      console.error('Bulk star failed:', error);
+      this.showStatus('Failed to star highlights', 'error');
+    }
+  }
+
+  async bulkCollect() {
+    if (this.selectedHighlights.size === 0) {
+      this.showStatus('Please select highlights first', 'error');
+      return;
+    }
+
+    if (await this.collectHighlights(Array.from(this.selectedHighlights))) {
+      this.selectedHighlights.clear();
+      this.updateSelectedCount();
+      this.refreshHighlights();
+    }
+  }
+
   async bulkDeleteHighlights() {
     if (this.selectedHighlights.size === 0) {
       this.showStatus('Please select highlights first', 'error');
@@ -1347,18 +2780,17 @@ class OptionsManager {
     }
 
     const count = this.selectedHighlights.size;
-    if (confirm(`Are you sure you want to delete ${count} highlight${count !== 1 ? 's' : ''}? This cannot be undone.`)) {
+    if (confirm(`Move ${count} highlight${count !== 1 ? 's' : ''} to the trash? You can restore them from Data Management.`)) {
       try {
         const selectedIds = Array.from(this.selectedHighlights);
         await this.database.bulkDeleteHighlights(selectedIds);
         
-        this.showStatus(`${count} highlight${count !== 1 ? 's' : ''} deleted successfully!`, 'success');
+        this.showStatus(`${count} highlight${count !== 1 ? 's' : ''} moved to the trash`, 'success');
         this.selectedHighlights.clear();
         this.updateSelectedCount();
         
-        if (this.allHighlights) {
-          this.searchHighlights();
-        }
+        this.refreshHighlights();
+        this.loadTrash();
       } catch (error) {
         console.error('Bulk delete failed:', error);
         this.showStatus('Failed to delete highlights', 'error');
@@ -24,7 +24,10 @@ class PopupController {
       sendEmailButton: document.getElementById('send-email-now'),
       testEmailButton: document.getElementById('send-test-email'),
       autoSyncToggle: document.getElementById('auto-sync-toggle'),
+      quickAddForm: document.getElementById('quick-add-form'),
+      quickAddButton: document.getElementById('quick-add-submit'),
       openSettingsLink: document.getElementById('open-settings'),
+      openReviewLink: document.getElementById('open-review'),
       viewHighlightsLink: document.getElementById('view-highlights'),
       loadingOverlay: document.getElementById('loading-overlay'),
       loadingText: document.getElementById('loading-text'),
@@ -52,12 +55,22 @@ class PopupController {
       this.handleAutoSyncToggle(e.target.checked);
     });
 
+    this.elements.quickAddForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleQuickAdd();
+    });
+
     // Navigation links
     this.elements.openSettingsLink.addEventListener('click', (e) => {
       e.preventDefault();
       this.openSettingsPage();
     });
 
+    this.elements.openReviewLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openReviewPage();
+    });
+
     this.elements.viewHighlightsLink.addEventListener('click', (e) => {
       e.preventDefault();
       this.viewAllHighlights();
@@ -233,11 +246,48 @@ class PopupController {
     }
   }
 
+  // Add a highlight from a paper book; the options page has the full form
+  async handleQuickAdd() {
+    const value = id => document.getElementById(id).value;
+
+    try {
+      this.setButtonLoading(this.elements.quickAddButton, true);
+      const result = await this.sendMessage({
+        action: 'add-manual-highlight',
+        entry: {
+          title: value('quick-add-title'),
+          author: value('quick-add-author'),
+          text: value('quick-add-text'),
+          page: value('quick-add-page')
+        }
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      document.getElementById('quick-add-text').value = '';
+      document.getElementById('quick-add-page').value = '';
+      this.showMessage(`Added to "${result.data.book.title}"`, 'success');
+      this.loadInitialData();
+    } catch (error) {
+      console.error('Quick add failed:', error);
+      this.showMessage('Failed to add highlight: ' + error.message, 'error');
+    } finally {
+      this.setButtonLoading(this.elements.quickAddButton, false);
+    }
+  }
+
   openSettingsPage() {
     chrome.runtime.openOptionsPage();
     window.close();
   }
 
+  openReviewPage() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('review/review.html') });
+    window.close();
+  }
+
   viewAllHighlights() {
     // For now, just show a message
     this.showMessage('Highlights viewer will be implemented in a future milestone', 'info');
@@ -277,6 +327,8 @@ class PopupController {
           icon.textContent = '🔄';
         } else if (button === this.elements.testEmailButton) {
           icon.textContent = '📧';
+        } else if (button === this.elements.quickAddButton) {
+          icon.textContent = '➕';
         }
       }
     }
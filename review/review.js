@@ -0,0 +1,418 @@
+// Kindle Highlights Reminder - Review Page JavaScript
+// Walks through today's due highlights one at a time and grades recall
+
+/* global ClozeGenerator */
+
+class ReviewController {
+  constructor() {
+    this.elements = {};
+    this.queue = [];
+    this.totalDue = 0;
+    this.index = 0;
+    this.quizMode = false;
+    this.quizResult = null;
+    this.grading = false;
+    this.clozeGenerator = new ClozeGenerator();
+    this.session = {
+      grades: { again: 0, hard: 0, good: 0, easy: 0 },
+      tagged: 0,
+      notesEdited: 0,
+      suspended: 0,
+      quizzes: 0,
+      quizzesCorrect: 0
+    };
+    this.init();
+  }
+
+  init() {
+    this.bindElements();
+    this.bindEventListeners();
+    this.loadQueue();
+  }
+
+  bindElements() {
+    this.elements = {
+      card: document.getElementById('review-card'),
+      progressText: document.getElementById('review-progress-text'),
+      progressFill: document.getElementById('review-progress-fill'),
+      bookCover: document.getElementById('book-cover'),
+      bookTitle: document.getElementById('book-title'),
+      bookAuthor: document.getElementById('book-author'),
+      location: document.getElementById('highlight-location'),
+      text: document.getElementById('highlight-text'),
+      quizToggle: document.getElementById('quiz-mode'),
+      quizForm: document.getElementById('quiz-form'),
+      quizAnswers: document.getElementById('quiz-answers'),
+      quizFeedback: document.getElementById('quiz-feedback'),
+      note: document.getElementById('highlight-note'),
+      tags: document.getElementById('highlight-tags'),
+      contextPanel: document.getElementById('context-panel'),
+      contextBefore: document.getElementById('context-before'),
+      contextAfter: document.getElementById('context-after'),
+      revealContextButton: document.getElementById('reveal-context'),
+      editNoteButton: document.getElementById('edit-note'),
+      suspendButton: document.getElementById('suspend-highlight'),
+      noteEditor: document.getElementById('note-editor'),
+      noteInput: document.getElementById('note-input'),
+      saveNoteButton: document.getElementById('save-note'),
+      tagForm: document.getElementById('tag-form'),
+      tagInput: document.getElementById('tag-input'),
+      gradeButtons: document.querySelectorAll('.grade-button'),
+      summary: document.getElementById('review-summary'),
+      summaryGrid: document.getElementById('summary-grid'),
+      summaryRemaining: document.getElementById('summary-remaining'),
+      empty: document.getElementById('review-empty'),
+      message: document.getElementById('review-message')
+    };
+  }
+
+  bindEventListeners() {
+    this.elements.gradeButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.gradeCurrent(button.dataset.grade);
+      });
+    });
+
+    this.elements.quizToggle.addEventListener('change', (e) => {
+      this.quizMode = e.target.checked;
+      this.loadQueue();
+    });
+
+    this.elements.quizForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.checkQuiz();
+    });
+
+    this.elements.revealContextButton.addEventListener('click', () => {
+      this.elements.contextPanel.classList.toggle('visible');
+    });
+
+    this.elements.editNoteButton.addEventListener('click', () => {
+      this.elements.noteEditor.classList.toggle('visible');
+      this.elements.noteInput.focus();
+    });
+
+    this.elements.saveNoteButton.addEventListener('click', () => {
+      this.saveNote();
+    });
+
+    this.elements.tagForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addTag();
+    });
+
+    this.elements.suspendButton.addEventListener('click', () => {
+      this.suspendCurrent();
+    });
+
+    // Keyboard shortcuts: 1-4 grade, space shows context
+    document.addEventListener('keydown', (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        return;
+      }
+
+      const grade = { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy' }[e.key];
+      if (grade) {
+        e.preventDefault();
+        this.gradeCurrent(grade);
+      } else if (e.key === ' ') {
+        e.preventDefault();
+        this.elements.contextPanel.classList.toggle('visible');
+      }
+    });
+  }
+
+  async loadQueue() {
+    const result = await this.sendMessage({ action: 'get-review-queue', quiz: this.quizMode });
+
+    if (!result.success) {
+      this.showMessage(result.error || (result.data && result.data.message) || 'Failed to load review queue', 'error');
+      return;
+    }
+
+    this.queue = result.data.queue;
+    this.totalDue = result.data.totalDue;
+    this.index = 0;
+    this.render();
+  }
+
+  current() {
+    return this.queue[this.index] || null;
+  }
+
+  render() {
+    this.updateProgress();
+
+    const item = this.current();
+    if (!item) {
+      this.elements.card.classList.remove('visible');
+      if (this.queue.length === 0) {
+        this.elements.empty.classList.add('visible');
+      } else {
+        this.showSummary();
+      }
+      return;
+    }
+
+    const { highlight, book, context } = item;
+
+    this.elements.empty.classList.remove('visible');
+    this.elements.summary.classList.remove('visible');
+    this.elements.card.classList.add('visible');
+    this.elements.bookTitle.textContent = book ? book.title : 'Unknown book';
+    this.elements.bookAuthor.textContent = book ? book.author : '';
+    this.elements.bookCover.src = book && book.coverUrl ? book.coverUrl : '';
+    this.elements.bookCover.classList.toggle('hidden', !(book && book.coverUrl));
+    this.elements.location.textContent = highlight.location || '';
+    this.elements.text.className = `highlight-text ${highlight.color || 'yellow'}`;
+    this.renderQuiz(item);
+    this.renderNote(highlight);
+    this.renderTags(highlight);
+
+    this.elements.contextBefore.textContent = context.before ? `… ${context.before.text}` : 'Start of book highlights';
+    this.elements.contextAfter.textContent = context.after ? `${context.after.text} …` : 'End of book highlights';
+    this.elements.contextPanel.classList.remove('visible');
+    this.elements.noteEditor.classList.remove('visible');
+    this.elements.noteInput.value = highlight.note || '';
+    this.elements.tagInput.value = '';
+  }
+
+  // In quiz mode the card shows the cloze prompt until the answers are checked
+  renderQuiz(item) {
+    const cloze = this.quizMode ? item.cloze : null;
+
+    this.quizResult = null;
+    this.elements.quizAnswers.innerHTML = '';
+    this.elements.quizFeedback.innerHTML = '';
+    this.elements.gradeButtons.forEach(button => button.classList.remove('suggested'));
+
+    if (!cloze) {
+      this.elements.text.textContent = item.highlight.text;
+      this.elements.quizForm.classList.remove('visible');
+      return;
+    }
+
+    this.elements.text.textContent = cloze.prompt;
+    cloze.answers.forEach((_, index) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'quiz-answer';
+      input.placeholder = `Blank ${index + 1}`;
+      this.elements.quizAnswers.appendChild(input);
+    });
+    this.elements.quizForm.classList.add('visible');
+  }
+
+  checkQuiz() {
+    const item = this.current();
+    if (!item || !item.cloze || this.quizResult) return;
+
+    const given = Array.from(this.elements.quizAnswers.querySelectorAll('.quiz-answer'))
+      .map(input => input.value);
+    this.quizResult = this.clozeGenerator.checkAnswers(item.cloze, given);
+
+    this.elements.text.textContent = item.highlight.text;
+    this.elements.quizFeedback.innerHTML = '';
+    this.quizResult.results.forEach(result => {
+      const line = document.createElement('div');
+      line.className = result.correct ? 'correct' : 'wrong';
+      line.textContent = result.correct
+        ? `✓ ${result.expected}`
+        : `✗ ${result.given || '(blank)'} → ${result.expected}`;
+      this.elements.quizFeedback.appendChild(line);
+    });
+
+    // The grade is only a suggestion; any grade button still records the quiz result
+    this.elements.gradeButtons.forEach(button => {
+      button.classList.toggle('suggested', button.dataset.grade === this.quizResult.grade);
+    });
+  }
+
+  renderNote(highlight) {
+    this.elements.note.textContent = highlight.note ? `📝 ${highlight.note}` : '';
+  }
+
+  renderTags(highlight) {
+    this.elements.tags.innerHTML = '';
+    (highlight.tags || []).forEach(tag => {
+      const span = document.createElement('span');
+      span.className = 'tag';
+      span.textContent = tag;
+      this.elements.tags.appendChild(span);
+    });
+  }
+
+  updateProgress() {
+    const total = this.queue.length;
+    const done = Math.min(this.index, total);
+    this.elements.progressText.textContent = `${done} / ${total}`;
+    this.elements.progressFill.style.width = total > 0 ? `${(done / total) * 100}%` : '0%';
+  }
+
+  async gradeCurrent(grade) {
+    const item = this.current();
+    // A second key press before the answer arrives would grade the next card
+    if (!item || this.grading) return;
+
+    const message = {
+      action: 'review-highlight',
+      highlightId: item.highlight.id,
+      grade
+    };
+
+    if (this.quizResult) {
+      message.quiz = { correct: this.quizResult.correct, total: this.quizResult.total };
+    }
+
+    this.setGrading(true);
+    const result = await this.sendMessage(message);
+    this.setGrading(false);
+
+    if (!result.success) {
+      this.showMessage(result.error || 'Failed to save grade', 'error');
+      return;
+    }
+
+    item.highlight = result.data;
+    this.session.grades[grade]++;
+    if (message.quiz) {
+      this.session.quizzes++;
+      if (message.quiz.correct === message.quiz.total) {
+        this.session.quizzesCorrect++;
+      }
+    }
+    this.next();
+  }
+
+  setGrading(grading) {
+    this.grading = grading;
+    this.elements.gradeButtons.forEach(button => {
+      button.disabled = grading;
+    });
+  }
+
+  async saveNote() {
+    const item = this.current();
+    if (!item) return;
+
+    const updated = await this.updateCurrent({ note: this.elements.noteInput.value });
+    if (updated) {
+      this.session.notesEdited++;
+      this.renderNote(updated);
+      this.elements.noteEditor.classList.remove('visible');
+      this.showMessage('Note saved', 'success');
+    }
+  }
+
+  async addTag() {
+    const item = this.current();
+    const tag = this.elements.tagInput.value.trim();
+    if (!item || !tag) return;
+
+    const tags = [...(item.highlight.tags || []), tag];
+    const updated = await this.updateCurrent({ tags });
+    if (updated) {
+      this.session.tagged++;
+      this.renderTags(updated);
+      this.elements.tagInput.value = '';
+    }
+  }
+
+  // Suspended highlights leave the review queue and emails until unsuspended
+  async suspendCurrent() {
+    const updated = await this.updateCurrent({ suspended: true });
+    if (updated) {
+      this.session.suspended++;
+      this.next();
+    }
+  }
+
+  async updateCurrent(updates) {
+    const item = this.current();
+    const result = await this.sendMessage({
+      action: 'update-highlight',
+      highlightId: item.highlight.id,
+      updates
+    });
+
+    if (!result.success) {
+      this.showMessage(result.error || 'Failed to update highlight', 'error');
+      return null;
+    }
+
+    item.highlight = result.data;
+    return result.data;
+  }
+
+  next() {
+    this.index++;
+    this.render();
+  }
+
+  showSummary() {
+    const { grades, tagged, notesEdited, suspended, quizzes, quizzesCorrect } = this.session;
+    const reviewed = Object.values(grades).reduce((sum, count) => sum + count, 0);
+    const recalled = grades.hard + grades.good + grades.easy;
+
+    const rows = [
+      ['Reviewed', reviewed],
+      ['Recalled', reviewed > 0 ? `${Math.round((recalled / reviewed) * 100)}%` : '-'],
+      ['Again', grades.again],
+      ['Hard', grades.hard],
+      ['Good', grades.good],
+      ['Easy', grades.easy],
+      ['Tags added', tagged],
+      ['Notes edited', notesEdited],
+      ['Suspended', suspended]
+    ];
+
+    if (quizzes > 0) {
+      rows.splice(2, 0, ['Quizzes correct', `${quizzesCorrect} / ${quizzes}`]);
+    }
+
+    this.elements.summaryGrid.innerHTML = '';
+    rows.forEach(([label, value]) => {
+      const cell = document.createElement('div');
+      cell.className = 'summary-item';
+      cell.innerHTML = '<span class="summary-value"></span><span class="summary-label"></span>';
+      cell.querySelector('.summary-value').textContent = value;
+      cell.querySelector('.summary-label').textContent = label;
+      this.elements.summaryGrid.appendChild(cell);
+    });
+
+    const remaining = this.totalDue - this.queue.length;
+    this.elements.summaryRemaining.textContent = remaining > 0
+      ? `${remaining} more highlight${remaining > 1 ? 's are' : ' is'} due. Reload the page to keep going.`
+      : 'You are all caught up.';
+
+    this.elements.summary.classList.add('visible');
+  }
+
+  // Utility methods
+  sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  }
+
+  showMessage(text, type = 'info') {
+    this.elements.message.textContent = text;
+    this.elements.message.className = `message ${type} visible`;
+
+    setTimeout(() => {
+      this.elements.message.classList.remove('visible');
+    }, 3000);
+  }
+}
+
+// Initialize review page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ReviewController();
+});
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReviewController };
+}
@@ -8,6 +8,7 @@ const { KindleParser } = require('../../content-scripts/parser.js');
 
 // Make KindleParser globally available for scraper
 global.KindleParser = KindleParser;
+global.amazonRegions = require('../../lib/amazon-regions.js').amazonRegions;
 
 const { KindleBulkScraper } = require('../../content-scripts/scraper.js');
 
@@ -82,6 +83,17 @@ describe('Scraping Flow Integration', () => {
       expect(scraper.isActive).toBe(true);
     });
 
+    test('should detect regional notebook pages and their region', () => {
+      Object.defineProperty(window, 'location', {
+        value: { href: 'https://read.amazon.co.uk/notebook?ref_=kcr_notebook_lib' },
+        writable: true
+      });
+
+      const ukScraper = new KindleBulkScraper();
+      expect(ukScraper.isActive).toBe(true);
+      expect(ukScraper.region).toBe('uk');
+    });
+
     test('should not activate on non-Kindle pages', () => {
       // Create new scraper with different URL
       Object.defineProperty(window, 'location', {
@@ -256,6 +268,64 @@ describe('Scraping Flow Integration', () => {
       expect(result.data.stats.errors[0].book).toBe('The Great Gatsby');
     }, 10000);
   });
+  describe('Incremental Sync', () => {
+    const july21 = new Date(2025, 6, 21).getTime();
+    const july22 = new Date(2025, 6, 22, 9, 0).getTime();
+
+    beforeEach(() => {
+      scraper.waitForPageLoad = jest.fn().mockResolvedValue();
+      scraper.extractAllBooksFromLibrary = jest.fn().mockResolvedValue([
+        { asin: 'B123456789', title: 'The Great Gatsby', lastAnnotated: july21 },
+        { asin: 'B987654321', title: 'To Kill a Mockingbird', lastAnnotated: july21 }
+      ]);
+      scraper.extractHighlightsForBook = jest.fn().mockImplementation(async (book) => [
+        { id: `highlight_${book.asin}_1`, bookAsin: book.asin, text: 'A highlight' }
+      ]);
+    });
+
+    test('should skip books not annotated since they were last stored', async () => {
+      const result = await scraper.scrapeHighlights({
+        knownBooks: { B123456789: july22 }
+      });
+
+      expect(result.status).toBe('success');
+      expect(scraper.extractHighlightsForBook).toHaveBeenCalledTimes(1);
+      expect(result.data.books.map(book => book.asin)).toEqual(['B987654321']);
+      expect(result.data.skippedBooks).toEqual([{ asin: 'B123456789', title: 'The Great Gatsby' }]);
+      expect(result.data.stats.totalBooks).toBe(2);
+      expect(result.data.stats.booksScanned).toBe(1);
+      expect(result.data.stats.booksSkipped).toBe(1);
+    }, 10000);
+
+    test('should rescan books synced on the day they were annotated', () => {
+      const book = { asin: 'B123456789', lastAnnotated: july21 };
+
+      expect(scraper.isBookUnchanged(book, july21 + 60 * 60 * 1000)).toBe(false);
+      expect(scraper.isBookUnchanged(book, july22)).toBe(true);
+      expect(scraper.isBookUnchanged({ asin: 'B123456789', lastAnnotated: null }, july22)).toBe(false);
+    });
+
+    test('should report when every book is up to date', async () => {
+      const result = await scraper.scrapeHighlights({
+        knownBooks: { B123456789: july22, B987654321: july22 }
+      });
+
+      expect(result.status).toBe('success');
+      expect(result.message).toBe('All books are up to date');
+      expect(scraper.extractHighlightsForBook).not.toHaveBeenCalled();
+      expect(result.data.stats.booksSkipped).toBe(2);
+    });
+
+    test('should scan every book on a full resync', async () => {
+      const result = await scraper.scrapeHighlights({
+        fullResync: true,
+        knownBooks: { B123456789: july22, B987654321: july22 }
+      });
+
+      expect(scraper.extractHighlightsForBook).toHaveBeenCalledTimes(2);
+      expect(result.data.stats.booksSkipped).toBe(0);
+    }, 10000);
+  });
 });
 
 // RateLimiter is now integrated into the KindleBulkScraper class
\ No newline at end of file
@@ -0,0 +1,55 @@
+// Unit tests for AmazonRegions
+const { AmazonRegions } = require('../../lib/amazon-regions.js');
+
+describe('AmazonRegions', () => {
+  let regions;
+
+  beforeEach(() => {
+    regions = new AmazonRegions();
+  });
+
+  test('should detect the region from notebook and store URLs', () => {
+    expect(regions.detectRegionFromUrl('https://read.amazon.com/notebook')).toBe('us');
+    expect(regions.detectRegionFromUrl('https://read.amazon.co.uk/notebook')).toBe('uk');
+    expect(regions.detectRegionFromUrl('https://www.amazon.de/gp/css/homepage.html')).toBe('de');
+    expect(regions.detectRegionFromUrl('https://read.amazon.co.jp/kp/notebook')).toBe('jp');
+    expect(regions.detectRegionFromUrl('https://www.amazon.in/')).toBe('in');
+    expect(regions.detectRegionFromUrl('https://read.amazon.ca/notebook')).toBe('ca');
+    expect(regions.detectRegionFromUrl('https://example.com/')).toBeNull();
+    expect(regions.detectRegionFromUrl('not a url')).toBeNull();
+  });
+
+  test('should only treat notebook paths on notebook hosts as notebook pages', () => {
+    expect(regions.isNotebookUrl('https://read.amazon.de/notebook?ref_=kcr_notebook_lib')).toBe(true);
+    expect(regions.isNotebookUrl('https://read.amazon.co.jp/kp/notebook')).toBe(true);
+    expect(regions.isNotebookUrl('https://read.amazon.com/kindle-library')).toBe(false);
+    expect(regions.isNotebookUrl('https://www.amazon.com/notebook')).toBe(false);
+  });
+
+  test('should build notebook URLs and tab query patterns', () => {
+    expect(regions.getNotebookUrl('uk')).toBe('https://read.amazon.co.uk/notebook');
+    expect(regions.getNotebookUrl('unknown')).toBe('https://read.amazon.com/notebook');
+    expect(regions.getNotebookUrlPatterns('de')).toEqual([
+      '*://read.amazon.de/notebook*',
+      '*://read.amazon.de/kp/notebook*'
+    ]);
+    expect(regions.getNotebookUrlPatterns()).toHaveLength(12);
+    expect(regions.getStoreUrlPatterns('jp')).toEqual(['*://amazon.co.jp/*', '*://*.amazon.co.jp/*']);
+  });
+
+  test('should resolve the region setting with auto-detection', () => {
+    expect(regions.resolveRegion('uk', 'de')).toBe('uk');
+    expect(regions.resolveRegion('auto', 'de')).toBe('de');
+    expect(regions.resolveRegion('auto', null)).toBe('us');
+    expect(regions.resolveRegion(undefined)).toBe('us');
+  });
+
+  test('should namespace ASINs outside the US', () => {
+    expect(regions.namespaceAsin('B086J7X4GV', 'us')).toBe('B086J7X4GV');
+    expect(regions.namespaceAsin('B086J7X4GV', 'uk')).toBe('uk:B086J7X4GV');
+    expect(regions.namespaceAsin('uk:B086J7X4GV', 'uk')).toBe('uk:B086J7X4GV');
+    expect(regions.stripNamespace('uk:B086J7X4GV')).toBe('B086J7X4GV');
+    expect(regions.getAsinRegion('jp:B086J7X4GV')).toBe('jp');
+    expect(regions.getAsinRegion('B086J7X4GV')).toBe('us');
+  });
+});
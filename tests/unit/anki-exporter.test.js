@@ -0,0 +1,116 @@
+// Unit tests for AnkiExporter
+const { AnkiExporter } = require('../../lib/anki-exporter.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+const { ClozeGenerator } = require('../../lib/cloze-generator.js');
+const { Database } = require('../../lib/database.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('AnkiExporter', () => {
+  let db;
+  let exporter;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    exporter = new AnkiExporter(db, new ReviewScheduler(db), new ClozeGenerator());
+
+    await db.addBook({ asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' });
+    await db.addBook({ asin: 'B002', title: 'Deep Work', author: 'Cal Newport' });
+
+    await db.addHighlight({
+      id: 'h1',
+      bookAsin: 'B001',
+      text: 'You have power over your mind, not outside events.',
+      location: 'Location 200',
+      color: 'blue',
+      note: 'Book <two>',
+      tags: ['stoic ideas'],
+      dateHighlighted: 1000,
+      interval: 21,
+      dueDate: Date.now() + 10 * DAY
+    });
+    await db.addHighlight({
+      id: 'h2',
+      bookAsin: 'B002',
+      text: 'Clarity about what matters provides clarity about what does not.',
+      location: 'Location 50',
+      color: 'yellow',
+      note: '',
+      tags: [],
+      dateHighlighted: 2000
+    });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  function rows(text) {
+    return text.trim().split('\n').filter(line => !line.startsWith('#')).map(line => line.split('\t'));
+  }
+
+  test('should write Anki import headers and one basic note per highlight', async () => {
+    const { text, notes, scheduledNotes } = await exporter.exportNotes();
+
+    expect(notes).toBe(2);
+    expect(scheduledNotes).toBe(1);
+    expect(text.startsWith('#separator:tab\n#html:true\n#guid column:1\n#notetype column:2\n#deck column:3\n#tags column:6\n')).toBe(true);
+
+    const [meditation] = rows(text).filter(row => row[0] === 'kindle-h1');
+    expect(meditation).toEqual([
+      'kindle-h1',
+      'Basic',
+      'Kindle Highlights::Meditations',
+      'You have power over your mind, not outside events.',
+      '<b>Meditations</b> by Marcus Aurelius<br>Location 200<br><i>Book &lt;two&gt;</i>',
+      'stoic_ideas color::blue interval::21'
+    ]);
+  });
+
+  test('should leave new highlights without an interval tag', async () => {
+    const { text } = await exporter.exportNotes({ highlightIds: ['h2'] });
+
+    expect(rows(text)).toHaveLength(1);
+    expect(rows(text)[0][2]).toBe('Kindle Highlights::Deep Work');
+    expect(rows(text)[0][5]).toBe('color::yellow');
+  });
+
+  test('should export what a search matches', async () => {
+    const { text, notes } = await exporter.exportNotes({ query: 'clarity', filters: { bookAsin: 'B002' } });
+
+    expect(notes).toBe(1);
+    expect(rows(text)[0][0]).toBe('kindle-h2');
+  });
+
+  test('should turn the key terms into Anki cloze deletions', async () => {
+    const { text, clozeNotes } = await exporter.exportNotes({ highlightIds: ['h1'], cloze: true });
+    const [row] = rows(text);
+
+    expect(clozeNotes).toBe(1);
+    expect(row[1]).toBe('Cloze');
+    expect(row[3]).toMatch(/\{\{c1::[^}]+\}\}/);
+    expect(row[3].replace(/\{\{c1::([^}]+)\}\}/g, '$1')).toBe('You have power over your mind, not outside events.');
+  });
+
+  test('should keep underscores in the text out of the cloze deletions', async () => {
+    const text = 'Fill in the _____ with patience before judging the argument.';
+    await db.addHighlight({ id: 'h3', bookAsin: 'B002', text, note: '', tags: [] });
+
+    const { text: file } = await exporter.exportNotes({ highlightIds: ['h3'], cloze: true });
+    const [row] = rows(file);
+
+    expect(row[1]).toBe('Cloze');
+    expect(row[3]).toContain('_____');
+    expect(row[3].replace(/\{\{c1::([^}]+)\}\}/g, '$1')).toBe(text);
+  });
+
+  test('should keep tabs and line breaks out of the fields', () => {
+    expect(exporter.html('a\nb')).toBe('a<br>b');
+    expect(exporter.field('a\tb')).toBe('a b');
+    expect(exporter.deckName({ title: 'Series:: Book One' })).toBe('Kindle Highlights::Series: Book One');
+  });
+});
@@ -0,0 +1,97 @@
+// Unit tests for merging books stored under several ASINs
+const { Database } = require('../../lib/database.js');
+const { SyncReconciler } = require('../../lib/sync-reconciler.js');
+const { KindleParser } = require('../../content-scripts/parser.js');
+
+const REAL = { asin: 'B00REAL001', title: 'Atomic Habits', author: 'James Clear', coverUrl: '' };
+const PSEUDO = { asin: 'B0PSEUDO01', title: 'Atomic Habits: An Easy & Proven Way', author: 'James Clear', coverUrl: 'cover.jpg' };
+const SAMPLE = { asin: 'B00SAMPLE1', title: 'Atomic habits (Sample)', author: 'james clear' };
+const OTHER = { asin: 'B00OTHER01', title: 'Deep Work', author: 'Cal Newport' };
+
+describe('Book merge', () => {
+  let db;
+  let parser;
+
+  const highlight = (book, text) => parser.createHighlightObject(text, book, 'Location: 10', '', 'yellow', Date.now());
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    parser = new KindleParser();
+
+    for (const book of [REAL, PSEUDO, SAMPLE, OTHER]) {
+      await db.addBook(book);
+    }
+    await db.addHighlight(highlight(REAL, 'Habits are the compound interest of self-improvement.'));
+    await db.addHighlight(highlight(REAL, 'You do not rise to the level of your goals.'));
+    await db.addHighlight(highlight(PSEUDO, 'Every action is a vote for the person you want to become.'));
+    await db.addHighlight(highlight(OTHER, 'Clarity about what matters provides clarity about what does not.'));
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should group books by normalized title and author', async () => {
+    const groups = await db.findBookMergeCandidates();
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].books.map(book => [book.asin, book.highlightCount])).toEqual([
+      ['B00REAL001', 2], ['B0PSEUDO01', 1], ['B00SAMPLE1', 0]
+    ]);
+  });
+
+  test('should move highlights and leave aliases behind', async () => {
+    const pseudoHighlight = highlight(PSEUDO, 'Every action is a vote for the person you want to become.');
+
+    expect(await db.mergeBooks(REAL.asin, [REAL.asin, PSEUDO.asin, SAMPLE.asin])).toBe(1);
+
+    expect((await db.getAllBooks()).map(book => book.asin).sort()).toEqual(['B00OTHER01', 'B00REAL001']);
+    expect((await db.getBook(REAL.asin)).coverUrl).toBe('cover.jpg');
+    expect(await db.getHighlightsByBook(REAL.asin)).toHaveLength(3);
+    expect(await db.getHighlight(pseudoHighlight.id)).toMatchObject({ bookAsin: REAL.asin, originalBookAsin: PSEUDO.asin });
+    expect(await db.resolveBookAlias(PSEUDO.asin)).toBe(REAL.asin);
+    expect(await db.resolveBookAlias(OTHER.asin)).toBe(OTHER.asin);
+    expect((await db.searchHighlights('vote book:B00REAL001')).map(h => h.id)).toEqual([pseudoHighlight.id]);
+    expect(await db.findBookMergeCandidates()).toEqual([]);
+  });
+
+  test('should follow earlier merges when the target is merged again', async () => {
+    await db.mergeBooks(PSEUDO.asin, [SAMPLE.asin]);
+    await db.mergeBooks(REAL.asin, [PSEUDO.asin]);
+
+    expect(await db.resolveBookAlias(SAMPLE.asin)).toBe(REAL.asin);
+    await expect(db.mergeBooks('MISSING', [REAL.asin])).rejects.toThrow('not found');
+  });
+
+  test('should sync an old ASIN onto the merged book', async () => {
+    const reconciler = new SyncReconciler(db);
+    const kept = highlight(PSEUDO, 'Every action is a vote for the person you want to become.');
+    await db.mergeBooks(REAL.asin, [PSEUDO.asin]);
+
+    const result = await reconciler.reconcileBook(PSEUDO.asin, [
+      kept,
+      highlight(PSEUDO, 'Environment is the invisible hand that shapes behavior.')
+    ]);
+
+    // The real edition's own highlights are not in this scrape and must not be marked removed
+    expect(result).toMatchObject({ added: 1, unchanged: 1, removed: 0 });
+    const highlights = await db.getHighlightsByBook(REAL.asin);
+    expect(highlights).toHaveLength(4);
+    expect(highlights.every(h => !h.removedUpstream)).toBe(true);
+    expect(await db.getBook(PSEUDO.asin)).toBeUndefined();
+  });
+
+  test('should carry aliases through a backup', async () => {
+    await db.mergeBooks(REAL.asin, [PSEUDO.asin]);
+    const backup = await db.exportAllData();
+    await db.clearAllData();
+
+    const results = await db.importData(backup);
+    expect(results.bookAliases).toEqual({ imported: 1, skipped: 0, errors: 0 });
+    expect(await db.resolveBookAlias(PSEUDO.asin)).toBe(REAL.asin);
+  });
+});
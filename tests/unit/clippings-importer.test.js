@@ -0,0 +1,259 @@
+// Unit tests for ClippingsImporter
+const { ClippingsImporter } = require('../../lib/clippings-importer.js');
+const { Database } = require('../../lib/database.js');
+const { KindleParser } = require('../../content-scripts/parser.js');
+
+const ENGLISH_CLIPPINGS = `\uFEFFAntifragile (Taleb, Nassim Nicholas)
+- Your Highlight on page 12 | Location 170-172 | Added on Monday, 1 January 2018 10:15:30
+
+Wind extinguishes a candle and energizes fire.
+==========
+Antifragile (Taleb, Nassim Nicholas)
+- Your Note on page 12 | Location 172 | Added on Monday, 1 January 2018 10:16:00
+
+Core idea of the book
+==========
+Antifragile (Taleb, Nassim Nicholas)
+- Your Bookmark on page 40 | Location 601 | Added on Tuesday, 2 January 2018 08:00:00
+
+
+==========
+My Notes.pdf (Jane Doe)
+- Your Highlight on page 3 | Added on Wednesday, March 7, 2018 9:05:00 PM
+
+A highlight from a sideloaded PDF.
+==========
+`;
+
+const LOCALIZED_CLIPPINGS = `Der Prozess (Franz Kafka)
+- Ihre Markierung bei Position 120-122 | Hinzugefügt am Montag, 5. Februar 2018 14:30:00
+
+Jemand musste Josef K. verleumdet haben.
+==========
+Der Prozess (Franz Kafka)
+- Ihre Notiz bei Position 122 | Hinzugefügt am Montag, 5. Februar 2018 14:31:00
+
+Berühmter erster Satz
+==========
+吾輩は猫である (夏目漱石)
+- 位置No. 45-46のハイライト |作成日: 2019年4月3日 水曜日 午後9:10:00
+
+吾輩は猫である。名前はまだ無い。
+==========
+L'Étranger (Albert Camus)
+- Votre surlignement sur la page 1 | emplacement 5-6 | Ajouté le lundi 12 mars 2018 07:45:00
+
+Aujourd'hui, maman est morte.
+==========
+`;
+
+describe('ClippingsImporter', () => {
+  let db;
+  let parser;
+  let importer;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    parser = new KindleParser();
+    importer = new ClippingsImporter(db, parser);
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  describe('Parsing', () => {
+    test('should parse highlights, notes and bookmarks', () => {
+      const { entries, errors } = importer.parseClippings(ENGLISH_CLIPPINGS);
+
+      expect(errors).toEqual([]);
+      expect(entries.map(e => e.type)).toEqual(['highlight', 'note', 'bookmark', 'highlight']);
+
+      const [highlight] = entries;
+      expect(highlight.title).toBe('Antifragile');
+      expect(highlight.author).toBe('Nassim Nicholas Taleb');
+      expect(highlight.page).toBe('12');
+      expect(highlight.locationStart).toBe(170);
+      expect(highlight.locationEnd).toBe(172);
+      expect(highlight.content).toBe('Wind extinguishes a candle and energizes fire.');
+      expect(highlight.dateAdded).toBe(new Date(2018, 0, 1, 10, 15, 30).getTime());
+    });
+
+    test('should parse 12-hour times and entries without a location', () => {
+      const { entries } = importer.parseClippings(ENGLISH_CLIPPINGS);
+      const pdfEntry = entries[3];
+
+      expect(pdfEntry.locationStart).toBeNull();
+      expect(pdfEntry.page).toBe('3');
+      expect(pdfEntry.dateAdded).toBe(new Date(2018, 2, 7, 21, 5, 0).getTime());
+    });
+
+    test('should parse German, Japanese and French clippings', () => {
+      const { entries, errors } = importer.parseClippings(LOCALIZED_CLIPPINGS);
+
+      expect(errors).toEqual([]);
+      expect(entries.map(e => e.type)).toEqual(['highlight', 'note', 'highlight', 'highlight']);
+
+      expect(entries[0].locationStart).toBe(120);
+      expect(entries[0].dateAdded).toBe(new Date(2018, 1, 5, 14, 30, 0).getTime());
+
+      expect(entries[2].title).toBe('吾輩は猫である');
+      expect(entries[2].locationStart).toBe(45);
+      expect(entries[2].locationEnd).toBe(46);
+      expect(entries[2].dateAdded).toBe(new Date(2019, 3, 3, 21, 10, 0).getTime());
+
+      expect(entries[3].page).toBe('1');
+      expect(entries[3].locationStart).toBe(5);
+      expect(entries[3].dateAdded).toBe(new Date(2018, 2, 12, 7, 45, 0).getTime());
+    });
+
+    test('should expand abbreviated location ranges', () => {
+      expect(importer.parseLocation('- Highlight Loc. 1234-56 | Added on ...')).toEqual({
+        start: 1234,
+        end: 1256
+      });
+    });
+
+    test('should report unrecognized entries', () => {
+      const { entries, errors } = importer.parseClippings('Just a line\n==========\n');
+
+      expect(entries).toHaveLength(0);
+      expect(errors).toHaveLength(1);
+    });
+  });
+
+  describe('Grouping', () => {
+    test('should attach notes to the highlight they were written on', () => {
+      const { entries } = importer.parseClippings(ENGLISH_CLIPPINGS + LOCALIZED_CLIPPINGS);
+      const groups = importer.groupByBook(entries);
+
+      const antifragile = groups.find(g => g.title === 'Antifragile');
+      expect(antifragile.highlights).toHaveLength(1);
+      expect(antifragile.highlights[0].note).toBe('Core idea of the book');
+      expect(antifragile.bookmarks).toBe(1);
+      expect(antifragile.orphanNotes).toHaveLength(0);
+
+      const prozess = groups.find(g => g.title === 'Der Prozess');
+      expect(prozess.highlights[0].note).toBe('Berühmter erster Satz');
+    });
+
+    test('should keep the latest version of an extended highlight', () => {
+      const text = `Book (Author)
+- Your Highlight on Location 10-11 | Added on Monday, 1 January 2018 10:00:00
+
+Short span
+==========
+Book (Author)
+- Your Highlight on Location 10-14 | Added on Monday, 1 January 2018 10:01:00
+
+Short span, now extended
+==========
+`;
+      const { entries } = importer.parseClippings(text);
+      const [group] = importer.groupByBook(entries);
+
+      expect(group.highlights).toHaveLength(1);
+      expect(group.highlights[0].content).toBe('Short span, now extended');
+    });
+
+    test('should keep notes without a highlight as orphans', () => {
+      const text = `Book (Author)
+- Your Note on Location 99 | Added on Monday, 1 January 2018 10:00:00
+
+A lone thought
+==========
+`;
+      const { entries } = importer.parseClippings(text);
+      const [group] = importer.groupByBook(entries);
+
+      expect(group.orphanNotes).toHaveLength(1);
+    });
+  });
+
+  describe('Import', () => {
+    test('should store books and highlights with parser-compatible IDs', async () => {
+      const result = await importer.importClippings(ENGLISH_CLIPPINGS);
+
+      expect(result.books.imported).toBe(2);
+      expect(result.highlights.imported).toBe(2);
+      expect(result.notes.attached).toBe(1);
+      expect(result.bookmarksIgnored).toBe(1);
+
+      const asin = parser.generatePseudoASIN('Antifragile');
+      const book = await db.getBook(asin);
+      expect(book.author).toBe('Nassim Nicholas Taleb');
+
+      const id = parser.generateHighlightId('Wind extinguishes a candle and energizes fire.', asin);
+      const highlight = await db.getHighlight(id);
+      expect(highlight.note).toBe('Core idea of the book');
+      expect(highlight.location).toBe('Page 12, Location 170-172');
+      expect(highlight.source).toBe('clippings');
+    });
+
+    test('should reuse the ASIN of a book already synced from the web', async () => {
+      await db.addBook({ asin: 'B00A2BCDEF', title: 'Antifragile', author: 'Nassim Nicholas Taleb' });
+      const webId = parser.generateHighlightId('Wind extinguishes a candle and energizes fire.', 'B00A2BCDEF');
+      await db.addHighlight({
+        id: webId,
+        bookAsin: 'B00A2BCDEF',
+        text: 'Wind extinguishes a candle and energizes fire.',
+        timesShown: 3
+      });
+
+      const result = await importer.importClippings(ENGLISH_CLIPPINGS);
+
+      expect(result.books.matched).toBe(1);
+      expect(result.highlights.updated).toBe(1);
+
+      const highlights = await db.getHighlightsByBook('B00A2BCDEF');
+      expect(highlights).toHaveLength(1);
+      expect(highlights[0].timesShown).toBe(3);
+      expect(highlights[0].note).toBe('Core idea of the book');
+    });
+
+    test('should not duplicate highlights when importing twice', async () => {
+      await importer.importClippings(ENGLISH_CLIPPINGS);
+      const second = await importer.importClippings(ENGLISH_CLIPPINGS);
+
+      expect(second.highlights.imported).toBe(0);
+      expect(second.highlights.skipped).toBe(2);
+      expect(await db.getAllHighlights()).toHaveLength(2);
+    });
+
+    test('should not bring back highlights the user deleted', async () => {
+      await importer.importClippings(ENGLISH_CLIPPINGS);
+      const asin = parser.generatePseudoASIN('Antifragile');
+      const id = parser.generateHighlightId('Wind extinguishes a candle and energizes fire.', asin);
+      await db.deleteHighlight(id);
+
+      const result = await importer.importClippings(ENGLISH_CLIPPINGS);
+
+      expect(result.highlights).toMatchObject({ imported: 0, skipped: 2 });
+      expect(await db.getHighlight(id)).toBeFalsy();
+      expect(await db.getAllHighlights()).toHaveLength(1);
+    });
+
+    test('should give different Japanese highlights from one book their own IDs', async () => {
+      const clippings = `吾輩は猫である (夏目漱石)
+- 位置No. 45-46のハイライト |作成日: 2019年4月3日 水曜日 午後9:10:00
+
+吾輩は猫である。名前はまだ無い。
+==========
+吾輩は猫である (夏目漱石)
+- 位置No. 80-81のハイライト |作成日: 2019年4月3日 水曜日 午後9:12:00
+
+どこで生れたかとんと見当がつかぬ。
+==========
+`;
+      const result = await importer.importClippings(clippings);
+
+      expect(result.highlights).toMatchObject({ imported: 2, skipped: 0 });
+      const ids = (await db.getAllHighlights()).map(h => h.id);
+      expect(new Set(ids).size).toBe(2);
+    });
+  });
+});
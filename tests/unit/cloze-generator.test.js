@@ -0,0 +1,62 @@
+// Unit tests for ClozeGenerator
+const { ClozeGenerator } = require('../../lib/cloze-generator.js');
+
+const CORPUS = [
+  { id: 'h1', text: 'The mind of the beginner is empty, free of the habits of the expert.' },
+  { id: 'h2', text: 'In the beginner mind there are many possibilities.' },
+  { id: 'h3', text: 'The practice of zazen is the direct expression of our true nature.' },
+  { id: 'h4', text: 'When you practice, the mind is calm and the expert is humble.' }
+];
+
+describe('ClozeGenerator', () => {
+  let generator;
+  let stats;
+
+  beforeEach(() => {
+    generator = new ClozeGenerator();
+    stats = generator.buildCorpusStats(CORPUS);
+  });
+
+  test('should count document frequencies without stop words', () => {
+    expect(stats.documentCount).toBe(4);
+    expect(stats.documentFrequency.get('beginner')).toBe(2);
+    expect(stats.documentFrequency.get('mind')).toBe(3);
+    expect(stats.documentFrequency.has('there')).toBe(false);
+  });
+
+  test('should rank words rare in the library above common ones', () => {
+    const terms = generator.rankTerms(CORPUS[2].text, stats).map(term => term.word);
+
+    expect(terms.indexOf('zazen')).toBeLessThan(terms.indexOf('practice'));
+  });
+
+  test('should blank the top terms in reading order', () => {
+    const cloze = generator.createCloze(CORPUS[2], stats);
+
+    expect(cloze.highlightId).toBe('h3');
+    expect(cloze.answers).toHaveLength(2);
+    cloze.answers.forEach(answer => expect(stats.documentFrequency.get(answer)).toBe(1));
+    cloze.answers.forEach(answer => expect(cloze.prompt).not.toMatch(new RegExp(`\\b${answer}\\b`)));
+    expect(cloze.prompt.split(generator.blank)).toHaveLength(3);
+    expect(CORPUS[2].text.indexOf(cloze.answers[0])).toBeLessThan(CORPUS[2].text.indexOf(cloze.answers[1]));
+  });
+
+  test('should return null when nothing is worth hiding', () => {
+    expect(generator.createCloze({ id: 'x', text: 'It is what it is.' }, stats)).toBeNull();
+  });
+
+  test('should accept answers with small typos, case and accent differences', () => {
+    expect(generator.checkAnswer('possibilities', 'posibilities').correct).toBe(true);
+    expect(generator.checkAnswer('Café', 'cafe')).toMatchObject({ correct: true, exact: true });
+    expect(generator.checkAnswer('mind', 'mint').correct).toBe(false);
+    expect(generator.checkAnswer('expert', '').correct).toBe(false);
+  });
+
+  test('should suggest a grade from the answers', () => {
+    const cloze = { answers: ['zazen', 'expression'] };
+
+    expect(generator.checkAnswers(cloze, ['zazen', 'expression']).grade).toBe('good');
+    expect(generator.checkAnswers(cloze, ['zazen', 'expresion']).grade).toBe('hard');
+    expect(generator.checkAnswers(cloze, ['zazen', 'nature'])).toMatchObject({ correct: 1, total: 2, grade: 'again' });
+  });
+});
@@ -0,0 +1,104 @@
+// Unit tests for starring and manual collections
+const { Database } = require('../../lib/database.js');
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+
+describe('Collections and stars', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook({ asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' });
+    for (const id of ['h1', 'h2', 'h3', 'h4']) {
+      await db.addHighlight({ id, bookAsin: 'B001', text: `Highlight ${id}`, note: '', tags: [] });
+    }
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  const ids = highlights => highlights.map(h => h.id);
+
+  test('should create collections with unique names', async () => {
+    const reading = await db.createCollection(' Reading list ');
+
+    expect(reading).toMatchObject({ name: 'Reading list', highlightIds: [] });
+    await expect(db.createCollection('reading LIST')).rejects.toThrow('A collection named "Reading list" already exists');
+    await expect(db.createCollection('')).rejects.toThrow('Collection name cannot be empty');
+
+    await db.createCollection('Favourites');
+    const renamed = await db.renameCollection(reading.id, 'Later');
+    expect(renamed.name).toBe('Later');
+    expect((await db.getCollections()).map(c => c.name)).toEqual(['Favourites', 'Later']);
+  });
+
+  test('should keep highlights in the order they were added and moved', async () => {
+    const { id } = await db.createCollection('Talk');
+
+    expect(await db.addToCollection(id, ['h3', 'h1', 'h3'])).toBe(2);
+    expect(await db.addToCollection(id, ['h1', 'h2'])).toBe(1);
+    expect(ids(await db.getCollectionHighlights(id))).toEqual(['h3', 'h1', 'h2']);
+
+    expect(await db.moveInCollection(id, 'h2', 0)).toEqual(['h2', 'h3', 'h1']);
+    expect(await db.moveInCollection(id, 'h2', 10)).toEqual(['h3', 'h1', 'h2']);
+    expect(await db.removeFromCollection(id, ['h1'])).toEqual(['h3', 'h2']);
+
+    await expect(db.addToCollection('missing', ['h1'])).rejects.toThrow('Collection not found');
+  });
+
+  test('should drop deleted highlights from every collection', async () => {
+    const first = await db.createCollection('First');
+    const second = await db.createCollection('Second');
+    await db.addToCollection(first.id, ['h1', 'h2']);
+    await db.addToCollection(second.id, ['h2', 'h3']);
+
+    await db.deleteHighlight('h2');
+    await db.bulkDeleteHighlights(['h3']);
+
+    expect((await db.getCollection(first.id)).highlightIds).toEqual(['h1']);
+    expect((await db.getCollection(second.id)).highlightIds).toEqual([]);
+  });
+
+  test('should star highlights and find them with is:starred', async () => {
+    expect(await db.setStarred(['h1', 'h4'], true)).toBe(2);
+    expect((await db.getHighlight('h1')).dateStarred).toEqual(expect.any(Number));
+    expect(ids(await db.searchHighlights('is:starred')).sort()).toEqual(['h1', 'h4']);
+
+    await db.setStarred(['h4'], false);
+    expect(ids(await db.searchHighlights('is:starred'))).toEqual(['h1']);
+    expect(ids(await db.searchHighlights('-is:starred')).sort()).toEqual(['h2', 'h3', 'h4']);
+  });
+
+  test('should carry collections through a backup', async () => {
+    const { id } = await db.createCollection('Talk');
+    await db.addToCollection(id, ['h2', 'h1']);
+
+    const backup = await db.exportAllData();
+    expect(backup.data.collections).toHaveLength(1);
+
+    await db.clearAllData();
+    const results = await db.importData(backup);
+
+    expect(results.collections).toEqual({ imported: 1, skipped: 0, errors: 0 });
+    expect(ids(await db.getCollectionHighlights(id))).toEqual(['h2', 'h1']);
+  });
+
+  test('should boost starred highlights in the weighted score', () => {
+    const selector = new HighlightSelector(db, new ReviewScheduler(db));
+    const now = Date.now();
+    const highlight = { id: 'h1', note: '', tags: [], dateHighlighted: now, timesShown: 0 };
+
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const plain = selector.calculateWeightedScore(highlight, now);
+    const starred = selector.calculateWeightedScore({ ...highlight, starred: true }, now);
+    Math.random.mockRestore();
+
+    expect(starred - plain).toBeCloseTo(selector.defaultWeights.favorites);
+  });
+});
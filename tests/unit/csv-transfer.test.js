@@ -0,0 +1,163 @@
+// Unit tests for CsvTransfer
+const { CsvTransfer } = require('../../lib/csv-transfer.js');
+const { Database } = require('../../lib/database.js');
+const { KindleParser } = require('../../content-scripts/parser.js');
+
+const readwiseHeader = 'Highlight,Book Title,Book Author,Amazon Book ID,Note,Color,Tags,Location Type,Location,Highlighted at';
+
+describe('CsvTransfer', () => {
+  let db;
+  let parser;
+  let transfer;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    parser = new KindleParser();
+    transfer = new CsvTransfer(db, parser);
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  describe('Parsing', () => {
+    test('should handle quoted commas, doubled quotes and line breaks', () => {
+      const rows = transfer.parseCsv(
+        '\uFEFFHighlight,Note\r\n' +
+        '"First, with a comma","He said ""hi"""\r\n' +
+        '"Two\nlines",\n'
+      );
+
+      expect(rows).toEqual([
+        ['Highlight', 'Note'],
+        ['First, with a comma', 'He said "hi"'],
+        ['Two\nlines', '']
+      ]);
+    });
+
+    test('should reject an unterminated quote', () => {
+      expect(() => transfer.parseCsv('Highlight\n"never closed\n')).toThrow('row 2');
+    });
+
+    test('should map Readwise and spreadsheet headers', () => {
+      expect(transfer.mapColumns(readwiseHeader.split(','))).toMatchObject({
+        text: 0, title: 1, author: 2, asin: 3, locationType: 7, location: 8, date: 9
+      });
+      expect(transfer.mapColumns(['Quote', 'Title', 'notes'])).toEqual({ text: 0, title: 1, note: 2 });
+      expect(() => transfer.mapColumns(['Note', 'Tags'])).toThrow('Missing required columns: Highlight, Book Title');
+    });
+  });
+
+  describe('Import', () => {
+    test('should import Readwise rows and report the rows it could not take', async () => {
+      const csv = [
+        readwiseHeader,
+        '"A passage\nover two lines",Deep Work,Cal Newport,B00X47ZVXM,Key idea,Blue,"focus, .work",location,142,2021-03-04 10:20:30',
+        'A page highlight,Deep Work,Cal Newport,B00X47ZVXM,,,,page,17,',
+        ',Deep Work,Cal Newport,B00X47ZVXM,,,,,,',
+        'Orphan,,,,,,,,,',
+        'Bad date,Deep Work,,,,,,,,yesterday-ish',
+        '"A passage\nover two lines",Deep Work,Cal Newport,B00X47ZVXM,,,,,,'
+      ].join('\r\n');
+
+      const result = await transfer.importCsv(csv);
+
+      expect(result.rows).toBe(6);
+      expect(result.books.imported).toBe(1);
+      expect(result.highlights.imported).toBe(2);
+      expect(result.rowErrors).toEqual([
+        { row: 4, message: 'Missing highlight text' },
+        { row: 5, message: 'Missing book title' },
+        { row: 6, message: 'Unreadable date "yesterday-ish"' },
+        { row: 7, message: 'Duplicate of row 2' }
+      ]);
+
+      const stored = await db.getHighlightsByBook('B00X47ZVXM');
+      const first = stored.find(h => h.text.startsWith('A passage'));
+      expect(first.text).toBe('A passage\nover two lines');
+      expect(first.location).toBe('Location 142');
+      expect(first.page).toBe('loc:142');
+      expect(first.color).toBe('blue');
+      expect(first.tags).toEqual(expect.arrayContaining(['focus', 'work']));
+      expect(first.dateHighlighted).toBe(Date.UTC(2021, 2, 4, 10, 20, 30));
+      expect(first.source).toBe('csv');
+
+      const book = await db.getBook('B00X47ZVXM');
+      expect(book.author).toBe('Cal Newport');
+    });
+
+    test('should attach rows to a book already in the library by title', async () => {
+      await db.addBook({ asin: 'B000000001', title: 'Meditations', author: 'Marcus Aurelius' });
+
+      const result = await transfer.importCsv('Highlight,Book Title\nThe obstacle is the way,meditations\n');
+
+      expect(result.books).toEqual({ imported: 0, matched: 1 });
+      expect(await db.getHighlightsByBook('B000000001')).toHaveLength(1);
+    });
+
+    test('should not bring back highlights the user deleted', async () => {
+      const csv = 'Highlight,Book Title,Amazon Book ID\nKeep this,Meditations,B000000001\nDrop this,Meditations,B000000001\n';
+      await transfer.importCsv(csv);
+      const [dropped] = (await db.getHighlightsByBook('B000000001')).filter(h => h.text === 'Drop this');
+      await db.deleteHighlight(dropped.id);
+
+      const result = await transfer.importCsv(csv);
+
+      expect(result.highlights).toEqual({ imported: 0, skipped: 2 });
+      expect(await db.getHighlight(dropped.id)).toBeFalsy();
+    });
+
+    test('should file rows of a merged-away book under the book it was merged into', async () => {
+      await db.addBook({ asin: 'B000000001', title: 'Meditations', author: 'Marcus Aurelius' });
+      await db.addBook({ asin: 'B000000002', title: 'Meditations (Hays translation)', author: 'Marcus Aurelius' });
+      await db.mergeBooks('B000000001', ['B000000002']);
+
+      const result = await transfer.importCsv(
+        'Highlight,Book Title,Amazon Book ID\nThe obstacle is the way,Meditations (Hays translation),B000000002\n'
+      );
+
+      expect(result.books).toEqual({ imported: 0, matched: 1 });
+      expect(await db.getBook('B000000002')).toBeFalsy();
+      expect(await db.getHighlightsByBook('B000000001')).toHaveLength(1);
+    });
+  });
+
+  describe('Export', () => {
+    test('should round-trip through the Readwise layout', async () => {
+      await db.addBook({ asin: 'B001', title: 'Essays, Collected', author: 'Montaigne' });
+      await db.addHighlight({
+        id: 'h1',
+        bookAsin: 'B001',
+        text: 'He said "know thyself"\nand left',
+        location: 'Location 200',
+        page: 'loc:200',
+        color: 'yellow',
+        note: '',
+        tags: ['self'],
+        dateHighlighted: Date.UTC(2020, 0, 2, 3, 4, 5)
+      });
+
+      const { csv, highlights } = await transfer.exportCsv();
+      expect(highlights).toBe(1);
+
+      const rows = transfer.parseCsv(csv);
+      expect(rows[0].join(',')).toBe(readwiseHeader);
+      expect(rows[1]).toEqual([
+        'He said "know thyself"\nand left',
+        'Essays, Collected',
+        'Montaigne',
+        'B001',
+        '',
+        'yellow',
+        'self',
+        'location',
+        '200',
+        '2020-01-02 03:04:05'
+      ]);
+    });
+  });
+});
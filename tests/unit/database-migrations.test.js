@@ -0,0 +1,123 @@
+// Unit tests for Database schema migrations
+const fixture = require('../fixtures/database-v1.json');
+const { Database } = require('../../lib/database.js');
+
+// Build a database the way version 1 of the extension left it
+function createFromFixture(name, data) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, data.version);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [storeName, definition] of Object.entries(data.stores)) {
+        const store = db.createObjectStore(storeName, { keyPath: definition.keyPath });
+        definition.indexes.forEach(index => store.createIndex(index, index, { unique: false }));
+        definition.records.forEach(record => store.put(record));
+      }
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openVersion(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name);
+    request.onsuccess = () => {
+      const version = request.result.version;
+      request.result.close();
+      resolve(version);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('Database migrations', () => {
+  let db;
+  let dbName;
+  let counter = 0;
+
+  beforeEach(async () => {
+    dbName = `MigrationTestDB_${++counter}`;
+    await createFromFixture(dbName, fixture);
+
+    db = new Database();
+    db.dbName = dbName;
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  test('should keep migrations in ascending version order', () => {
+    const versions = db.migrations.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    expect(db.dbVersion).toBe(versions[versions.length - 1]);
+  });
+
+  test('should upgrade a version 1 database to the latest version', async () => {
+    await db.init();
+
+    expect(db.db.version).toBe(db.dbVersion);
+    expect(Array.from(db.db.objectStoreNames)).toContain('meta');
+
+    const indexes = Array.from(db.db.transaction('highlights').objectStore('highlights').indexNames);
+    expect(indexes).toContain('dueDate');
+
+    const schema = await db.getSchemaInfo();
+    const last = db.migrations[db.migrations.length - 1];
+    expect(schema).toMatchObject({ version: last.version, migration: last.name, previousVersion: 1 });
+  });
+
+  test('should keep existing records and fill in missing fields', async () => {
+    await db.init();
+
+    const books = await db.getAllBooks();
+    expect(books.map(book => book.asin)).toEqual(['B00V1BOOK1']);
+
+    const first = await db.getHighlight('highlight_B00V1BOOK1_101');
+    expect(first.note).toBe('');
+    expect(first.tags).toEqual([]);
+    expect(first.text).toBe(fixture.stores.highlights.records[0].text);
+
+    const second = await db.getHighlight('highlight_B00V1BOOK1_102');
+    expect(second).toMatchObject({ note: 'Be one', tags: ['important'], interval: 6 });
+
+    const results = await db.searchHighlights('power');
+    expect(results.map(h => h.id)).toEqual(['highlight_B00V1BOOK1_101']);
+  });
+
+  test('should roll back the upgrade when a migration fails', async () => {
+    db.migrations = [
+      ...db.migrations,
+      {
+        version: db.dbVersion + 1,
+        name: 'broken',
+        up() {
+          throw new Error('Migration exploded');
+        }
+      }
+    ];
+    db.dbVersion += 1;
+
+    await expect(db.init()).rejects.toThrow('Migration exploded');
+    expect(await openVersion(dbName)).toBe(1);
+  });
+
+  test('should create every store on a fresh install', async () => {
+    const fresh = new Database();
+    fresh.dbName = `${dbName}_fresh`;
+    await fresh.init();
+
+    const schema = await fresh.getSchemaInfo();
+    expect(schema.previousVersion).toBe(0);
+    expect(Array.from(fresh.db.objectStoreNames)).toEqual(
+      expect.arrayContaining(['books', 'highlights', 'sync_history', 'email_history', 'meta'])
+    );
+    fresh.close();
+  });
+});
@@ -20,7 +20,7 @@ describe('Database', () => {
     test('should initialize database successfully', async () => {
       expect(db.db).toBeTruthy();
       expect(db.dbName).toBe('KindleHighlightsDB');
-      expect(db.dbVersion).toBe(1);
+      expect(db.dbVersion).toBe(db.migrations[db.migrations.length - 1].version);
     });
 
     test('should create required object stores', async () => {
@@ -143,6 +143,58 @@ describe('Database', () => {
     });
   });
 
+  describe('Tag Operations', () => {
+    beforeEach(async () => {
+      await db.addHighlight({ id: 'h1', bookAsin: 'B001', text: 'One', note: '', tags: ['stoic', 'mind'] });
+      await db.addHighlight({ id: 'h2', bookAsin: 'B001', text: 'Two', note: '', tags: ['stoic'] });
+      await db.addHighlight({ id: 'h3', bookAsin: 'B002', text: 'Three', note: '', tags: ['Stoicism', 'focus'] });
+      await db.addHighlight({ id: 'h4', bookAsin: 'B002', text: 'Four', note: '', tags: [] });
+    });
+
+    test('should index each tag of a highlight', () => {
+      const index = db.db.transaction('highlights').objectStore('highlights').index('tags');
+      expect(index.multiEntry).toBe(true);
+    });
+
+    test('should list tags with counts, most used first', async () => {
+      expect(await db.getTagCounts()).toEqual([
+        { tag: 'stoic', count: 2 },
+        { tag: 'focus', count: 1 },
+        { tag: 'mind', count: 1 },
+        { tag: 'Stoicism', count: 1 }
+      ]);
+    });
+
+    test('should fetch highlights by tag', async () => {
+      const highlights = await db.getHighlightsByTag('stoic');
+      expect(highlights.map(h => h.id).sort()).toEqual(['h1', 'h2']);
+      expect(await db.getHighlightsByTag('stoic', 1)).toHaveLength(1);
+
+      const results = await db.searchHighlights('two', { tag: 'stoic' });
+      expect(results.map(h => h.id)).toEqual(['h2']);
+    });
+
+    test('should rename a tag everywhere and merge into an existing one', async () => {
+      expect(await db.renameTag('mind', 'mindset')).toBe(1);
+      expect((await db.getHighlight('h1')).tags).toEqual(['stoic', 'mindset']);
+
+      expect(await db.mergeTags(['Stoicism', 'mindset'], 'stoic')).toBe(2);
+      expect((await db.getHighlight('h1')).tags).toEqual(['stoic']);
+      expect((await db.getHighlight('h3')).tags).toEqual(['stoic', 'focus']);
+      expect(await db.getHighlightsByTag('Stoicism')).toEqual([]);
+
+      await expect(db.renameTag('stoic', '  ')).rejects.toThrow('Tag name cannot be empty');
+    });
+
+    test('should add tags to many highlights at once', async () => {
+      const updated = await db.addTagsToHighlights(['h2', 'h4', 'missing'], ['focus', ' stoic ']);
+
+      expect(updated).toBe(2);
+      expect((await db.getHighlight('h2')).tags).toEqual(['stoic', 'focus']);
+      expect((await db.getHighlight('h4')).tags).toEqual(['focus', 'stoic']);
+    });
+  });
+
   describe('Statistics', () => {
     test('should return correct stats with no data', async () => {
       const stats = await db.getStats();
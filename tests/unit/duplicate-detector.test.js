@@ -0,0 +1,143 @@
+// Unit tests for DuplicateDetector and merging duplicates
+const { DuplicateDetector } = require('../../lib/duplicate-detector.js');
+const { Database } = require('../../lib/database.js');
+
+const BOOKS = [
+  { asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' },
+  { asin: 'B002', title: 'Meditations: A New Translation', author: 'Marcus Aurelius' },
+  { asin: 'B003', title: 'Letters from a Stoic', author: 'Seneca' }
+];
+
+const PASSAGE = 'You have power over your mind, not outside events. Realize this, and you will find strength.';
+
+describe('DuplicateDetector', () => {
+  const detector = new DuplicateDetector();
+
+  test('should give similar shingle sets similar signatures', () => {
+    const words = text => detector.normalize(text).split(' ');
+    const a = detector.signature(detector.shingles(words(PASSAGE)));
+    const b = detector.signature(detector.shingles(words(PASSAGE.replace('strength', 'your strength'))));
+
+    const agreement = a.filter((value, i) => value === b[i]).length / a.length;
+    expect(agreement).toBeGreaterThan(0.6);
+    expect(detector.signature(detector.shingles(words(PASSAGE)))).toEqual(a);
+  });
+
+  test('should find a passage highlighted again with a longer span', () => {
+    const groups = detector.findDuplicates([
+      { id: 'short', bookAsin: 'B001', text: 'You have power over your mind, not outside events.' },
+      { id: 'long', bookAsin: 'B001', text: PASSAGE },
+      { id: 'other', bookAsin: 'B001', text: 'The impediment to action advances action.' }
+    ], BOOKS);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ key: 'long|short', keepId: 'long', reason: 'contains' });
+  });
+
+  test('should match near-identical passages across editions only', () => {
+    const groups = detector.findDuplicates([
+      { id: 'first', bookAsin: 'B001', text: PASSAGE },
+      { id: 'second', bookAsin: 'B002', text: PASSAGE.replace('Realize', 'Recognize').replace(/\./g, ';'), timesShown: 3 },
+      { id: 'seneca', bookAsin: 'B003', text: PASSAGE }
+    ], BOOKS);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].highlights.map(h => h.id)).toEqual(['second', 'first']);
+    expect(groups[0].reason).toBe('similar');
+    expect(groups[0].similarity).toBeGreaterThanOrEqual(detector.similarityThreshold);
+  });
+
+  test('should leave short common phrases and unrelated passages alone', () => {
+    const groups = detector.findDuplicates([
+      { id: 'a', bookAsin: 'B001', text: 'Be brief.' },
+      { id: 'b', bookAsin: 'B001', text: 'Be brief. Nothing is gained by saying more than is needed.' },
+      { id: 'c', bookAsin: 'B001', text: 'Waste no more time arguing about what a good man should be. Be one.' }
+    ], BOOKS);
+
+    expect(groups).toEqual([]);
+  });
+
+  test('should chain overlapping pairs into one group', () => {
+    const groups = detector.findDuplicates([
+      { id: 'a', bookAsin: 'B001', text: 'You have power over your mind, not outside events.' },
+      { id: 'b', bookAsin: 'B001', text: PASSAGE },
+      { id: 'c', bookAsin: 'B002', text: PASSAGE }
+    ], BOOKS);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].key).toBe('a|b|c');
+  });
+});
+
+describe('Database.mergeHighlights', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook(BOOKS[0]);
+    await db.addHighlight({
+      id: 'keep', bookAsin: 'B001', text: PASSAGE, note: 'Core idea', tags: ['stoicism'],
+      timesShown: 2, lastShown: 1000
+    });
+    await db.addHighlight({
+      id: 'dupe', bookAsin: 'B001', text: 'You have power over your mind, not outside events.',
+      note: 'Reread often', tags: ['stoicism', 'mind'], timesShown: 3, lastShown: 5000, starred: true
+    });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should combine review history, notes and tags into the kept highlight', async () => {
+    const merged = await db.mergeHighlights('keep', ['keep', 'dupe']);
+
+    expect(merged).toMatchObject({
+      text: PASSAGE,
+      timesShown: 5,
+      lastShown: 5000,
+      note: 'Core idea\n\nReread often',
+      tags: ['stoicism', 'mind'],
+      starred: true
+    });
+    expect(await db.getHighlight('dupe')).toBeUndefined();
+    expect((await db.getTrash())[0]).toMatchObject({ id: 'dupe', reason: 'merged' });
+    expect(await db.getTombstoneIds('B001')).toEqual(new Set(['dupe']));
+  });
+
+  test('should put the kept highlight in the duplicates\' places in collections', async () => {
+    const collection = await db.createCollection('Mind');
+    await db.addHighlight({ id: 'other', bookAsin: 'B001', text: 'Waste no more time arguing.' });
+    await db.addToCollection(collection.id, ['other', 'dupe']);
+
+    await db.mergeHighlights('keep', ['keep', 'dupe']);
+
+    expect((await db.getCollection(collection.id)).highlightIds).toEqual(['other', 'keep']);
+  });
+
+  test('should undo a merge in one step, bringing the duplicates back', async () => {
+    const collection = await db.createCollection('Mind');
+    await db.addToCollection(collection.id, ['dupe']);
+    await db.mergeHighlights('keep', ['keep', 'dupe']);
+
+    const action = await db.getLastAction();
+    expect(action).toMatchObject({ label: 'Merge duplicates', highlightCount: 2 });
+
+    expect(await db.undoAction(action.id)).toEqual({ restored: 2, conflicts: 0 });
+    expect(await db.getHighlight('keep')).toMatchObject({ note: 'Core idea', tags: ['stoicism'] });
+    expect(await db.getHighlight('dupe')).toMatchObject({ note: 'Reread often' });
+    expect(await db.getTrash()).toEqual([]);
+    expect(await db.getTombstoneIds('B001')).toEqual(new Set());
+    expect((await db.getCollection(collection.id)).highlightIds).toContain('dupe');
+  });
+
+  test('should remember groups that are not duplicates', async () => {
+    await db.dismissDuplicates('dupe|keep');
+    expect(await db.getDismissedDuplicates()).toEqual(new Set(['dupe|keep']));
+  });
+});
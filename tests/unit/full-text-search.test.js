@@ -0,0 +1,127 @@
+// Unit tests for the full-text search index
+const { Database, SearchAnalyzer } = require('../../lib/database.js');
+const { SyncReconciler } = require('../../lib/sync-reconciler.js');
+
+describe('SearchAnalyzer', () => {
+  const analyzer = new SearchAnalyzer();
+
+  test('should stem English words with the Porter algorithm', () => {
+    const stems = ['caresses', 'ponies', 'hopping', 'relational', 'generalizations', 'meditations', 'happy']
+      .map(word => analyzer.stem(word));
+    expect(stems).toEqual(['caress', 'poni', 'hop', 'relat', 'gener', 'medit', 'happi']);
+  });
+
+  test('should drop stop words and fold accents', () => {
+    expect(analyzer.analyze('The Café and the Habits of Mind')).toEqual(['cafe', 'habit', 'mind']);
+  });
+
+  test('should mark matched words and escape the rest', () => {
+    const html = analyzer.markMatches('Habits <b>form</b> habit loops', ['habit']);
+    expect(html).toBe('<mark>Habits</mark> &lt;b&gt;form&lt;/b&gt; <mark>habit</mark> loops');
+  });
+});
+
+describe('Database full-text search', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook({ asin: 'B001', title: 'Atomic Habits', author: 'James Clear' });
+    await db.addBook({ asin: 'B002', title: 'Meditations', author: 'Marcus Aurelius' });
+
+    await db.addHighlight({
+      id: 'h1', bookAsin: 'B001', note: '', tags: [],
+      text: 'Habits are the compound interest of self-improvement. Good habits make time your ally.'
+    });
+    await db.addHighlight({
+      id: 'h2', bookAsin: 'B001', note: 'about habit stacking', tags: [],
+      text: 'You do not rise to the level of your goals.'
+    });
+    await db.addHighlight({
+      id: 'h3', bookAsin: 'B002', note: '', tags: ['stoicism'],
+      text: 'You have power over your mind, not outside events.'
+    });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should rank results with BM25 across text, note and title', async () => {
+    const results = await db.searchHighlights('habits');
+
+    expect(results.map(h => h.id)).toEqual(['h1', 'h2']);
+    expect(results[0].searchScore).toBeGreaterThan(results[1].searchScore);
+    expect(results[0].matchedTerms).toContain('habit');
+  });
+
+  test('should require every query word and match prefixes', async () => {
+    expect((await db.searchHighlights('habit goals')).map(h => h.id)).toEqual(['h2']);
+    expect((await db.searchHighlights('medit')).map(h => h.id)).toEqual(['h3']);
+    expect((await db.searchHighlights('aurelius stoic')).map(h => h.id)).toEqual(['h3']);
+    expect(await db.searchHighlights('zebra')).toEqual([]);
+  });
+
+  test('should keep the index current on add, update and delete', async () => {
+    await db.searchHighlights('habits');
+
+    await db.addHighlight({ id: 'h4', bookAsin: 'B002', note: '', tags: [], text: 'Waste no more time arguing.' });
+    expect((await db.searchHighlights('arguing')).map(h => h.id)).toEqual(['h4']);
+
+    await db.updateHighlight('h4', { text: 'Be a good person instead.' });
+    expect(await db.searchHighlights('arguing')).toEqual([]);
+    expect((await db.searchHighlights('person')).map(h => h.id)).toEqual(['h4']);
+
+    await db.deleteHighlight('h4');
+    expect(await db.searchHighlights('person')).toEqual([]);
+
+    await db.renameTag('stoicism', 'philosophy');
+    expect((await db.searchHighlights('philosophy')).map(h => h.id)).toEqual(['h3']);
+
+    await db.updateBook('B002', { title: 'The Inner Citadel' });
+    expect((await db.searchHighlights('citadel')).map(h => h.id)).toEqual(['h3']);
+  });
+
+  test('should apply filters to ranked results', async () => {
+    expect((await db.searchHighlights('habit', { bookAsin: 'B001' })).map(h => h.id)).toEqual(['h1', 'h2']);
+    expect(await db.searchHighlights('habit', { bookAsin: 'B002' })).toEqual([]);
+    expect((await db.searchHighlights('mind', { tag: 'stoicism' })).map(h => h.id)).toEqual(['h3']);
+  });
+
+  test('should match queries made only of stop words as plain text', async () => {
+    expect((await db.searchHighlights('the')).map(h => h.id).sort()).toEqual(['h1', 'h2']);
+    expect((await db.searchHighlights('to the')).map(h => h.id)).toEqual(['h2']);
+    expect(await db.searchHighlights('the', { bookAsin: 'B002' })).toEqual([]);
+  });
+
+  test('should index a synced book in one batch', async () => {
+    await db.searchHighlights('habits');
+    const updateSearchIndex = jest.spyOn(db, 'updateSearchIndex');
+
+    await new SyncReconciler(db).reconcileBook('B002', [
+      { id: 'h3', bookAsin: 'B002', text: 'You have power over your mind, not outside events.', note: 'Calm' },
+      { id: 'h4', bookAsin: 'B002', text: 'Waste no more time arguing.' },
+      { id: 'h5', bookAsin: 'B002', text: 'Very little is needed to make a happy life.' }
+    ]);
+
+    expect(updateSearchIndex).toHaveBeenCalledTimes(1);
+    expect((await db.searchHighlights('calm')).map(h => h.id)).toEqual(['h3']);
+    expect((await db.searchHighlights('arguing happy')).map(h => h.id)).toEqual([]);
+    expect((await db.searchHighlights('happy')).map(h => h.id)).toEqual(['h5']);
+  });
+
+  test('should rebuild the same index from scratch', async () => {
+    await db.searchHighlights('habits');
+    const incremental = await db.performOperation('search_index', store => store.get('habit'));
+
+    expect(await db.rebuildSearchIndex()).toBe(3);
+    const rebuilt = await db.performOperation('search_index', store => store.get('habit'));
+
+    expect(rebuilt).toEqual(incremental);
+  });
+});
@@ -0,0 +1,105 @@
+// Unit tests for HighlightSelector diversity constraints
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function highlight(id, bookAsin, extra = {}) {
+  return { id, bookAsin, text: `Passage ${id}`, dateHighlighted: 1000, ...extra };
+}
+
+describe('HighlightSelector diversity constraints', () => {
+  let selector;
+
+  beforeEach(() => {
+    selector = new HighlightSelector(null, new ReviewScheduler(null));
+  });
+
+  // Ranked best first: three from book A, then B and C
+  const ranked = [
+    highlight('a1', 'A'),
+    highlight('a2', 'A'),
+    highlight('a3', 'A'),
+    highlight('b1', 'B'),
+    highlight('c1', 'C')
+  ];
+
+  test('should leave selection alone when no constraints are set', () => {
+    const constraints = selector.getDiversityConstraints({});
+    const selected = selector.applyDiversityConstraints(ranked, 3, constraints, new Map());
+
+    expect(constraints.active).toBe(false);
+    expect(selected.map(h => h.id)).toEqual(['a1', 'a2', 'a3']);
+  });
+
+  test('should cap highlights per book and record what was displaced', () => {
+    const constraints = selector.getDiversityConstraints({ maxHighlightsPerBook: 2 });
+    const selected = selector.applyDiversityConstraints(ranked, 3, constraints, new Map());
+
+    expect(selected.map(h => h.id)).toEqual(['a1', 'a2', 'b1']);
+    expect(selected[2].displacedHighlights).toEqual([{ id: 'a3', bookAsin: 'A', reason: 'per-book' }]);
+
+    const { reasons } = selector.explainSelection(selected[2], {
+      highlightSelectionMode: 'random',
+      maxHighlightsPerBook: 2
+    });
+    expect(reasons).toContain('Chosen over a higher-ranked highlight from A (at most 2 per book in one email)');
+
+    const books = new Map([['A', { asin: 'A', title: 'Antifragile' }]]);
+    const named = selector.explainSelection(selected[2], { highlightSelectionMode: 'random', maxHighlightsPerBook: 2 }, books);
+    expect(named.reasons).toContain('Chosen over a higher-ranked highlight from Antifragile (at most 2 per book in one email)');
+  });
+
+  test('should skip books emailed within the cooldown', () => {
+    const now = Date.now();
+    const lastEmailed = new Map([['A', now - 2 * DAY], ['B', now - 10 * DAY]]);
+    const constraints = selector.getDiversityConstraints({ bookCooldownDays: 7 });
+
+    const selected = selector.applyDiversityConstraints(ranked, 2, constraints, lastEmailed, now);
+
+    expect(selected.map(h => h.id)).toEqual(['b1', 'c1']);
+    expect(selected[0].displacedHighlights.map(d => d.reason)).toEqual(['cooldown', 'cooldown', 'cooldown']);
+  });
+
+  test('should relax constraints rather than send a short email', () => {
+    const constraints = selector.getDiversityConstraints({ maxHighlightsPerBook: 1, bookCooldownDays: 7 });
+    const lastEmailed = new Map([['C', Date.now()]]);
+
+    const selected = selector.applyDiversityConstraints(ranked, 4, constraints, lastEmailed);
+
+    expect(selected.map(h => h.id)).toEqual(['a1', 'b1', 'c1', 'a2']);
+    expect(selected[2].relaxedConstraints).toEqual(['cooldown']);
+    expect(selected[3].relaxedConstraints).toEqual(['per-book']);
+    expect(selected[1].displacedHighlights).toEqual([{ id: 'a3', bookAsin: 'A', reason: 'per-book' }]);
+  });
+
+  test('should interleave books', () => {
+    const constraints = selector.getDiversityConstraints({ maxHighlightsPerBook: 2, interleaveBooks: true });
+    const selected = selector.applyDiversityConstraints(ranked, 4, constraints, new Map());
+
+    expect(selected.map(h => h.id)).toEqual(['a1', 'b1', 'c1', 'a2']);
+  });
+
+  test('should apply the constraints to every algorithm', async () => {
+    const highlights = [
+      ...['a1', 'a2', 'a3', 'a4'].map(id => highlight(id, 'A')),
+      highlight('b1', 'B'),
+      highlight('c1', 'C')
+    ];
+    const database = {
+      init: jest.fn().mockResolvedValue(),
+      getAllHighlights: jest.fn().mockResolvedValue(highlights)
+    };
+    selector = new HighlightSelector(database, new ReviewScheduler(database));
+
+    const algorithms = ['spaced-repetition', 'random', 'oldest-first', 'newest-first', 'most-highlighted', 'weighted-smart'];
+    for (const algorithm of algorithms) {
+      const result = await selector.selectHighlights(3, {
+        highlightSelectionMode: algorithm,
+        maxHighlightsPerBook: 1
+      });
+
+      expect(new Set(result.highlights.map(h => h.bookAsin)).size).toBe(3);
+    }
+  });
+});
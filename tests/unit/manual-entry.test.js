@@ -0,0 +1,77 @@
+// Unit tests for highlights added by hand
+const { Database } = require('../../lib/database.js');
+const { SyncReconciler } = require('../../lib/sync-reconciler.js');
+const { DataValidator } = require('../../lib/data-validator.js');
+
+describe('Manual entry', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    await db.addBook({ asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should create a book for a title it has not seen', async () => {
+    const { book, highlight } = await db.addManualHighlight({
+      title: ' The Paper Book ', author: 'Ann Writer', text: 'Ink on paper lasts.',
+      page: 42, note: 'Underlined twice', tags: ['print', ' print ', ''], color: 'blue'
+    });
+
+    expect(book).toMatchObject({ asin: expect.stringMatching(/^manual_/), title: 'The Paper Book', source: 'manual' });
+    expect(highlight).toMatchObject({
+      id: expect.stringMatching(/^manual_/),
+      bookAsin: book.asin,
+      location: 'Page 42',
+      page: '42',
+      note: 'Underlined twice',
+      tags: ['print'],
+      color: 'blue',
+      source: 'manual'
+    });
+    expect((await db.searchHighlights('ink')).map(h => h.id)).toEqual([highlight.id]);
+  });
+
+  test('should reuse a stored book with the same title and author', async () => {
+    const first = await db.addManualHighlight({ title: 'meditations', author: 'marcus aurelius', text: 'Be one.' });
+    const second = await db.addManualHighlight({ title: 'Notes', text: 'A note to self.' });
+    const third = await db.addManualHighlight({ title: 'Notes', author: '', text: 'Another.' });
+
+    expect(first.book.asin).toBe('B001');
+    expect(second.book.author).toBe('Unknown Author');
+    expect(third.book.asin).toBe(second.book.asin);
+    expect(await db.getAllBooks()).toHaveLength(2);
+  });
+
+  test('should reject entries without a title or text', async () => {
+    await expect(db.addManualHighlight({ title: 'Notes', text: '  ' })).rejects.toThrow('Highlight text cannot be empty');
+    await expect(db.addManualHighlight({ title: '', text: 'Something' })).rejects.toThrow('Book title cannot be empty');
+  });
+
+  test('should be left alone by sync', async () => {
+    const { highlight } = await db.addManualHighlight({ title: 'Meditations', author: 'Marcus Aurelius', text: 'Written on paper.' });
+    const reconciler = new SyncReconciler(db);
+
+    const result = await reconciler.reconcileBook('B001', [
+      { id: 'highlight_B001_1', bookAsin: 'B001', text: 'From Kindle.', location: 'Location: 1', note: '', tags: [] }
+    ]);
+
+    expect(result.removed).toBe(0);
+    expect((await db.getHighlight(highlight.id)).removedUpstream).toBeUndefined();
+  });
+
+  test('should pass validation with a non-Amazon book identifier', async () => {
+    const validator = new DataValidator();
+    const { book, highlight } = await db.addManualHighlight({ title: 'Notes', text: 'A note to self.', page: '3' });
+
+    expect(validator.validate(book, 'book').errors).toEqual([]);
+    expect(validator.validate(highlight, 'highlight').errors).toEqual([]);
+  });
+});
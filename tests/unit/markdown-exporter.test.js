@@ -0,0 +1,140 @@
+// Unit tests for MarkdownExporter and ZipWriter
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+const { MarkdownExporter } = require('../../lib/markdown-exporter.js');
+const { ZipWriter } = require('../../lib/zip-writer.js');
+const { Database } = require('../../lib/database.js');
+
+// Read back the names and contents of a stored-only zip
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let offset = 0;
+
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const nameStart = offset + 30;
+    const dataStart = nameStart + nameLength;
+    entries.push({
+      name: decoder.decode(bytes.slice(nameStart, dataStart)),
+      content: decoder.decode(bytes.slice(dataStart, dataStart + size)),
+      crc: view.getUint32(offset + 14, true)
+    });
+    offset = dataStart + size;
+  }
+
+  return entries;
+}
+
+describe('MarkdownExporter', () => {
+  let db;
+  let exporter;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    exporter = new MarkdownExporter(db, ZipWriter);
+
+    await db.addBook({
+      asin: 'B001',
+      title: 'Meditations: A New Translation',
+      author: 'Marcus Aurelius',
+      lastUpdated: Date.UTC(2024, 0, 15)
+    });
+    await db.addHighlight({
+      id: 'B001_abc123',
+      bookAsin: 'B001',
+      text: 'You have power over your mind.',
+      location: 'Location: 200',
+      page: 'loc:200',
+      color: 'yellow',
+      note: 'Start of book two',
+      tags: ['stoicism', 'mind set']
+    });
+    await db.addHighlight({
+      id: 'B001_def456',
+      bookAsin: 'B001',
+      text: 'Waste no more time arguing.',
+      location: 'Location: 50',
+      page: 'loc:50',
+      color: 'blue'
+    });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should render front matter and highlights in reading order', async () => {
+    const { data } = await db.exportAllData();
+    const [note] = exporter.buildNotes(data.books, data.highlights);
+
+    expect(note.fileName).toBe('Meditations A New Translation.md');
+    expect(note.content.startsWith([
+      '---',
+      'title: "Meditations: A New Translation"',
+      'author: "Marcus Aurelius"',
+      'asin: "B001"',
+      'highlight_count: 2',
+      'last_synced: 2024-01-15T00:00:00.000Z',
+      '---'
+    ].join('\n'))).toBe(true);
+
+    const body = note.content.split('## Highlights')[1];
+    expect(body.indexOf('Waste no more time')).toBeLessThan(body.indexOf('You have power'));
+    expect(note.content).toContain('- You have power over your mind. ^B001-abc123');
+    expect(note.content).toContain('  - Location: 200 · Yellow');
+    expect(note.content).toContain('  - Note: Start of book two');
+    expect(note.content).toContain('  - Tags: #stoicism #mind-set');
+  });
+
+  test('should keep block IDs and file names stable across exports', async () => {
+    const first = readZip((await exporter.exportZip()).zip);
+    const second = readZip((await exporter.exportZip()).zip);
+
+    expect(first.map(e => e.name)).toEqual(['Meditations A New Translation.md']);
+    expect(second.map(e => e.name)).toEqual(first.map(e => e.name));
+    expect(second[0].content).toBe(first[0].content);
+  });
+
+  test('should skip books without highlights and disambiguate equal titles', () => {
+    const books = [
+      { asin: 'B001', title: 'Notes' },
+      { asin: 'B002', title: 'Notes' },
+      { asin: 'B003', title: 'Empty' }
+    ];
+    const highlights = [
+      { id: 'h1', bookAsin: 'B001', text: 'One' },
+      { id: 'h2', bookAsin: 'B002', text: 'Two' },
+      { id: 'h3', bookAsin: 'B003', text: 'Gone', removedUpstream: true }
+    ];
+
+    const notes = exporter.buildNotes(books, highlights);
+
+    expect(notes.map(n => n.fileName)).toEqual(['Notes.md', 'Notes (B002).md']);
+  });
+});
+
+describe('ZipWriter', () => {
+  test('should write stored entries with UTF-8 names and CRC-32', () => {
+    const zip = new ZipWriter();
+    zip.addFile('hello.txt', 'hello');
+    zip.addFile('café.md', 'naïve');
+
+    const bytes = zip.generate();
+    const entries = readZip(bytes);
+    const view = new DataView(bytes.buffer);
+
+    expect(entries.map(e => e.name)).toEqual(['hello.txt', 'café.md']);
+    expect(entries[0].crc).toBe(0x3610a686);
+    expect(entries[1].content).toBe('naïve');
+    expect(view.getUint32(bytes.length - 22, true)).toBe(0x06054b50);
+    expect(view.getUint16(bytes.length - 22 + 10, true)).toBe(2);
+  });
+});
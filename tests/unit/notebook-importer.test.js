@@ -0,0 +1,174 @@
+// Unit tests for NotebookImporter
+const fs = require('fs');
+const path = require('path');
+const { NotebookImporter } = require('../../lib/notebook-importer.js');
+const { Database } = require('../../lib/database.js');
+const { KindleParser } = require('../../content-scripts/parser.js');
+const { amazonRegions } = require('../../lib/amazon-regions.js');
+
+function annotationRow(color, location, text, note = '') {
+  return `
+    <div class="a-row a-spacing-base">
+      <div class="a-row">
+        <input type="hidden" value="${location}" id="kp-annotation-location">
+        <span id="annotationHighlightHeader">${color} highlight | Location:&nbsp;${location}</span>
+      </div>
+      <div class="a-row kp-notebook-highlight kp-notebook-highlight-${color.toLowerCase()}">
+        <span id="highlight" class="a-size-base-plus a-color-base">${text}</span>
+      </div>
+      <div class="a-row kp-notebook-note${note ? '' : ' aok-hidden'}">
+        <span id="note-label">Note:</span><span id="note">${note}</span>
+      </div>
+    </div>`;
+}
+
+function notebookPage({ nextPageStart = '' } = {}) {
+  return `<html><body>
+    <div id="kp-notebook-library">
+      <div id="B00TEST123" class="a-row kp-notebook-library-each-book">
+        <img class="kp-notebook-cover-image" src="https://m.media-amazon.com/images/I/cover._SY160.jpg">
+        <h2 class="kp-notebook-searchable a-text-bold">The Test Book</h2>
+        <p class="kp-notebook-searchable">By: Jane Author</p>
+      </div>
+    </div>
+    <input type="hidden" value="B00TEST123" id="kp-notebook-annotations-asin">
+    <h3 class="kp-notebook-metadata">The Test Book</h3>
+    <div id="kp-notebook-annotations" class="a-row">
+      <input type="hidden" class="kp-notebook-annotations-next-page-start" value="${nextPageStart}">
+      ${annotationRow('Yellow', 142, 'The first highlighted passage of the book.')}
+      ${annotationRow('Blue', 301, 'A second passage that has a note.', 'Worth remembering')}
+    </div>
+  </body></html>`;
+}
+
+describe('NotebookImporter', () => {
+  let db;
+  let parser;
+  let importer;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    parser = new KindleParser();
+    importer = new NotebookImporter(db, parser, amazonRegions);
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  describe('Parsing', () => {
+    test('should read the open book and its annotation rows', () => {
+      const { book, highlights, truncated, errors } = importer.parseNotebookHtml(notebookPage());
+
+      expect(errors).toEqual([]);
+      expect(truncated).toBe(false);
+      expect(book.asin).toBe('B00TEST123');
+      expect(book.title).toBe('The Test Book');
+      expect(book.sourceElement).toBeUndefined();
+
+      expect(highlights).toHaveLength(2);
+      expect(highlights[0].location).toBe('Location: 142');
+      expect(highlights[0].page).toBe('loc:142');
+      expect(highlights[0].color).toBe('yellow');
+      expect(highlights[0].note).toBe('');
+      expect(highlights[1].color).toBe('blue');
+      expect(highlights[1].note).toBe('Worth remembering');
+      expect(highlights[1].id).toBe(parser.generateHighlightId(highlights[1].text, 'B00TEST123'));
+    });
+
+    test('should namespace books saved from a regional notebook site', () => {
+      const html = '<!-- saved from url=(0035)https://read.amazon.co.uk/notebook -->\n' + notebookPage();
+      const { book, highlights } = importer.parseNotebookHtml(html);
+
+      expect(book.asin).toBe('uk:B00TEST123');
+      expect(book.region).toBe('uk');
+      expect(highlights[0].bookAsin).toBe('uk:B00TEST123');
+    });
+
+    test('should flag pages saved before every highlight was loaded', () => {
+      const { truncated } = importer.parseNotebookHtml(notebookPage({ nextPageStart: '2' }));
+      expect(truncated).toBe(true);
+    });
+
+    test('should reject pages without an open book', () => {
+      const { book, errors } = importer.parseNotebookHtml('<html><body><p>Sign in</p></body></html>');
+
+      expect(book).toBeNull();
+      expect(errors).toHaveLength(1);
+    });
+
+    test('should parse the saved notebook page in the repository', () => {
+      const html = fs.readFileSync(
+        path.join(__dirname, '../../Kindle_ Your Notes and Highlights.html'),
+        'utf8'
+      );
+      const { book, highlights, truncated } = importer.parseNotebookHtml(html);
+
+      expect(book.asin).toBe('B086J7X4GV');
+      expect(book.title).toContain('Zen Mind');
+      expect(truncated).toBe(false);
+      expect(highlights).toHaveLength(135);
+      expect(highlights.filter(h => h.note)).toHaveLength(2);
+      expect(highlights.every(h => h.page.startsWith('loc:'))).toBe(true);
+    });
+  });
+
+  describe('Import', () => {
+    test('should store the book and its highlights', async () => {
+      const result = await importer.importNotebookFiles([{ name: 'book.html', text: notebookPage() }]);
+
+      expect(result.files).toBe(1);
+      expect(result.books.imported).toBe(1);
+      expect(result.highlights.imported).toBe(2);
+
+      const book = await db.getBook('B00TEST123');
+      expect(book.title).toBe('The Test Book');
+      expect(await db.getHighlightsByBook('B00TEST123')).toHaveLength(2);
+    });
+
+    test('should keep review history when merging into existing highlights', async () => {
+      await importer.importNotebookFiles([{ name: 'book.html', text: notebookPage() }]);
+
+      const id = parser.generateHighlightId('A second passage that has a note.', 'B00TEST123');
+      await db.updateHighlight(id, { timesShown: 4, note: '' });
+
+      const result = await importer.importNotebookFiles([{ name: 'book.html', text: notebookPage() }]);
+
+      expect(result.books.matched).toBe(1);
+      expect(result.highlights.updated).toBe(1);
+      expect(result.highlights.skipped).toBe(1);
+
+      const highlight = await db.getHighlight(id);
+      expect(highlight.timesShown).toBe(4);
+      expect(highlight.note).toBe('Worth remembering');
+    });
+
+    test('should not bring back highlights the user deleted', async () => {
+      await importer.importNotebookFiles([{ name: 'book.html', text: notebookPage() }]);
+      const id = parser.generateHighlightId('The first highlighted passage of the book.', 'B00TEST123');
+      await db.deleteHighlight(id);
+
+      const result = await importer.importNotebookFiles([{ name: 'book.html', text: notebookPage() }]);
+
+      expect(result.highlights).toMatchObject({ imported: 0, skipped: 2 });
+      expect(await db.getHighlight(id)).toBeFalsy();
+      expect(await db.getHighlightsByBook('B00TEST123')).toHaveLength(1);
+    });
+
+    test('should report files that are not notebook pages and continue', async () => {
+      const result = await importer.importNotebookFiles([
+        { name: 'login.html', text: '<html><body></body></html>' },
+        { name: 'book.html', text: notebookPage({ nextPageStart: '2' }) }
+      ]);
+
+      expect(result.files).toBe(1);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toContain('login.html');
+      expect(result.truncatedBooks).toEqual(['The Test Book']);
+    });
+  });
+});
@@ -82,6 +82,28 @@ describe('KindleParser', () => {
       expect(book.asin).toBeTruthy(); // Should generate pseudo-ASIN
     });
 
+    test('should extract the last annotated date from the library sidebar', () => {
+      document.body.innerHTML = `
+        <div id="B086J7X4GV" class="kp-notebook-library-each-book">
+          <h2 class="kp-notebook-searchable">Zen Mind, Beginner's Mind</h2>
+          <p class="kp-notebook-searchable">By: Shunryu Suzuki</p>
+          <input type="hidden" value="Monday July 21, 2025" id="kp-notebook-annotated-date-B086J7X4GV">
+        </div>
+      `;
+
+      const book = parser.extractBookInfo(document.querySelector('#B086J7X4GV'));
+
+      expect(book.lastAnnotated).toBe(new Date(2025, 6, 21).getTime());
+    });
+
+    test('should leave the last annotated date empty when the sidebar has none', () => {
+      document.body.innerHTML = '<div class="book-container"><h2>Title Only Book</h2></div>';
+
+      const book = parser.extractBookInfo(document.querySelector('.book-container'));
+
+      expect(book.lastAnnotated).toBeNull();
+    });
+
     test('should return null for element without title', () => {
       document.body.innerHTML = '<div class="book-container">No title here</div>';
 
@@ -207,6 +229,22 @@ describe('KindleParser', () => {
     });
   });
 
+  describe('Localized Locations and Dates', () => {
+    test('should extract localized page and location labels', () => {
+      expect(parser.extractPageNumber('Seite: 42')).toBe('42');
+      expect(parser.extractPageNumber('12 ページ')).toBe('12');
+      expect(parser.extractPageNumber('Position: 1234')).toBe('loc:1234');
+      expect(parser.extractPageNumber('位置: 142')).toBe('loc:142');
+      expect(parser.extractPageNumber('位置No. 45')).toBe('loc:45');
+    });
+
+    test('should parse dates written by regional notebook sites', () => {
+      expect(parser.parseDate('Montag, 21. Juli 2025')).toBe(new Date(2025, 6, 21).getTime());
+      expect(parser.parseDate('2025年7月21日 月曜日')).toBe(new Date(2025, 6, 21).getTime());
+      expect(parser.parseDate('lundi 21 juillet 2025')).toBe(new Date(2025, 6, 21).getTime());
+    });
+  });
+
   describe('Tag Extraction', () => {
     test('should extract tags from text content', () => {
       const text = 'This is an important concept to remember';
@@ -246,6 +284,17 @@ describe('KindleParser', () => {
       expect(id1).not.toBe(id2);
     });
 
+    test('should keep the ASCII-based ID for text with a word in another script', () => {
+      const bookAsin = 'B123456789';
+      const text = 'The Greeks called it λόγος, the principle of order.';
+      const asciiOnly = 'thegreekscalledittheprincipleoforder';
+
+      expect(parser.generateHighlightId(text, bookAsin))
+        .toBe(`highlight_${bookAsin}_${parser.simpleHash(asciiOnly + bookAsin)}`);
+      expect(parser.generateHighlightId('吾輩は猫である。', bookAsin))
+        .not.toBe(parser.generateHighlightId('名前はまだ無い。', bookAsin));
+    });
+
     test('should generate consistent pseudo-ASINs', () => {
       const title = 'Test Book Title';
       
@@ -0,0 +1,137 @@
+// Unit tests for the structured search query language
+const { Database, QueryParser, SearchAnalyzer } = require('../../lib/database.js');
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+
+describe('QueryParser', () => {
+  const parser = new QueryParser(new SearchAnalyzer());
+
+  test('should parse fields, quoted values, comparisons and negation', () => {
+    const tree = parser.parse('author:"Nassim Taleb" tag:risk -tag:quote has:note shown:>3 fragile');
+
+    expect(tree).toEqual({
+      type: 'and',
+      clauses: [
+        { type: 'field', field: 'author', op: ':', value: 'Nassim Taleb' },
+        { type: 'field', field: 'tag', op: ':', value: 'risk' },
+        { type: 'not', clause: { type: 'field', field: 'tag', op: ':', value: 'quote' } },
+        { type: 'field', field: 'has', op: '=', value: 'note' },
+        { type: 'field', field: 'shown', op: '>', value: 3 },
+        { type: 'text', value: 'fragile', phrase: false }
+      ]
+    });
+    expect(parser.parse('   ')).toBeNull();
+  });
+
+  test('should turn dates into ranges that leave out the named period', () => {
+    const [before, after] = parser.parse('before:2023-01-01 after:2022-12').clauses;
+
+    expect(before).toEqual({ type: 'field', field: 'date', op: '<', value: new Date(2023, 0, 1).getTime() });
+    expect(after).toEqual({ type: 'field', field: 'date', op: '>=', value: new Date(2023, 0, 1).getTime() });
+  });
+
+  test('should report syntax errors with their position', () => {
+    const errorFor = query => {
+      try {
+        parser.parse(query);
+      } catch (error) {
+        return { message: error.message, position: error.position };
+      }
+      return null;
+    };
+
+    expect(errorFor('risk auther:Taleb')).toMatchObject({ message: expect.stringContaining('Unknown field "auther:"'), position: 5 });
+    expect(errorFor('tag: risk')).toEqual({ message: 'Expected a value after "tag:"', position: 0 });
+    expect(errorFor('author:"Taleb')).toEqual({ message: 'Unterminated quote', position: 7 });
+    expect(errorFor('before:2023-13-01').message).toContain('expects a date');
+    expect(errorFor('shown:lots').message).toContain('expects a number');
+    expect(errorFor('has:pages').message).toContain('expects note, tags, location');
+  });
+
+  test('should keep phrases as filters and hand bare words to ranking', () => {
+    const tree = parser.parse('"compound interest" habits -fragile');
+
+    expect(parser.freeText(tree)).toBe('compound interest habits');
+    expect(parser.withoutFreeText(tree).clauses).toEqual([
+      { type: 'text', value: 'compound interest', phrase: true },
+      { type: 'not', clause: { type: 'text', value: 'fragile', phrase: false } }
+    ]);
+  });
+});
+
+describe('Structured search', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook({ asin: 'B00ABC1234', title: 'Antifragile', author: 'Nassim Nicholas Taleb' });
+    await db.addBook({ asin: 'B002', title: 'Meditations', author: 'Marcus Aurelius' });
+
+    await db.addHighlight({
+      id: 'h1', bookAsin: 'B00ABC1234', color: 'blue', note: 'Key idea', tags: ['risk'],
+      text: 'Wind extinguishes a candle and energizes fire.',
+      dateHighlighted: new Date(2022, 5, 1).getTime(), timesShown: 5
+    });
+    await db.addHighlight({
+      id: 'h2', bookAsin: 'B00ABC1234', color: 'yellow', note: '', tags: ['risk', 'quote'],
+      text: 'The fragile wants tranquility, the antifragile grows from disorder.',
+      dateHighlighted: new Date(2023, 2, 1).getTime(), timesShown: 1
+    });
+    await db.addHighlight({
+      id: 'h3', bookAsin: 'B002', color: 'blue', note: 'Calm', tags: [],
+      text: 'The impediment to action advances action.',
+      dateHighlighted: new Date(2021, 0, 1).getTime()
+    });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  const ids = highlights => highlights.map(h => h.id).sort();
+
+  test('should run the example query from the highlight manager', async () => {
+    const results = await db.searchHighlights('author:"Taleb" tag:risk color:blue has:note -tag:quote before:2023-01-01 book:B00ABC1234 shown:>3');
+    expect(ids(results)).toEqual(['h1']);
+  });
+
+  test('should combine ranked words with field filters', async () => {
+    expect(ids(await db.searchHighlights('fragile tag:risk'))).toEqual(['h2']);
+    expect(ids(await db.searchHighlights('action -has:note'))).toEqual([]);
+    expect(ids(await db.searchHighlights('color:blue'))).toEqual(['h1', 'h3']);
+    expect(ids(await db.searchHighlights('title:meditations'))).toEqual(['h3']);
+    expect(ids(await db.searchHighlights('after:2021 shown:<=1'))).toEqual(['h2']);
+    expect(ids(await db.searchHighlights('"energizes fire"'))).toEqual(['h1']);
+    expect(ids(await db.searchHighlights('"fire energizes"'))).toEqual([]);
+  });
+
+  test('should find suspended highlights so they can be unsuspended', async () => {
+    await db.updateHighlight('h2', { suspended: true });
+
+    expect(ids(await db.searchHighlights('is:suspended'))).toEqual(['h2']);
+    expect(ids(await db.searchHighlights('-is:suspended'))).toEqual(['h1', 'h3']);
+
+    await db.updateHighlight('h2', { suspended: false }, { label: 'Unsuspend highlight' });
+    expect(await db.searchHighlights('is:suspended')).toEqual([]);
+  });
+
+  test('should reject malformed queries', async () => {
+    await expect(db.searchHighlights('colour:blue')).rejects.toThrow('Unknown field');
+  });
+
+  test('should apply a selection rule when choosing highlights to send', async () => {
+    const selector = new HighlightSelector(db, new ReviewScheduler(db));
+    const result = await selector.selectHighlights(5, {
+      highlightSelectionMode: 'oldest-first',
+      selectionQuery: 'author:taleb -tag:quote'
+    });
+
+    expect(result.status).toBe('success');
+    expect(ids(result.highlights)).toEqual(['h1']);
+  });
+});
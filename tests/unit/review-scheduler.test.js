@@ -0,0 +1,156 @@
+// Unit tests for ReviewScheduler
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { Database } = require('../../lib/database.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2025, 0, 15, 9, 0).getTime();
+
+describe('ReviewScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new ReviewScheduler(null);
+  });
+
+  describe('Grading', () => {
+    test('should treat unscheduled highlights as new and due', () => {
+      expect(scheduler.isNew({})).toBe(true);
+      expect(scheduler.isDue({}, NOW)).toBe(true);
+      expect(scheduler.getSchedule({})).toEqual({
+        easeFactor: 2.5,
+        interval: 0,
+        repetitions: 0,
+        lapses: 0,
+        dueDate: null
+      });
+    });
+
+    test('should follow the SM-2 steps for successful reviews', () => {
+      let highlight = {};
+
+      highlight = { ...highlight, ...scheduler.applyGrade(highlight, 'good', NOW) };
+      expect(highlight.interval).toBe(1);
+      expect(highlight.dueDate).toBe(NOW + DAY);
+
+      highlight = { ...highlight, ...scheduler.applyGrade(highlight, 'good', NOW) };
+      expect(highlight.interval).toBe(6);
+
+      highlight = { ...highlight, ...scheduler.applyGrade(highlight, 'good', NOW) };
+      expect(highlight.interval).toBe(15);
+      expect(highlight.repetitions).toBe(3);
+      expect(highlight.easeFactor).toBe(2.5);
+      expect(highlight.lastGrade).toBe('good');
+    });
+
+    test('should reset the interval and count a lapse when forgotten', () => {
+      const highlight = { easeFactor: 2.5, interval: 30, repetitions: 4, lapses: 1, dueDate: NOW };
+      const updates = scheduler.applyGrade(highlight, 'again', NOW);
+
+      expect(updates.interval).toBe(1);
+      expect(updates.repetitions).toBe(0);
+      expect(updates.lapses).toBe(2);
+      expect(updates.easeFactor).toBe(2.3);
+    });
+
+    test('should adjust ease for hard and easy grades within bounds', () => {
+      const highlight = { easeFactor: 1.35, interval: 10, repetitions: 3, dueDate: NOW };
+
+      const hard = scheduler.applyGrade(highlight, 'hard', NOW);
+      expect(hard.easeFactor).toBe(1.3);
+      expect(hard.interval).toBe(12);
+
+      const easy = scheduler.applyGrade(highlight, 'easy', NOW);
+      expect(easy.easeFactor).toBe(1.5);
+      expect(easy.interval).toBe(Math.round(Math.round(10 * 1.35) * 1.3));
+    });
+
+    test('should reject unknown grades', () => {
+      expect(() => scheduler.applyGrade({}, 'perfect', NOW)).toThrow('Unknown review grade');
+    });
+
+    test('should only push back the due date for ungraded emails', () => {
+      const due = { easeFactor: 2.2, interval: 6, lapses: 1, dueDate: NOW - DAY };
+      expect(scheduler.deferUngraded(due, NOW)).toEqual({ interval: 6, dueDate: NOW + 6 * DAY });
+      expect(scheduler.deferUngraded({ ...due, dueDate: NOW + DAY }, NOW)).toEqual({});
+    });
+  });
+
+  describe('Stored reviews', () => {
+    let db;
+
+    beforeEach(async () => {
+      db = new Database();
+      await db.init();
+      scheduler = new ReviewScheduler(db);
+    });
+
+    afterEach(async () => {
+      await db.clearAllData();
+      db.close();
+    });
+
+    test('should save the new schedule on the highlight', async () => {
+      await db.addHighlight({ id: 'h1', bookAsin: 'B001', text: 'A passage', timesShown: 2 });
+
+      await scheduler.recordReview('h1', 'good', NOW);
+
+      const stored = await db.getHighlight('h1');
+      expect(stored.interval).toBe(1);
+      expect(stored.dueDate).toBe(NOW + DAY);
+      expect(stored.lastReviewed).toBe(NOW);
+      expect(stored.timesShown).toBe(2);
+    });
+
+    test('should count quiz results on the highlight', async () => {
+      await db.addHighlight({ id: 'h1', bookAsin: 'B001', text: 'A passage' });
+
+      await scheduler.recordReview('h1', 'good', NOW, { correct: 2, total: 2 });
+      await scheduler.recordReview('h1', 'again', NOW, { correct: 1, total: 2 });
+
+      const stored = await db.getHighlight('h1');
+      expect(stored.quizAttempts).toBe(2);
+      expect(stored.quizCorrect).toBe(1);
+
+      const selector = new HighlightSelector(db, scheduler);
+      const { stats } = await selector.getSelectionStats();
+      expect(stats.quizAttempts).toBe(2);
+      expect(stats.quizAccuracy).toBe(50);
+    });
+
+    test('should fail for unknown highlights', async () => {
+      await expect(scheduler.recordReview('missing', 'good')).rejects.toThrow('not found');
+    });
+
+    test('should select due highlights before ones scheduled for later', async () => {
+      const now = Date.now();
+      await db.addHighlight({ id: 'later', bookAsin: 'B001', text: 'Later', interval: 10, dueDate: now + 5 * DAY });
+      await db.addHighlight({ id: 'overdue', bookAsin: 'B001', text: 'Overdue', interval: 2, dueDate: now - 4 * DAY });
+      await db.addHighlight({ id: 'due', bookAsin: 'B001', text: 'Due', interval: 20, dueDate: now - DAY });
+      await db.addHighlight({ id: 'soon', bookAsin: 'B001', text: 'Soon', interval: 3, dueDate: now + DAY });
+
+      const selector = new HighlightSelector(db, scheduler);
+      const result = await selector.selectHighlights(3, { highlightSelectionMode: 'spaced-repetition' });
+
+      expect(result.highlights.map(h => h.id)).toEqual(['overdue', 'due', 'soon']);
+    });
+
+    test('should build a review queue of due highlights with their book and context', async () => {
+      const now = Date.now();
+      await db.addBook({ asin: 'B001', title: 'Test Book', author: 'Test Author' });
+      await db.addHighlight({ id: 'first', bookAsin: 'B001', text: 'First', page: 'loc:10' });
+      await db.addHighlight({ id: 'second', bookAsin: 'B001', text: 'Second', page: 'loc:20' });
+      await db.addHighlight({ id: 'third', bookAsin: 'B001', text: 'Third', page: 'loc:30', dueDate: now + DAY });
+      await db.addHighlight({ id: 'paused', bookAsin: 'B001', text: 'Paused', page: 'loc:40', suspended: true });
+
+      const selector = new HighlightSelector(db, scheduler);
+      const result = await selector.getReviewQueue(10);
+
+      expect(result.totalDue).toBe(2);
+      const second = result.queue.find(item => item.highlight.id === 'second');
+      expect(second.book.title).toBe('Test Book');
+      expect(second.context.before.text).toBe('First');
+      expect(second.context.after.text).toBe('Third');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// Unit tests for the review page
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const mockChrome = {
+  runtime: {
+    sendMessage: jest.fn()
+  }
+};
+
+global.chrome = mockChrome;
+global.ClozeGenerator = require('../../lib/cloze-generator.js').ClozeGenerator;
+
+function queueItem(id, text, extra = {}) {
+  return {
+    highlight: { id, text, location: 'Location: 10', note: '', tags: [], color: 'yellow', ...extra },
+    book: { asin: 'B001', title: 'Test Book', author: 'Test Author', coverUrl: '' },
+    context: { before: null, after: { text: 'The next passage', location: 'Location: 20' } }
+  };
+}
+
+describe('Review Controller', () => {
+  let ReviewController;
+  let controller;
+  let responses;
+
+  function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    responses = {
+      'get-review-queue': {
+        success: true,
+        data: { queue: [queueItem('h1', 'First passage'), queueItem('h2', 'Second passage')], totalDue: 3 }
+      }
+    };
+
+    mockChrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      if (message.action === 'review-highlight') {
+        callback({ success: true, data: { id: message.highlightId, lastGrade: message.grade } });
+      } else if (message.action === 'update-highlight') {
+        callback({ success: true, data: { id: message.highlightId, note: '', tags: [], ...message.updates } });
+      } else {
+        callback(responses[message.action]);
+      }
+    });
+
+    document.body.innerHTML = fs.readFileSync(
+      path.join(__dirname, '../../review/review.html'),
+      'utf8'
+    );
+
+    delete require.cache[require.resolve('../../review/review.js')];
+    ReviewController = require('../../review/review.js').ReviewController;
+
+    controller = new ReviewController();
+    await flush();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should show the first highlight of the queue', () => {
+    expect(controller.elements.card.classList.contains('visible')).toBe(true);
+    expect(controller.elements.text.textContent).toBe('First passage');
+    expect(controller.elements.bookTitle.textContent).toBe('Test Book');
+    expect(controller.elements.progressText.textContent).toBe('0 / 2');
+    expect(controller.elements.contextAfter.textContent).toContain('The next passage');
+  });
+
+  test('should write each grade back and advance', async () => {
+    await controller.gradeCurrent('good');
+
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      { action: 'review-highlight', highlightId: 'h1', grade: 'good' },
+      expect.any(Function)
+    );
+    expect(controller.elements.text.textContent).toBe('Second passage');
+    expect(controller.elements.progressText.textContent).toBe('1 / 2');
+  });
+
+  test('should ignore a second grade until the first is saved', async () => {
+    let respond;
+    mockChrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      respond = () => callback({ success: true, data: { id: message.highlightId, lastGrade: message.grade } });
+    });
+
+    const first = controller.gradeCurrent('good');
+    const second = controller.gradeCurrent('good');
+    expect(controller.elements.gradeButtons[0].disabled).toBe(true);
+
+    respond();
+    await Promise.all([first, second]);
+
+    const grades = mockChrome.runtime.sendMessage.mock.calls.filter(([message]) => message.action === 'review-highlight');
+    expect(grades).toHaveLength(1);
+    expect(controller.index).toBe(1);
+    expect(controller.elements.gradeButtons[0].disabled).toBe(false);
+  });
+
+  test('should save tags and notes for the current highlight', async () => {
+    controller.elements.tagInput.value = 'stoicism';
+    await controller.addTag();
+
+    controller.elements.noteInput.value = 'Reread this';
+    await controller.saveNote();
+
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      { action: 'update-highlight', highlightId: 'h1', updates: { tags: ['stoicism'] } },
+      expect.any(Function)
+    );
+    expect(controller.elements.tags.textContent).toBe('stoicism');
+    expect(controller.elements.note.textContent).toContain('Reread this');
+  });
+
+  test('should summarize the session when the queue is done', async () => {
+    await controller.gradeCurrent('again');
+    await controller.suspendCurrent();
+
+    expect(controller.elements.card.classList.contains('visible')).toBe(false);
+    expect(controller.elements.summary.classList.contains('visible')).toBe(true);
+    expect(controller.elements.summaryGrid.textContent).toContain('Suspended');
+    expect(controller.session.grades.again).toBe(1);
+    expect(controller.session.suspended).toBe(1);
+    expect(controller.elements.summaryRemaining.textContent).toContain('1 more highlight is due');
+  });
+
+  test('should quiz with cloze cards and send the result with the grade', async () => {
+    responses['get-review-queue'].data.queue[0].cloze = {
+      highlightId: 'h1',
+      prompt: 'First _____',
+      answers: ['passage']
+    };
+    controller.elements.quizToggle.checked = true;
+    controller.elements.quizToggle.dispatchEvent(new Event('change'));
+    await flush();
+
+    expect(controller.elements.text.textContent).toBe('First _____');
+    controller.elements.quizAnswers.querySelector('.quiz-answer').value = 'pasage';
+    controller.checkQuiz();
+
+    expect(controller.elements.text.textContent).toBe('First passage');
+    expect(controller.quizResult.grade).toBe('hard');
+    expect(document.querySelector('.grade-button.suggested').dataset.grade).toBe('hard');
+
+    await controller.gradeCurrent('hard');
+    expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(
+      { action: 'review-highlight', highlightId: 'h1', grade: 'hard', quiz: { correct: 1, total: 1 } },
+      expect.any(Function)
+    );
+    expect(controller.session.quizzesCorrect).toBe(1);
+  });
+
+  test('should show an empty state when nothing is due', async () => {
+    responses['get-review-queue'] = { success: true, data: { queue: [], totalDue: 0 } };
+    controller = new ReviewController();
+    await flush();
+
+    expect(controller.elements.empty.classList.contains('visible')).toBe(true);
+  });
+});
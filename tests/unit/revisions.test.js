@@ -0,0 +1,86 @@
+// Unit tests for the revision log and undo
+const { Database } = require('../../lib/database.js');
+
+describe('Revisions', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook({ asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' });
+    await db.addHighlight({ id: 'h1', bookAsin: 'B001', text: 'The obstacle is the way.', note: '', tags: ['stoicism'] });
+    await db.addHighlight({ id: 'h2', bookAsin: 'B001', text: 'Waste no more time arguing.', note: 'Daily', tags: [] });
+    await db.addHighlight({ id: 'h3', bookAsin: 'B001', text: 'Loss is nothing but change.', note: '', tags: [] });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should log each changed field with its source', async () => {
+    await db.updateHighlight('h1', { note: 'Key idea', tags: ['stoicism'], timesShown: 2 });
+    await db.updateHighlight('h1', { note: 'Key idea, revisited' }, { source: 'sync', label: 'Sync from Amazon' });
+
+    const history = await db.getHighlightHistory('h1');
+
+    expect(history.map(revision => [revision.field, revision.before, revision.after, revision.source])).toEqual([
+      ['note', 'Key idea', 'Key idea, revisited', 'sync'],
+      ['note', '', 'Key idea', 'user']
+    ]);
+    expect(history[0].date).toEqual(expect.any(Number));
+    expect(await db.getHighlightHistory('h2')).toEqual([]);
+  });
+
+  test('should undo a bulk tag action in one step', async () => {
+    await db.addTagsToHighlights(['h1', 'h2', 'h3'], ['review']);
+
+    const action = await db.getLastAction();
+    expect(action).toMatchObject({ label: 'Add tags review', highlightCount: 3 });
+
+    expect(await db.undoAction(action.id)).toEqual({ restored: 3, conflicts: 0 });
+    expect((await db.getHighlight('h1')).tags).toEqual(['stoicism']);
+    expect(await db.getHighlightsByTag('review')).toEqual([]);
+    expect(await db.getLastAction()).toBeNull();
+
+    const [undo] = await db.getHighlightHistory('h2');
+    expect(undo).toMatchObject({ source: 'undo', field: 'tags', before: ['review'], after: [] });
+  });
+
+  test('should keep later changes when undoing', async () => {
+    await db.addTagsToHighlights(['h1', 'h2'], ['review']);
+    const action = await db.getLastAction();
+    await db.updateHighlight('h2', { tags: ['review', 'later'] }, { source: 'sync' });
+
+    expect(await db.undoAction(action.id)).toEqual({ restored: 1, conflicts: 1 });
+    expect((await db.getHighlight('h1')).tags).toEqual(['stoicism']);
+    expect((await db.getHighlight('h2')).tags).toEqual(['review', 'later']);
+  });
+
+  test('should only offer user actions for undo', async () => {
+    await db.setStarred(['h3'], true);
+    await db.updateHighlight('h1', { note: 'From Amazon' }, { source: 'sync' });
+    await db.updateHighlight('h2', { timesShown: 1 });
+
+    expect(await db.getLastAction()).toMatchObject({ label: 'Star highlights', highlightCount: 1 });
+  });
+
+  test('should put back the previous tags after a rename', async () => {
+    await db.renameTag('stoicism', 'philosophy');
+    const action = await db.getLastAction();
+
+    await db.undoAction(action.id);
+    expect((await db.getHighlightsByTag('stoicism')).map(h => h.id)).toEqual(['h1']);
+    expect((await db.searchHighlights('tag:philosophy'))).toEqual([]);
+  });
+
+  test('should forget the history of purged highlights', async () => {
+    await db.updateHighlight('h3', { note: 'Gone soon' });
+    await db.purgeHighlights(['h3']);
+
+    expect(await db.getHighlightHistory('h3')).toEqual([]);
+  });
+});
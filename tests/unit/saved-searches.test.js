@@ -0,0 +1,107 @@
+// Unit tests for saved searches and smart collections
+const { Database } = require('../../lib/database.js');
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+
+describe('Saved searches', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook({ asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' });
+    await db.addBook({ asin: 'B002', title: 'Deep Work', author: 'Cal Newport' });
+
+    await db.addHighlight({ id: 'h1', bookAsin: 'B001', color: 'blue', note: 'Calm', tags: ['stoicism'], text: 'You have power over your mind.' });
+    await db.addHighlight({ id: 'h2', bookAsin: 'B001', color: 'yellow', note: '', tags: [], text: 'Waste no more time arguing.' });
+    await db.addHighlight({ id: 'h3', bookAsin: 'B002', color: 'blue', note: '', tags: ['focus'], text: 'Clarity about what matters.' });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should store a named query with its filters', async () => {
+    const saved = await db.saveSearch({ name: ' Stoicism ', query: 'has:note', filters: { bookAsin: 'B001' } });
+
+    expect(saved).toMatchObject({ name: 'Stoicism', query: 'has:note', filters: { bookAsin: 'B001' } });
+    expect(await db.getSavedSearch(saved.id)).toEqual(saved);
+    expect((await db.getSavedSearchHighlights(saved.id)).map(h => h.id)).toEqual(['h1']);
+  });
+
+  test('should update in place and keep names unique', async () => {
+    const saved = await db.saveSearch({ name: 'Blue', query: 'color:blue' });
+    const updated = await db.saveSearch({ ...saved, query: 'color:blue -tag:focus' });
+
+    expect(updated.id).toBe(saved.id);
+    expect(updated.dateCreated).toBe(saved.dateCreated);
+    expect(await db.getSavedSearches()).toHaveLength(1);
+
+    await expect(db.saveSearch({ name: 'blue', query: '' })).rejects.toThrow('A saved search named "Blue" already exists');
+    await expect(db.saveSearch({ name: '  ', query: 'focus' })).rejects.toThrow('name cannot be empty');
+    await expect(db.saveSearch({ name: 'Broken', query: 'colour:blue' })).rejects.toThrow('Unknown field');
+  });
+
+  test('should list smart collections by name with live counts', async () => {
+    await db.saveSearch({ name: 'Stoicism', query: 'author:aurelius' });
+    const blue = await db.saveSearch({ name: 'Blue', query: '', filters: { color: 'blue' } });
+
+    let collections = await db.getSmartCollections();
+    expect(collections.map(c => [c.name, c.count])).toEqual([['Blue', 2], ['Stoicism', 2]]);
+
+    await db.addHighlight({ id: 'h4', bookAsin: 'B001', color: 'blue', text: 'The impediment to action advances action.' });
+    collections = await db.getSmartCollections();
+    expect(collections.map(c => c.count)).toEqual([3, 3]);
+
+    await db.deleteSavedSearch(blue.id);
+    expect((await db.getSmartCollections()).map(c => c.name)).toEqual(['Stoicism']);
+  });
+
+  test('should carry saved searches through a backup', async () => {
+    await db.saveSearch({ name: 'Focus', query: 'tag:focus' });
+    const backup = await db.exportAllData();
+    await db.clearAllData();
+
+    expect(await db.getSavedSearches()).toEqual([]);
+
+    const results = await db.importData(backup);
+    expect(results.savedSearches).toEqual({ imported: 1, skipped: 0, errors: 0 });
+    expect((await db.getSavedSearches())[0]).toMatchObject({ name: 'Focus', query: 'tag:focus' });
+  });
+
+  test('should select email highlights from a smart collection only', async () => {
+    const selector = new HighlightSelector(db, new ReviewScheduler(db));
+    const stoicism = await db.saveSearch({ name: 'Stoicism', query: 'author:aurelius' });
+
+    const result = await selector.selectHighlights(5, {
+      highlightSelectionMode: 'random',
+      maxHighlightsPerBook: 0,
+      selectionCollection: stoicism.id
+    });
+
+    expect(result.status).toBe('success');
+    expect(result.highlights.map(h => h.id).sort()).toEqual(['h1', 'h2']);
+    expect(result.filteredCount).toBe(2);
+
+  });
+
+  test('should fall back to every highlight when the email search is gone', async () => {
+    const selector = new HighlightSelector(db, new ReviewScheduler(db));
+    const stoicism = await db.saveSearch({ name: 'Stoicism', query: 'author:aurelius' });
+    await db.deleteSavedSearch(stoicism.id);
+
+    const result = await selector.selectHighlights(5, {
+      highlightSelectionMode: 'random',
+      maxHighlightsPerBook: 0,
+      selectionCollection: stoicism.id
+    });
+
+    expect(result.status).toBe('success');
+    expect(result.highlights.map(h => h.id).sort()).toEqual(['h1', 'h2', 'h3']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('no longer exists'));
+  });
+});
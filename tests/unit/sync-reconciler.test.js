@@ -0,0 +1,215 @@
+// Unit tests for SyncReconciler
+const { SyncReconciler } = require('../../lib/sync-reconciler.js');
+const { Database } = require('../../lib/database.js');
+const { KindleParser } = require('../../content-scripts/parser.js');
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+
+const BOOK = { asin: 'B00TEST123', title: 'The Test Book', author: 'Jane Author' };
+
+describe('SyncReconciler', () => {
+  let db;
+  let parser;
+  let reconciler;
+
+  function scraped(text, location, note = '', color = 'yellow') {
+    return parser.createHighlightObject(text, BOOK, location, note, color, Date.now());
+  }
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+    parser = new KindleParser();
+    reconciler = new SyncReconciler(db);
+    await db.addBook(BOOK);
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should add highlights seen for the first time', async () => {
+    const result = await reconciler.reconcileBook(BOOK.asin, [
+      scraped('First passage', 'Location: 10'),
+      scraped('Second passage', 'Location: 20')
+    ]);
+
+    expect(result.added).toBe(2);
+    expect(await db.getHighlightsByBook(BOOK.asin)).toHaveLength(2);
+  });
+
+  test('should update changed notes and colors without losing review history', async () => {
+    const original = scraped('First passage', 'Location: 10', 'Old note');
+    await db.addHighlight({ ...original, timesShown: 5, lastShown: 1000 });
+
+    const result = await reconciler.reconcileBook(BOOK.asin, [
+      scraped('First passage', 'Location: 10', 'New note', 'blue')
+    ]);
+
+    expect(result.updated).toBe(1);
+    const stored = await db.getHighlight(original.id);
+    expect(stored.note).toBe('New note');
+    expect(stored.color).toBe('blue');
+    expect(stored.timesShown).toBe(5);
+    expect(stored.lastShown).toBe(1000);
+  });
+
+  test('should clear notes deleted on Amazon', async () => {
+    const original = scraped('First passage', 'Location: 10', 'A note');
+    await db.addHighlight(original);
+
+    await reconciler.reconcileBook(BOOK.asin, [scraped('First passage', 'Location: 10')]);
+
+    expect((await db.getHighlight(original.id)).note).toBe('');
+  });
+
+  test('should keep notes edited locally', async () => {
+    const original = scraped('First passage', 'Location: 10', 'Amazon note');
+    await db.addHighlight({ ...original, note: 'My own note', noteEditedLocally: true });
+
+    await reconciler.reconcileBook(BOOK.asin, [scraped('First passage', 'Location: 10', 'Amazon note', 'blue')]);
+
+    const stored = await db.getHighlight(original.id);
+    expect(stored.note).toBe('My own note');
+    expect(stored.color).toBe('blue');
+  });
+
+  test('should carry review history over to edited highlight text', async () => {
+    const original = scraped('A passage that was cut short', 'Location: 42');
+    await db.addHighlight({ ...original, timesShown: 3, lastShown: 2000 });
+
+    const edited = scraped('A passage that was cut short, now extended', 'Location: 42');
+    const result = await reconciler.reconcileBook(BOOK.asin, [edited]);
+
+    expect(result.edited).toBe(1);
+    expect(result.removed).toBe(0);
+    expect(await db.getHighlight(original.id)).toBeUndefined();
+
+    const stored = await db.getHighlight(edited.id);
+    expect(stored.text).toBe('A passage that was cut short, now extended');
+    expect(stored.timesShown).toBe(3);
+    expect(stored.lastShown).toBe(2000);
+  });
+
+  test('should keep stars and collection places on edited highlight text', async () => {
+    const before = scraped('The passage before', 'Location: 30');
+    const original = scraped('A starred passage', 'Location: 42');
+    await db.addHighlight(before);
+    await db.addHighlight(original);
+    await db.setStarred([original.id], true);
+    const { dateStarred } = await db.getHighlight(original.id);
+
+    const { id: collectionId } = await db.createCollection('Talk');
+    await db.addToCollection(collectionId, [original.id, before.id]);
+
+    const edited = scraped('A starred passage, now longer', 'Location: 42');
+    await reconciler.reconcileBook(BOOK.asin, [before, edited]);
+
+    expect(await db.getHighlight(edited.id)).toMatchObject({ starred: true, dateStarred });
+    expect((await db.getCollection(collectionId)).highlightIds).toEqual([edited.id, before.id]);
+  });
+
+  test('should keep edited highlights suspended and their local notes', async () => {
+    const original = scraped('A suspended passage', 'Location: 42', 'Amazon note');
+    await db.addHighlight({ ...original, suspended: true, note: 'My own note', noteEditedLocally: true });
+
+    const edited = scraped('A suspended passage, now longer', 'Location: 42', 'Amazon note');
+    await reconciler.reconcileBook(BOOK.asin, [edited]);
+
+    expect(await db.getHighlight(edited.id)).toMatchObject({
+      suspended: true,
+      note: 'My own note',
+      noteEditedLocally: true
+    });
+  });
+
+  test('should mark missing highlights as removed upstream and restore them if they return', async () => {
+    const kept = scraped('Kept passage', 'Location: 10');
+    const deleted = scraped('Deleted passage', 'Location: 20');
+    await db.addHighlight(kept);
+    await db.addHighlight(deleted);
+
+    const result = await reconciler.reconcileBook(BOOK.asin, [kept]);
+
+    expect(result.removed).toBe(1);
+    const removed = await db.getHighlight(deleted.id);
+    expect(removed.removedUpstream).toBe(true);
+    expect(removed.removedUpstreamAt).toBeTruthy();
+
+    const second = await reconciler.reconcileBook(BOOK.asin, [kept, deleted]);
+    expect(second.restored).toBe(1);
+    expect((await db.getHighlight(deleted.id)).removedUpstream).toBe(false);
+  });
+
+  test('should leave imported clippings and empty scrapes alone', async () => {
+    const clipping = { ...scraped('From the device only', 'Location 99'), source: 'clippings' };
+    const synced = scraped('Synced passage', 'Location: 10');
+    await db.addHighlight(clipping);
+    await db.addHighlight(synced);
+
+    const empty = await reconciler.reconcileBook(BOOK.asin, []);
+    expect(empty.removed).toBe(0);
+
+    await reconciler.reconcileBook(BOOK.asin, [scraped('Another passage', 'Location: 30')]);
+
+    expect((await db.getHighlight(clipping.id)).removedUpstream).toBeUndefined();
+    expect((await db.getHighlight(synced.id)).removedUpstream).toBe(true);
+  });
+
+  test('should report what changed for the sync history', async () => {
+    const noted = scraped('Noted passage', 'Location: 10', 'Old note');
+    const deleted = scraped('Deleted passage', 'Location: 20');
+    await db.addHighlight(noted);
+    await db.addHighlight(deleted);
+
+    const { changes } = await reconciler.reconcileBook(BOOK.asin, [
+      scraped('Noted passage', 'Location: 10', 'New note'),
+      scraped('Brand new passage', 'Location: 30')
+    ]);
+
+    expect(changes.added).toEqual([{ id: expect.any(String), text: 'Brand new passage', location: 'Location: 30' }]);
+    expect(changes.notesChanged).toHaveLength(1);
+    expect(changes.notesChanged[0].previousNote).toBe('Old note');
+    expect(changes.notesChanged[0].note).toBe('New note');
+    expect(changes.removed.map(h => h.id)).toEqual([deleted.id]);
+    expect(changes.edited).toHaveLength(0);
+  });
+
+  test('should keep removed highlights out of selection', async () => {
+    const kept = scraped('Kept passage', 'Location: 10');
+    await db.addHighlight(kept);
+    await db.addHighlight(scraped('Deleted passage', 'Location: 20'));
+    await reconciler.reconcileBook(BOOK.asin, [kept]);
+
+    const selector = new HighlightSelector(db, new ReviewScheduler(db));
+    const result = await selector.selectHighlights(5, { highlightSelectionMode: 'random' });
+
+    expect(result.highlights.map(h => h.id)).toEqual([kept.id]);
+  });
+
+  test('should not bring back highlights deleted locally', async () => {
+    const kept = scraped('Kept passage', 'Location: 10');
+    const unwanted = scraped('Unwanted passage', 'Location: 20');
+    await reconciler.reconcileBook(BOOK.asin, [kept, unwanted]);
+
+    await db.deleteHighlight(unwanted.id);
+    await db.emptyTrash();
+    const result = await reconciler.reconcileBook(BOOK.asin, [kept, unwanted]);
+
+    expect(result.skippedDeleted).toBe(1);
+    expect(result.added).toBe(0);
+    expect((await db.getHighlightsByBook(BOOK.asin)).map(h => h.id)).toEqual([kept.id]);
+  });
+
+  test('should not treat an edit on Amazon as a local delete', async () => {
+    const original = scraped('Original wording', 'Location: 10');
+    await db.addHighlight(original);
+    await reconciler.reconcileBook(BOOK.asin, [scraped('New wording', 'Location: 10')]);
+
+    expect(await db.getTrash()).toEqual([]);
+    expect((await db.getTombstoneIds(BOOK.asin)).size).toBe(0);
+  });
+});
@@ -0,0 +1,96 @@
+// Unit tests for the trash and restore flow
+const { Database } = require('../../lib/database.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Trash', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+
+    await db.addBook({ asin: 'B001', title: 'Meditations', author: 'Marcus Aurelius' });
+    await db.addHighlight({ id: 'h1', bookAsin: 'B001', text: 'The obstacle is the way.', note: '', tags: [] });
+    await db.addHighlight({ id: 'h2', bookAsin: 'B001', text: 'Waste no more time arguing.', note: '', tags: [] });
+    await db.addHighlight({ id: 'h3', bookAsin: 'B001', text: 'Loss is nothing but change.', note: '', tags: [] });
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  test('should move deleted highlights to the trash with a retention period', async () => {
+    expect(await db.bulkDeleteHighlights(['h1', 'h2', 'missing'])).toBe(2);
+
+    expect(await db.getHighlight('h1')).toBeUndefined();
+    expect(await db.searchHighlights('obstacle')).toEqual([]);
+
+    const trash = await db.getTrash();
+    expect(trash.map(entry => entry.id).sort()).toEqual(['h1', 'h2']);
+    expect(trash[0]).toMatchObject({ reason: 'deleted', book: { title: 'Meditations' } });
+    expect(trash[0].expiresAt - trash[0].deletedAt).toBe(db.trashRetentionDays * DAY);
+    expect(await db.getTombstoneIds('B001')).toEqual(new Set(['h1', 'h2']));
+  });
+
+  test('should restore highlights with their book and collections', async () => {
+    const { id } = await db.createCollection('Talk');
+    await db.addToCollection(id, ['h1', 'h2']);
+
+    await db.deleteHighlight('h1');
+    expect((await db.getCollection(id)).highlightIds).toEqual(['h2']);
+    await db.deleteBook('B001');
+
+    expect(await db.restoreFromTrash(['h1'])).toBe(1);
+
+    expect((await db.getHighlight('h1')).text).toBe('The obstacle is the way.');
+    expect((await db.getBook('B001')).title).toBe('Meditations');
+    expect((await db.getCollection(id)).highlightIds).toEqual(['h2', 'h1']);
+    expect((await db.searchHighlights('obstacle')).map(h => h.id)).toEqual(['h1']);
+    expect(await db.getTrash()).toEqual([]);
+    expect((await db.getTombstoneIds('B001')).size).toBe(0);
+  });
+
+  test('should drop expired entries but remember the delete', async () => {
+    await db.deleteHighlight('h1');
+    await db.deleteHighlight('h2');
+
+    expect(await db.purgeExpiredTrash(Date.now() + db.trashRetentionDays * DAY - 1000)).toBe(0);
+    expect(await db.purgeExpiredTrash(Date.now() + db.trashRetentionDays * DAY + 1000)).toBe(2);
+
+    expect(await db.getTrash()).toEqual([]);
+    expect(await db.getTombstoneIds('B001')).toEqual(new Set(['h1', 'h2']));
+  });
+
+  test('should empty the trash for good', async () => {
+    await db.bulkDeleteHighlights(['h1', 'h2']);
+
+    expect(await db.emptyTrash(['h1'])).toBe(1);
+    expect((await db.getTrash()).map(entry => entry.id)).toEqual(['h2']);
+    expect(await db.emptyTrash()).toBe(1);
+    expect(await db.restoreFromTrash(['h1', 'h2'])).toBe(0);
+  });
+
+  test('should keep cleared highlights in the trash without tombstones', async () => {
+    await db.clearAllData({ keepTrash: true });
+
+    expect(await db.getAllHighlights()).toEqual([]);
+    expect(await db.getAllBooks()).toEqual([]);
+    expect((await db.getTrash()).map(entry => entry.reason)).toEqual(['cleared', 'cleared', 'cleared']);
+    expect((await db.getTombstoneIds('B001')).size).toBe(0);
+
+    await db.restoreFromTrash(['h1', 'h2', 'h3']);
+    expect(await db.getAllHighlights()).toHaveLength(3);
+    expect(await db.getAllBooks()).toHaveLength(1);
+  });
+
+  test('should purge highlights without going through the trash', async () => {
+    await db.purgeHighlights(['h3']);
+
+    expect(await db.getHighlight('h3')).toBeUndefined();
+    expect(await db.getTrash()).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+// Unit tests for highlights saved from web pages
+const { Database } = require('../../lib/database.js');
+const { SyncReconciler } = require('../../lib/sync-reconciler.js');
+const { DataValidator } = require('../../lib/data-validator.js');
+const { HighlightSelector } = require('../../lib/highlight-selector.js');
+const { ReviewScheduler } = require('../../lib/review-scheduler.js');
+
+describe('Web clips', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new Database();
+    await db.init();
+  });
+
+  afterEach(async () => {
+    if (db) {
+      await db.clearAllData();
+      db.close();
+    }
+  });
+
+  const clip = (overrides = {}) => db.addWebHighlight({
+    url: 'https://www.example.com/essays/focus#part-2',
+    title: 'On Focus',
+    siteName: 'Example Essays',
+    text: '  Attention is the scarcest resource.  ',
+    ...overrides
+  });
+
+  test('should file clips from one page under a book keyed by its URL', async () => {
+    const first = await clip({ note: ' Reread ' });
+    const second = await clip({ url: 'https://www.example.com/essays/focus', text: 'Depth beats breadth.' });
+
+    expect(first.book).toMatchObject({
+      title: 'On Focus',
+      author: 'Example Essays',
+      siteName: 'Example Essays',
+      url: 'https://www.example.com/essays/focus',
+      source: 'web'
+    });
+    expect(first.book.asin).toMatch(/^web_/);
+    expect(first.highlight).toMatchObject({ text: 'Attention is the scarcest resource.', note: 'Reread', source: 'web' });
+    expect(second.book.asin).toBe(first.book.asin);
+    expect(await db.getHighlightsByBook(first.book.asin)).toHaveLength(2);
+
+    const other = await clip({ url: 'https://blog.example.org/post', title: '', siteName: '' });
+    expect(other.book.asin).not.toBe(first.book.asin);
+    expect(other.book).toMatchObject({ title: 'https://blog.example.org/post', author: 'blog.example.org' });
+  });
+
+  test('should derive IDs from the page and text so a passage is only saved once', async () => {
+    const first = await clip();
+    await db.updateHighlight(first.highlight.id, { timesShown: 2 });
+
+    const again = await clip({ url: 'https://www.example.com/essays/focus', text: 'Attention is the scarcest resource.' });
+
+    expect(first.highlight.id).toBe(`highlight_${first.book.asin}_${db.simpleHash('attentionisthescarcestresource' + first.book.asin)}`);
+    expect(again.highlight).toMatchObject({ id: first.highlight.id, timesShown: 2 });
+    expect(await db.getAllHighlights()).toHaveLength(1);
+  });
+
+  test('should clip into the book a page was merged into', async () => {
+    const { book } = await clip();
+    await db.addBook({ asin: 'B001', title: 'Deep Work', author: 'Cal Newport' });
+    await db.mergeBooks('B001', [book.asin]);
+
+    const merged = await clip({ text: 'Depth beats breadth.' });
+    expect(merged.book.asin).toBe('B001');
+
+    // A page first clipped under a random book ID is found through the URL on its alias
+    await db.addBook({ asin: 'web_legacy', title: 'Old Page', author: 'example.org', url: 'https://example.org/old', source: 'web' });
+    await db.mergeBooks('B001', ['web_legacy']);
+    expect((await clip({ url: 'https://example.org/old' })).book.asin).toBe('B001');
+
+    expect((await db.getAllBooks()).map(stored => stored.asin)).toEqual(['B001']);
+  });
+
+  test('should reject clips without text or a page URL', async () => {
+    await expect(clip({ text: '   ' })).rejects.toThrow('Highlight text cannot be empty');
+    await expect(clip({ url: '' })).rejects.toThrow('A web highlight needs the page URL');
+    expect(await db.getAllBooks()).toEqual([]);
+  });
+
+  test('should pass validation and be left alone by sync', async () => {
+    const { book, highlight } = await clip();
+    const validator = new DataValidator();
+
+    const bookResult = validator.validate(book, 'book');
+    expect(bookResult.isValid).toBe(true);
+    expect(bookResult.sanitized).toMatchObject({ url: book.url, siteName: 'Example Essays' });
+    expect(validator.validate(highlight, 'highlight').isValid).toBe(true);
+
+    const reconciler = new SyncReconciler(db);
+    await reconciler.reconcileBook(book.asin, []);
+    expect((await db.getHighlight(highlight.id)).removedUpstream).toBeFalsy();
+  });
+
+  test('should join the email rotation with Kindle highlights', async () => {
+    await db.addBook({ asin: 'B001', title: 'Deep Work', author: 'Cal Newport' });
+    await db.addHighlight({ id: 'k1', bookAsin: 'B001', text: 'Clarity about what matters.', note: '', tags: [] });
+    const { highlight } = await clip();
+
+    const selector = new HighlightSelector(db, new ReviewScheduler(db));
+    const result = await selector.selectHighlights(5, { highlightSelectionMode: 'random', maxHighlightsPerBook: 0 });
+
+    expect(result.status).toBe('success');
+    expect(result.highlights.map(h => h.id).sort()).toEqual(['k1', highlight.id].sort());
+  });
+});